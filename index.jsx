@@ -39,7 +39,10 @@ import './resources/css/index.scss';
 import { logger } from 'nrfconnect/core';
 import React from 'react';
 
+import { autoProgram } from './lib/actions/autoProgramActions';
 import { openFile } from './lib/actions/fileActions';
+import { loadProfiles } from './lib/actions/profileActions';
+import { loadProvisioning } from './lib/actions/provisioningActions';
 import { loadSettings } from './lib/actions/settingsActions';
 import { openDevice } from './lib/actions/targetActions';
 import AppMainView from './lib/containers/appMainView';
@@ -66,6 +69,8 @@ export default {
 
     onInit: dispatch => {
         dispatch(loadSettings());
+        dispatch(loadProfiles());
+        dispatch(loadProvisioning());
         document.body.ondragover = event => {
             const ev = event;
             ev.dataTransfer.dropEffect = 'copy';
@@ -106,7 +111,10 @@ export default {
 
         switch (action.type) {
             case 'DEVICE_SETUP_COMPLETE': {
-                dispatch(openDevice(action.device));
+                // A device which could not be opened fails auto programming
+                Promise.resolve(dispatch(openDevice(action.device)))
+                    .catch(() => {})
+                    .then(() => dispatch(autoProgram(action.device)));
                 break;
             }
 
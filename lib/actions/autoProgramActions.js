@@ -0,0 +1,238 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/* eslint-disable import/no-cycle */
+
+import { appendFile, existsSync } from 'fs';
+import { join } from 'path';
+
+import { remote } from 'electron';
+import { logger } from 'nrfconnect/core';
+
+import { formatLogLine } from '../util/provisioning';
+import { ProtectionStatus } from '../util/uicr';
+import { getMergedFileMemMap, getUicrOverlayMemMaps } from './fileActions';
+import * as jlinkTargetActions from './jlinkTargetActions';
+import { applyProfile, getProfileDeviceMismatch } from './profileActions';
+
+export const AUTO_PROGRAM_TOGGLE = 'AUTO_PROGRAM_TOGGLE';
+export const AUTO_PROGRAM_START = 'AUTO_PROGRAM_START';
+export const AUTO_PROGRAM_END = 'AUTO_PROGRAM_END';
+export const AUTO_PROGRAM_COUNTERS_RESET = 'AUTO_PROGRAM_COUNTERS_RESET';
+
+export function autoProgramToggleAction() {
+    return {
+        type: AUTO_PROGRAM_TOGGLE,
+    };
+}
+
+export function autoProgramStartAction(serialNumber) {
+    return {
+        type: AUTO_PROGRAM_START,
+        serialNumber,
+    };
+}
+
+export function autoProgramEndAction(isPassed, message) {
+    return {
+        type: AUTO_PROGRAM_END,
+        isPassed,
+        message,
+    };
+}
+
+export function autoProgramCountersResetAction() {
+    return {
+        type: AUTO_PROGRAM_COUNTERS_RESET,
+    };
+}
+
+// The results are logged in the user data directory
+export function getResultsLogPath() {
+    return join(remote.app.getPath('userData'), 'auto-program-log.csv');
+}
+
+function logResult(fields) {
+    const logPath = getResultsLogPath();
+    const header = existsSync(logPath) ? '' : formatLogLine([
+        'time', 'serialNumber', 'family', 'type', 'profile', 'result', 'message',
+    ]);
+    appendFile(logPath, header + formatLogLine(fields), err => {
+        if (err) {
+            logger.error(`Could not write the results log: ${err.message}`);
+        }
+    });
+}
+
+export function toggleAutoProgram() {
+    return (dispatch, getState) => {
+        dispatch(autoProgramToggleAction());
+        const { autoProgram: { isEnabled }, profile } = getState().app;
+        if (isEnabled) {
+            logger.info(`Devices are programmed with profile ${profile.selected} when connected`);
+        } else {
+            logger.info('Devices are no longer programmed when connected');
+        }
+    };
+}
+
+export function resetAutoProgramCounters() {
+    return dispatch => {
+        dispatch(autoProgramCountersResetAction());
+    };
+}
+
+// Check that the loaded files can be written through a J-Link probe at all,
+// so that no device is erased when writing would fail anyway.
+// Throws the reason if they cannot.
+function checkFilesWritable(state) {
+    const { loaded, memMaps } = state.app.file;
+    if (Object.values(loaded).some(entry => entry.dfuImages)) {
+        throw new Error('DFU packages can only be written through a DFU bootloader.');
+    }
+    if (!memMaps.length && !getUicrOverlayMemMaps(state).length) {
+        throw new Error('There is nothing to write.');
+    }
+    getMergedFileMemMap(state, true);
+}
+
+// Check that the device is of the type of the selected profile. Unlike when
+// applying a profile by hand, the device type has to be known.
+function checkDeviceType(state) {
+    const { profile: { profiles, selected }, target } = state.app;
+    const profile = profiles[selected];
+    if (!target.deviceInfo.family) {
+        throw new Error('Could not read the device information.');
+    }
+    if (profile.deviceType && target.deviceInfo.type === 'Unknown') {
+        throw new Error(`Profile ${selected} is made for ${profile.deviceType} devices, but the device type is unknown.`);
+    }
+    const mismatch = getProfileDeviceMismatch(state);
+    if (mismatch) {
+        throw new Error(mismatch);
+    }
+}
+
+// Write the selected profile to the opened device. The device is recovered
+// first if it is locked by readback protection, or if it cannot be written
+// otherwise, but never when the files cannot be written anyway.
+// Rejects with the reason of failing.
+function programWithProfile(device) {
+    return async (dispatch, getState) => {
+        const { profile: { profiles, selected } } = getState().app;
+        const profile = profiles[selected];
+        if (!profile) {
+            throw new Error('Select a profile to program with.');
+        }
+        if (!device.traits.includes('jlink')) {
+            throw new Error('Only J-Link devices can be programmed automatically.');
+        }
+        if (!profile.deviceFamily) {
+            throw new Error(`Profile ${selected} has no device type, save it with a device connected.`);
+        }
+
+        await dispatch(applyProfile(selected));
+        // Files which could not be opened are only warned about by applyProfile()
+        const { loaded } = getState().app.file;
+        const missing = profile.files.filter(({ filePath }) => !loaded[filePath]);
+        if (missing.length) {
+            throw new Error(`Could not open ${missing.map(({ filePath }) => filePath).join(', ')} of profile ${selected}.`);
+        }
+        checkFilesWritable(getState());
+
+        // The type of a locked device is only known after recovering it
+        const isLocked = getState().app.target.protectionStatus === ProtectionStatus.LOCKED;
+        if (isLocked) {
+            logger.info(`Recovering device ${device.serialNumber}, since it has readback protection enabled`);
+            await dispatch(jlinkTargetActions.recover());
+        }
+        checkDeviceType(getState());
+
+        // A recovered device is blank, so it needs no other erasing
+        const writeResult = isLocked || getState().app.target.isWritable
+            ? await dispatch(jlinkTargetActions.write())
+            : await dispatch(jlinkTargetActions.recoverAndWrite());
+        if (!writeResult) {
+            throw new Error('Writing could not be started, see the log.');
+        }
+        if (!writeResult.success) {
+            throw new Error(writeResult.error);
+        }
+    };
+}
+
+// Program a device which has just been opened, when programming on connection
+// is enabled. Devices of other types than those of the profile are refused.
+export function autoProgram(device) {
+    return async (dispatch, getState) => {
+        const { autoProgram: { isEnabled, isRunning }, profile } = getState().app;
+        if (!isEnabled) {
+            return;
+        }
+        const serialNumber = `${device.serialNumber}`;
+        if (isRunning) {
+            logger.warn(`Device ${serialNumber} is not programmed, since another device is being programmed`);
+            return;
+        }
+
+        logger.info(`Programming device ${serialNumber} with profile ${profile.selected}`);
+        dispatch(autoProgramStartAction(serialNumber));
+        let message = '';
+        try {
+            await dispatch(programWithProfile(device));
+        } catch (error) {
+            message = (error && error.message) || 'Recovering the device failed.';
+        }
+
+        const isPassed = !message;
+        if (isPassed) {
+            logger.info(`Device ${serialNumber} passed`);
+        } else {
+            logger.error(`Device ${serialNumber} failed: ${message}`);
+        }
+        const { deviceInfo } = getState().app.target;
+        logResult([
+            new Date().toISOString(),
+            serialNumber,
+            deviceInfo.family || '',
+            deviceInfo.type || '',
+            profile.selected || '',
+            isPassed ? 'PASS' : 'FAIL',
+            message,
+        ]);
+        dispatch(autoProgramEndAction(isPassed, message));
+    };
+}
@@ -0,0 +1,94 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/* eslint-disable import/no-cycle */
+
+import { logger } from 'nrfconnect/core';
+
+import { diffPages } from '../util/pageDiff';
+import { getMergedFileMemMap } from './fileActions';
+
+export const COMPARISON_TOGGLE = 'COMPARISON_TOGGLE';
+export const COMPARISON_KNOWN = 'COMPARISON_KNOWN';
+
+export function comparisonToggleAction() {
+    return {
+        type: COMPARISON_TOGGLE,
+    };
+}
+
+export function comparisonKnownAction(pages) {
+    return {
+        type: COMPARISON_KNOWN,
+        pages,
+    };
+}
+
+// Compare the pages of the files with the device pages
+export function getPageDiff(state) {
+    const { target } = state.app;
+    return diffPages(
+        getMergedFileMemMap(state),
+        target.memMap,
+        target.knownRanges,
+        target.deviceInfo.pageSize,
+    );
+}
+
+// Compare the files with the device again, if the comparison is shown
+export function updateComparison() {
+    return (dispatch, getState) => {
+        const state = getState();
+        const { comparison, file, target } = state.app;
+        if (!comparison.isEnabled || !target.serialNumber || !file.memMaps.length) {
+            dispatch(comparisonKnownAction([]));
+            return;
+        }
+        try {
+            dispatch(comparisonKnownAction(getPageDiff(state)));
+        } catch (error) {
+            logger.warn(`Could not compare the files with the device: ${error.message}`);
+            dispatch(comparisonKnownAction([]));
+        }
+    };
+}
+
+export function toggleComparison() {
+    return dispatch => {
+        dispatch(comparisonToggleAction());
+        dispatch(updateComparison());
+    };
+}
@@ -0,0 +1,181 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/* eslint-disable import/no-cycle */
+
+import { writeFile } from 'fs';
+
+import { remote } from 'electron';
+import { logger } from 'nrfconnect/core';
+
+import {
+    ExportFormat,
+    ExportFormatInfo,
+    encodeMemMap,
+    getExportMemMap,
+} from '../util/exportFormats';
+import { hexpad8 } from '../util/hexpad';
+import { getUf2FamilyId } from '../util/uf2';
+import { getMergedFileMemMap } from './fileActions';
+
+export const EXPORT_DIALOG_SHOW = 'EXPORT_DIALOG_SHOW';
+export const EXPORT_DIALOG_HIDE = 'EXPORT_DIALOG_HIDE';
+
+// Definition of ExportSource
+export const ExportSource = {
+    FILES: 'files',
+    DEVICE: 'device',
+};
+
+export function exportDialogShowAction(source) {
+    return {
+        type: EXPORT_DIALOG_SHOW,
+        source,
+    };
+}
+
+export function exportDialogHideAction() {
+    return {
+        type: EXPORT_DIALOG_HIDE,
+    };
+}
+
+// Get the memory map of the chosen source: either the merged content of
+// all loaded files or the content read from the device.
+export function getSourceMemMap(state, source) {
+    if (source === ExportSource.DEVICE) {
+        return state.app.target.memMap;
+    }
+    return getMergedFileMemMap(state);
+}
+
+// Export the chosen source to the given file path.
+// Options are the source, the format, whether the files are clipped to the
+// flash of the selected device, whether its UICR is then included, and the
+// range and fill byte of padded binaries. The device memory is always clipped.
+export function exportToFile(filePath, {
+    source,
+    format,
+    clipToDevice = false,
+    includeUicr = false,
+    startAddress,
+    endAddress,
+    fillByte,
+}) {
+    return (dispatch, getState) => {
+        const { deviceInfo } = getState().app.target;
+        let memMap;
+        try {
+            memMap = getSourceMemMap(getState(), source);
+            if (source === ExportSource.DEVICE || clipToDevice) {
+                memMap = getExportMemMap(
+                    memMap,
+                    deviceInfo,
+                    includeUicr && format !== ExportFormat.BIN,
+                );
+            }
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        if (memMap.size === 0) {
+            return Promise.reject(new Error('There is no content to export.'));
+        }
+
+        let content;
+        try {
+            content = encodeMemMap(memMap, format, {
+                startAddress,
+                endAddress,
+                fillByte,
+                familyId: getUf2FamilyId(deviceInfo),
+            });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        if (format === ExportFormat.BIN) {
+            logger.info(`Exporting ${hexpad8(startAddress)}-${hexpad8(endAddress)} as padded binary`);
+        }
+
+        return new Promise((resolve, reject) => {
+            writeFile(filePath, content, err => {
+                if (err) {
+                    logger.error(`Error when saving file: ${err}`);
+                    return reject(err);
+                }
+                logger.info(`File is successfully saved at ${filePath}`);
+                return resolve(filePath);
+            });
+        });
+    };
+}
+
+export function showExportDialog(source) {
+    return dispatch => {
+        dispatch(exportDialogShowAction(source));
+    };
+}
+
+export function cancelExport() {
+    return dispatch => {
+        dispatch(exportDialogHideAction());
+    };
+}
+
+// Ask for the destination and export with the options chosen in the export dialog.
+export function exportWithDialog(options) {
+    return dispatch => {
+        dispatch(exportDialogHideAction());
+
+        const { name, extension } = ExportFormatInfo[options.format];
+        const prefix = options.source === ExportSource.DEVICE
+            ? 'nRF_Connect_Programmer'
+            : 'nRF_Connect_Programmer_merged';
+        remote.dialog.showSaveDialog({
+            title: 'Save memory as file',
+            defaultPath: `${prefix}_${Date.now()}.${extension}`,
+            filters: [{ name, extensions: [extension] }],
+        }, filePath => {
+            if (!filePath) {
+                return;
+            }
+            dispatch(exportToFile(filePath, options))
+                .catch(error => {
+                    logger.error(`Error when exporting file: ${error.message || error}`);
+                });
+        });
+    };
+}
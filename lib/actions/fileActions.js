@@ -37,7 +37,7 @@
 /* eslint-disable import/no-cycle */
 
 import { readFile, stat, statSync } from 'fs';
-import { basename } from 'path';
+import { basename, extname } from 'path';
 
 import electron from 'electron';
 import Store from 'electron-store';
@@ -45,14 +45,32 @@ import { List, Set } from 'immutable';
 import MemoryMap from 'nrf-intel-hex';
 import { logger } from 'nrfconnect/core';
 
-import { hexpad8 } from '../util/hexpad';
+import { parseAddress } from '../util/addressRanges';
+import { isZip, parseDfuPackage } from '../util/dfuPackage';
+import { isElf, parseElf } from '../util/elf';
+import { formatOffset, hexpad8 } from '../util/hexpad';
+import { getFileMemMaps, getLoadOrder, relocateMemMap } from '../util/memMaps';
+import {
+    findConflicts,
+    findOverlaps,
+    formatConflict,
+    mergeMemMaps,
+    OverlapPolicy,
+} from '../util/overlaps';
+import parseSrec from '../util/srec';
+import parseTiTxt from '../util/titxt';
+import { UICR_OVERLAY_NAME, createUicrOverlay } from '../util/uicr';
 import {
     Region,
     RegionColor,
     RegionName,
     getFileRegions,
 } from '../util/regions';
+import updateFileWatchers from './fileWatchActions';
+import { getProfileDeviceMismatch } from './profileActions';
 import * as targetActions from './targetActions';
+import { setUicrEdits } from './uicrActions';
+import { getUserInput } from './userInputActions';
 import { addFileWarning, fileWarningRemoveAction } from './warningActions';
 
 const persistentStore = new Store({ name: 'nrf-programmer' });
@@ -62,12 +80,32 @@ export const FILE_PARSE = 'FILE_PARSE';
 export const FILE_REGION_NAMES_KNOWN = 'FILE_REGION_NAMES_KNOWN';
 export const FILE_REGIONS_KNOWN = 'FILE_REGIONS_KNOWN';
 export const FILE_REMOVE = 'FILE_REMOVE';
+export const FILES_CHANGED_ON_DISK = 'FILES_CHANGED_ON_DISK';
 export const FILES_EMPTY = 'FILES_EMPTY';
 export const MCUBOOT_FILE_KNOWN = 'MCUBOOT_FILE_KNOWN';
 export const MRU_FILES_LOAD_SUCCESS = 'MRU_FILES_LOAD_SUCCESS';
 
 const MCUBOOT_FW_START_ADDRESS = 0xC000;
 
+// The number of conflicting ranges shown as file warnings
+const MAX_CONFLICT_WARNINGS = 5;
+
+// Counts the loaded files, to know which was loaded first
+let lastLoadIndex = 0;
+
+const elfExtensions = ['.elf', '.axf', '.out'];
+const binExtensions = ['.bin'];
+const srecExtensions = ['.srec', '.s19', '.s28', '.s37', '.mot'];
+const tiTxtExtensions = ['.txt'];
+const dfuPackageExtensions = ['.zip'];
+
+// Suggested load addresses for raw binaries
+const binAddressChoices = {
+    '0x0': 'Start of flash',
+    '0x1000': 'After MBR',
+    [`0x${MCUBOOT_FW_START_ADDRESS.toString(16)}`]: 'MCUboot application',
+};
+
 export function errorDialogShowAction(error) {
     return {
         type: ERROR_DIALOG_SHOW,
@@ -97,6 +135,13 @@ export function fileRegionNamesKnownAction(detectedRegionNames) {
     };
 }
 
+export function filesChangedOnDiskAction(filePaths) {
+    return {
+        type: FILES_CHANGED_ON_DISK,
+        filePaths,
+    };
+}
+
 export function filesEmptyAction() {
     return {
         type: FILES_EMPTY,
@@ -224,18 +269,102 @@ export function updateFileBlRegion() {
     };
 }
 
+// Attach the names of ELF sections which intersect each region,
+// so that they can be shown together with the region details.
+function annotateSectionNames(regions, loaded) {
+    return regions.map(region => {
+        const regionEnd = region.startAddress + region.regionSize;
+        const sectionNames = [];
+        region.fileNames.forEach(filePath => {
+            const { sections = [], offset = 0 } = loaded[filePath] || {};
+            sections.forEach(({ name, startAddress, size }) => {
+                if (name
+                    && startAddress + offset < regionEnd
+                    && startAddress + offset + size > region.startAddress
+                    && !sectionNames.includes(name)) {
+                    sectionNames.push(name);
+                }
+            });
+        });
+        return sectionNames.length ? region.set('sectionNames', sectionNames) : region;
+    });
+}
+
+// The UICR fields edited in the UICR editor, as a memory map which is
+// merged with the files like a loaded file
+export function getUicrOverlayMemMaps(state) {
+    const { edits } = state.app.uicr;
+    return Object.keys(edits).length
+        ? [[UICR_OVERLAY_NAME, createUicrOverlay(edits)]]
+        : [];
+}
+
+// Merge the memory maps of the loaded files by an overlap policy, and the
+// edited UICR fields on top of them.
+// Throws if the policy does not allow the overlaps of the files.
+export function mergeFileMemMaps(memMaps, loaded, overlapPolicy, uicrEdits) {
+    const merged = mergeMemMaps(memMaps, overlapPolicy, getLoadOrder(loaded));
+    return Object.keys(uicrEdits).length
+        ? mergeMemMaps([
+            [null, merged],
+            [UICR_OVERLAY_NAME, createUicrOverlay(uicrEdits)],
+        ], OverlapPolicy.LAST_WINS)
+        : merged;
+}
+
+// Merge the loaded files by the chosen overlap policy, and the edited UICR
+// fields on top of them.
+// Throws if the policy does not allow the overlaps of the loaded files, or
+// when writing files with conflicting data without having chosen a policy.
+export function getMergedFileMemMap(state, isWriting = false) {
+    const { file: { loaded, memMaps }, settings: { overlapPolicy }, uicr } = state.app;
+    if (isWriting && !overlapPolicy && findConflicts(memMaps).length) {
+        throw new Error('The files have conflicting data. Choose an overlap policy to write them.');
+    }
+    return mergeFileMemMaps(memMaps, loaded, overlapPolicy, uicr.edits);
+}
+
+// Show the overlapping data of the loaded files, and whether they can be merged
+function checkFileOverlaps() {
+    return (dispatch, getState) => {
+        const { memMaps } = getState().app.file;
+        if (!findOverlaps(memMaps).length) {
+            return;
+        }
+
+        const conflicts = findConflicts(memMaps);
+        if (!conflicts.length) {
+            dispatch(addFileWarning('Some of the files have overlapping, identical data.'));
+        }
+        conflicts.forEach(conflict => logger.warn(`Conflicting data: ${formatConflict(conflict)}`));
+        conflicts.slice(0, MAX_CONFLICT_WARNINGS).forEach(conflict => {
+            dispatch(addFileWarning(`Conflicting data at ${formatConflict(conflict)}.`));
+        });
+        if (conflicts.length > MAX_CONFLICT_WARNINGS) {
+            dispatch(addFileWarning(`There are ${conflicts.length - MAX_CONFLICT_WARNINGS} more conflicting ranges, see the log.`));
+        }
+
+        try {
+            getMergedFileMemMap(getState(), true);
+        } catch (error) {
+            dispatch(addFileWarning(error.message));
+        }
+    };
+}
+
 export function updateFileRegions() {
     return (dispatch, getState) => {
         dispatch(fileWarningRemoveAction());
 
         const { file, target } = getState().app;
         const overlaps = MemoryMap.overlapMemoryMaps(file.memMaps);
-        const regions = getFileRegions(file.memMaps, target.deviceInfo);
+        const regions = getFileRegions(
+            [...file.memMaps, ...getUicrOverlayMemMaps(getState())],
+            target.deviceInfo,
+        );
 
-        // Show file warning if overlapping.
-        if (regions.find(r => r.fileNames && r.fileNames.length > 1)) {
-            dispatch(addFileWarning('Some of the HEX files have overlapping data.'));
-        }
+        // Show file warnings if overlapping.
+        dispatch(checkFileOverlaps());
 
         // Show file warning if out of displaying area.
         const outsideFlashBlocks = [];
@@ -251,21 +380,127 @@ export function updateFileRegions() {
             dispatch(addFileWarning(`There is data outside the user-writable areas (${outsideFlashBlocks.join(', ')}).`));
         }
 
-        dispatch(fileRegionsKnownAction(regions));
+        // Show file warning if the device does not match the selected profile.
+        const profileMismatch = getProfileDeviceMismatch(getState());
+        if (profileMismatch) {
+            dispatch(addFileWarning(profileMismatch));
+        }
+
+        // Show file warning if DFU packages are loaded, since the bootloader
+        // decides where their images go.
+        if (Object.values(file.loaded).some(entry => entry.dfuImages)) {
+            dispatch(addFileWarning('The addresses of DFU package images are estimated. DFU packages can only be written through a DFU bootloader.'));
+        }
+
+        dispatch(fileRegionsKnownAction(annotateSectionNames(regions, file.loaded)));
         dispatch(updateDetectedRegionNames());
     };
 }
 
+// Update the loaded files and the memory maps to be merged from them.
+// The order of the loaded files is their priority, the last one wins when overlapping.
+function updateLoadedFiles(loaded) {
+    return dispatch => {
+        dispatch(fileParseAction(loaded, getFileMemMaps(loaded)));
+        dispatch(updateFileRegions());
+        dispatch(targetActions.updateTargetWritable());
+        dispatch(updateFileWatchers());
+    };
+}
+
 export function removeFile(filePath) {
     return (dispatch, getState) => {
-        const { loaded, memMaps } = getState().app.file;
-        const newLoaded = { ...loaded };
-        const newMemMaps = memMaps.filter(element => element[0] !== filePath);
+        if (filePath === UICR_OVERLAY_NAME) {
+            dispatch(setUicrEdits(getState().app.uicr.family, {}));
+            return;
+        }
+        const newLoaded = { ...getState().app.file.loaded };
         delete newLoaded[filePath];
+        dispatch(updateLoadedFiles(newLoaded));
+    };
+}
 
-        dispatch(fileParseAction(newLoaded, newMemMaps));
-        dispatch(updateFileRegions());
-        dispatch(targetActions.updateTargetWritable());
+// Include or exclude a loaded file from the merged content, without unloading it
+export function toggleFileEnabled(filePath) {
+    return (dispatch, getState) => {
+        const { loaded } = getState().app.file;
+        const entry = loaded[filePath];
+        if (!entry) {
+            return;
+        }
+        const enabled = entry.enabled === false;
+        logger.info(`${enabled ? 'Including' : 'Excluding'} ${entry.filename}`);
+        dispatch(updateLoadedFiles({
+            ...loaded,
+            [filePath]: { ...entry, enabled },
+        }));
+    };
+}
+
+// Change the priority of a loaded file by one step.
+// The file with the highest priority wins when files are overlapping.
+export function changeFilePriority(filePath, increase) {
+    return (dispatch, getState) => {
+        const { loaded } = getState().app.file;
+        const filePaths = Object.keys(loaded);
+        const index = filePaths.indexOf(filePath);
+        const newIndex = increase ? index + 1 : index - 1;
+        if (index < 0 || newIndex < 0 || newIndex >= filePaths.length) {
+            return;
+        }
+        filePaths.splice(index, 1);
+        filePaths.splice(newIndex, 0, filePath);
+
+        const newLoaded = {};
+        filePaths.forEach(p => { newLoaded[p] = loaded[p]; });
+        dispatch(updateLoadedFiles(newLoaded));
+    };
+}
+
+// Address offsets of files are kept as long as the files are in the MRU list
+function getFileOffset(filePath) {
+    return persistentStore.get('fileOffsets', {})[filePath] || 0;
+}
+
+function setFileOffsets(offsets) {
+    persistentStore.set('fileOffsets', offsets);
+}
+
+function removeFileOffsets(filePaths) {
+    const offsets = { ...persistentStore.get('fileOffsets', {}) };
+    filePaths.forEach(filePath => delete offsets[filePath]);
+    setFileOffsets(offsets);
+}
+
+// Move a loaded file by the given address offset
+export function setFileOffset(filePath, offset) {
+    return (dispatch, getState) => {
+        const { loaded } = getState().app.file;
+        const entry = loaded[filePath];
+        if (!entry) {
+            return;
+        }
+
+        let relocatedMemMap;
+        try {
+            relocatedMemMap = relocateMemMap(entry.memMap, offset);
+        } catch (e) {
+            logger.error(`Could not relocate file: ${e}`);
+            dispatch(errorDialogShowAction(e));
+            return;
+        }
+        logger.info(`Relocating ${entry.filename} by offset ${formatOffset(offset)}`);
+
+        setFileOffsets({ ...persistentStore.get('fileOffsets', {}), [filePath]: offset });
+        if (relocatedMemMap.has(MCUBOOT_FW_START_ADDRESS)) {
+            dispatch(mcubootFileKnownAction(filePath));
+        } else if (getState().app.file.mcubootFilePath === filePath) {
+            dispatch(mcubootFileKnownAction(null));
+        }
+        dispatch(updateLoadedFiles({
+            ...loaded,
+            [filePath]: { ...entry, offset },
+        }));
     };
 }
 
@@ -275,6 +510,7 @@ export function closeFiles() {
         dispatch(filesEmptyAction());
         dispatch(updateFileRegions());
         dispatch(targetActions.updateTargetWritable());
+        dispatch(updateFileWatchers());
     };
 }
 
@@ -288,31 +524,114 @@ export function loadMruFiles() {
 function removeMruFile(filename) {
     const files = persistentStore.get('mruFiles', []);
     persistentStore.set('mruFiles', files.filter(file => file !== filename));
+    removeFileOffsets([filename]);
 }
 
 function addMruFile(filename) {
     const files = persistentStore.get('mruFiles', []);
     if (files.indexOf(filename) === -1) {
         files.unshift(filename);
-        files.splice(10);
+        removeFileOffsets(files.splice(10));
         persistentStore.set('mruFiles', files);
     }
 }
 
-function parseOneFile(filePath) {
+// Raw binaries carry no address information, so the load address of each
+// binary is remembered by its file path.
+// Ask the user for the address if it is not known yet, and reject invalid input.
+function getBinFileAddress(filePath) {
+    return async dispatch => {
+        const addresses = persistentStore.get('binFileAddresses', {});
+        if (Number.isInteger(addresses[filePath])) {
+            return addresses[filePath];
+        }
+
+        let input;
+        try {
+            input = await getUserInput(
+                dispatch,
+                `Please select the address where ${basename(filePath)} should be loaded:`,
+                binAddressChoices,
+                'Custom address',
+            );
+        } catch (error) {
+            throw new Error(`No load address was given for ${basename(filePath)}.`);
+        }
+        const address = parseAddress(input);
+        if (Number.isNaN(address)) {
+            throw new Error(`${input} is not a valid load address for ${basename(filePath)}.`);
+        }
+        persistentStore.set('binFileAddresses', { ...addresses, [filePath]: address });
+        return address;
+    };
+}
+
+// Parse the content of a firmware file according to its format.
+// ELF files and DFU packages are detected by their magic number, raw
+// binaries, S-records and TI-TXT files by their extension, and anything
+// else is expected to be Intel HEX.
+function parseFileContent(filePath, data) {
     return async (dispatch, getState) => {
-        const { loaded, memMaps } = getState().app.file;
-        if (loaded[filePath]) {
-            return;
+        const extension = extname(filePath).toLowerCase();
+        if (isElf(data) || elfExtensions.includes(extension)) {
+            return parseElf(data);
+        }
+        if (isZip(data) || dfuPackageExtensions.includes(extension)) {
+            const { deviceInfo, regions } = getState().app.target;
+            const sdRegion = regions.find(r => r.name === RegionName.SOFTDEVICE);
+            const { images, memMap } = await parseDfuPackage(
+                data,
+                deviceInfo,
+                sdRegion && sdRegion.startAddress + sdRegion.regionSize,
+            );
+            images.forEach(({ type, fileName, firmwareImage }) => {
+                logger.info(`DFU package image: ${type} ${fileName} (${firmwareImage.length} bytes)`);
+            });
+            return { memMap, sections: [], dfuImages: images };
+        }
+        if (binExtensions.includes(extension)) {
+            if (data.length === 0) {
+                throw new Error('Binary file is empty.');
+            }
+            const address = await dispatch(getBinFileAddress(filePath));
+            logger.info(`Loading binary file at ${hexpad8(address)}`);
+            return {
+                memMap: new MemoryMap([[address, new Uint8Array(data)]]),
+                sections: [],
+            };
+        }
+        if (srecExtensions.includes(extension)) {
+            return { memMap: parseSrec(data.toString()), sections: [] };
+        }
+        if (tiTxtExtensions.includes(extension)) {
+            return { memMap: parseTiTxt(data.toString()), sections: [] };
         }
+        return {
+            memMap: MemoryMap.fromHex(data.toString()),
+            sections: [],
+        };
+    };
+}
 
+// Read and parse a file, and return its entry for the loaded files.
+// Failing to reload a file is only logged, since the file may be missing
+// only while it is being replaced, and it is kept in the recent files.
+function loadFileEntry(filePath, isReload = false) {
+    return async dispatch => {
+        const onError = error => {
+            if (!isReload) {
+                dispatch(errorDialogShowAction(error));
+            }
+        };
         const stats = await new Promise((resolve, reject) => {
             stat(filePath, (statsError, result) => {
                 if (statsError) {
-                    logger.error(`Could not open HEX file: ${statsError}`);
-                    dispatch(errorDialogShowAction(statsError));
-                    removeMruFile(filePath);
-                    return reject();
+                    logger.error(`Could not open file: ${statsError}`);
+                    onError(statsError);
+                    if (!isReload) {
+                        removeMruFile(filePath);
+                    }
+                    return reject(statsError);
                 }
                 return resolve(result);
             });
@@ -320,13 +639,15 @@ function parseOneFile(filePath) {
 
         const data = await new Promise((resolve, reject) => {
             readFile(filePath, {}, (readError, result) => {
-                logger.info('Parsing HEX file: ', filePath);
+                logger.info('Parsing file: ', filePath);
                 logger.info('File was last modified at ', stats.mtime.toLocaleString());
                 if (readError) {
-                    logger.error(`Could not open HEX file: ${readError}`);
-                    dispatch(errorDialogShowAction(readError));
-                    removeMruFile(filePath);
-                    return reject();
+                    logger.error(`Could not open file: ${readError}`);
+                    onError(readError);
+                    if (!isReload) {
+                        removeMruFile(filePath);
+                    }
+                    return reject(readError);
                 }
                 addMruFile(filePath);
                 return resolve(result);
@@ -334,15 +655,30 @@ function parseOneFile(filePath) {
         });
 
         let memMap;
+        let sections;
+        let dfuImages;
         try {
-            memMap = MemoryMap.fromHex(data.toString());
+            ({ memMap, sections, dfuImages } = await dispatch(parseFileContent(filePath, data)));
         } catch (e) {
-            logger.error(`Could not open HEX file: ${e}`);
-            dispatch(errorDialogShowAction(e));
-            return;
+            logger.error(`Could not parse file: ${e}`);
+            onError(e);
+            return undefined;
         }
 
-        memMap.forEach((block, address) => {
+        const offset = getFileOffset(filePath);
+        let relocatedMemMap;
+        try {
+            relocatedMemMap = relocateMemMap(memMap, offset);
+        } catch (e) {
+            logger.error(`Could not relocate file: ${e}`);
+            onError(e);
+            return undefined;
+        }
+        if (offset) {
+            logger.info(`Relocating file by offset ${formatOffset(offset)}`);
+        }
+
+        relocatedMemMap.forEach((block, address) => {
             const size = block.length;
             logger.info('Data block:',
                 `${hexpad8(address)}-${hexpad8(address + size)} (${hexpad8(size)}`,
@@ -353,23 +689,58 @@ function parseOneFile(filePath) {
                 dispatch(mcubootFileKnownAction(filePath));
             }
         });
+        sections.forEach(({ name, startAddress, size }) => {
+            logger.info('Section:',
+                `${name} ${hexpad8(startAddress)}-${hexpad8(startAddress + size)}`);
+        });
 
-        const newLoaded = {
-            ...loaded,
-            [filePath]: {
-                filename: basename(filePath),
-                modTime: stats.mtime,
-                loadTime: new Date(),
-                memMap,
-            },
+        lastLoadIndex += 1;
+        return {
+            filename: basename(filePath),
+            modTime: stats.mtime,
+            loadTime: new Date(),
+            loadIndex: lastLoadIndex,
+            size: stats.size,
+            memMap,
+            offset,
+            enabled: true,
+            sections,
+            dfuImages,
         };
-        const newMemMaps = [
-            ...memMaps,
-            [filePath, memMap],
-        ];
-        dispatch(fileParseAction(newLoaded, newMemMaps));
-        dispatch(updateFileRegions());
-        dispatch(targetActions.updateTargetWritable());
+    };
+}
+
+function parseOneFile(filePath) {
+    return async (dispatch, getState) => {
+        if (getState().app.file.loaded[filePath]) {
+            return;
+        }
+        const entry = await dispatch(loadFileEntry(filePath));
+        if (!entry) {
+            return;
+        }
+        dispatch(updateLoadedFiles({
+            ...getState().app.file.loaded,
+            [filePath]: entry,
+        }));
+    };
+}
+
+// Read and parse a loaded file again, keeping its priority and whether it is included
+export function reloadFile(filePath) {
+    return async (dispatch, getState) => {
+        const entry = await dispatch(loadFileEntry(filePath, true));
+        const { loaded } = getState().app.file;
+        if (!entry || !loaded[filePath]) {
+            return;
+        }
+        const newLoaded = {};
+        Object.keys(loaded).forEach(p => {
+            newLoaded[p] = p === filePath
+                ? { ...entry, enabled: loaded[p].enabled, loadIndex: loaded[p].loadIndex }
+                : loaded[p];
+        });
+        dispatch(updateLoadedFiles(newLoaded));
     };
 }
 
@@ -388,8 +759,16 @@ export function openFileDialog() {
     return dispatch => {
         electron.remote.dialog.showOpenDialog(
             {
-                title: 'Select a HEX file',
-                filters: [{ name: 'Intel HEX files', extensions: ['hex', 'ihex'] }],
+                title: 'Select a firmware file',
+                filters: [
+                    { name: 'Intel HEX files', extensions: ['hex', 'ihex'] },
+                    { name: 'ELF files', extensions: ['elf', 'axf', 'out'] },
+                    { name: 'Binary files', extensions: ['bin'] },
+                    { name: 'S-record files', extensions: ['srec', 's19', 's28', 's37', 'mot'] },
+                    { name: 'TI-TXT files', extensions: ['txt'] },
+                    { name: 'DFU packages', extensions: ['zip'] },
+                    { name: 'All files', extensions: ['*'] },
+                ],
                 properties: ['openFile', 'multiSelections'],
             },
             filenames => filenames && dispatch(openFile(...filenames)),
@@ -404,9 +783,8 @@ export function refreshAllFiles() {
             try {
                 const stats = statSync(filePath);
                 if (entry.loadTime.getTime() < stats.mtime) {
-                    dispatch(removeFile(filePath));
                     logger.info('Reloading: ', filePath);
-                    await dispatch(parseOneFile(filePath));
+                    await dispatch(reloadFile(filePath));
                     return;
                 }
                 logger.info('Does not need to be reloaded: ', filePath);
@@ -418,6 +796,27 @@ export function refreshAllFiles() {
     );
 }
 
+// Find the loaded files which have been modified on disk since they were loaded,
+// without reloading them
+export function checkChangedFiles() {
+    return async (dispatch, getState) => {
+        const { loaded, changedFilePaths } = getState().app.file;
+        const changed = await Promise.all(
+            Object.keys(loaded).map(filePath => new Promise(resolve => {
+                stat(filePath, (err, stats) => {
+                    const isChanged = !err
+                        && loaded[filePath].loadTime.getTime() < stats.mtime;
+                    resolve(isChanged ? filePath : undefined);
+                });
+            })),
+        );
+        const newChangedFilePaths = new Set(changed.filter(filePath => filePath));
+        if (!newChangedFilePaths.equals(changedFilePaths)) {
+            dispatch(filesChangedOnDiskAction(newChangedFilePaths));
+        }
+    };
+}
+
 // Checks if the files have changed since they were loaded into the programmer UI.
 // Will display a message box dialog.
 // Expects a Map of filenames to instances of Date when the file was loaded into the UI.
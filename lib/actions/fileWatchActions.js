@@ -0,0 +1,203 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/* eslint-disable import/no-cycle */
+
+import { existsSync, statSync, watch } from 'fs';
+
+import { logger } from 'nrfconnect/core';
+
+import { formatRanges } from '../util/addressRanges';
+import { CommunicationType } from '../util/devices';
+import { diffMemMaps, relocateMemMap } from '../util/memMaps';
+import { reloadFile } from './fileActions';
+import * as targetActions from './targetActions';
+
+// Build systems write files in several steps, so wait for them to settle
+const WATCH_DEBOUNCE_TIME = 500;
+
+// How often a file which cannot be watched is checked for reappearing
+const WATCH_RETRY_TIME = 1000;
+
+// The watchers of the loaded files by file path, with their pending reloads
+const fileWatchers = {};
+
+function unwatchFile(filePath) {
+    const { watcher, timeout } = fileWatchers[filePath];
+    clearTimeout(timeout);
+    if (watcher) {
+        watcher.close();
+    }
+    delete fileWatchers[filePath];
+}
+
+// Log which blocks of a file have changed since it was loaded
+function logChanges(filename, oldMemMap, newMemMap) {
+    const { removed, added, changed } = diffMemMaps(oldMemMap, newMemMap);
+    if (!removed.length && !added.length && !changed.length) {
+        logger.info(`Content of ${filename} has not changed`);
+        return;
+    }
+    logger.info(`Content of ${filename} has changed: ${changed.length} ranges changed, `
+        + `${added.length} added, ${removed.length} removed`);
+    if (changed.length) logger.info(`Changed: ${formatRanges(changed)}`);
+    if (added.length) logger.info(`Added: ${formatRanges(added)}`);
+    if (removed.length) logger.info(`Removed: ${formatRanges(removed)}`);
+}
+
+// Write the reloaded files to the connected J-Link device, if it can be written now
+function writeOnChange() {
+    return (dispatch, getState) => {
+        const {
+            targetType,
+            isWritable,
+            isLoading,
+            isWriting,
+            isErasing,
+        } = getState().app.target;
+        if (targetType !== CommunicationType.JLINK) {
+            logger.info('Writing on change is only done for J-Link devices');
+            return;
+        }
+        if (!isWritable || isLoading || isWriting || isErasing) {
+            logger.warn('The device cannot be written now, skipping writing on change');
+            return;
+        }
+        logger.info('Writing the changed files to the device');
+        dispatch(targetActions.write());
+    };
+}
+
+// Reload a watched file which has changed on disk
+function reloadChangedFile(filePath) {
+    return async (dispatch, getState) => {
+        const entry = getState().app.file.loaded[filePath];
+        if (!entry) {
+            return;
+        }
+        try {
+            if (entry.loadTime.getTime() >= statSync(filePath).mtime) {
+                return;
+            }
+        } catch (error) {
+            logger.warn(`Could not check the changed file ${filePath}: ${error.message}`);
+            return;
+        }
+
+        logger.info('Reloading changed file: ', filePath);
+        await dispatch(reloadFile(filePath));
+        const newEntry = getState().app.file.loaded[filePath];
+        if (!newEntry || newEntry.loadTime === entry.loadTime) {
+            return;
+        }
+        logChanges(
+            newEntry.filename,
+            relocateMemMap(entry.memMap, entry.offset),
+            relocateMemMap(newEntry.memMap, newEntry.offset),
+        );
+
+        if (getState().app.settings.writeOnChange) {
+            dispatch(writeOnChange());
+        }
+    };
+}
+
+// Watch a loaded file, and reload it when it changes. A file which cannot be
+// watched, for example while a build system has removed it, is checked until
+// it reappears, and then reloaded. onReloaded is called after reloading,
+// to watch the file again.
+function watchFile(filePath, onReloaded) {
+    return dispatch => {
+        const fileWatcher = {};
+        fileWatchers[filePath] = fileWatcher;
+
+        // Files are often replaced by build systems, so the watcher is renewed
+        // after reloading
+        const reload = async () => {
+            unwatchFile(filePath);
+            try {
+                await dispatch(reloadChangedFile(filePath));
+            } catch (error) {
+                logger.error(`Could not reload ${filePath}: ${error ? error.message : 'unknown error'}`);
+            } finally {
+                onReloaded();
+            }
+        };
+        const reloadLater = () => {
+            clearTimeout(fileWatcher.timeout);
+            fileWatcher.timeout = setTimeout(reload, WATCH_DEBOUNCE_TIME);
+        };
+        const retryLater = () => {
+            fileWatcher.timeout = setTimeout(
+                () => (existsSync(filePath) ? reload() : retryLater()),
+                WATCH_RETRY_TIME,
+            );
+        };
+
+        try {
+            fileWatcher.watcher = watch(filePath, reloadLater);
+        } catch (error) {
+            logger.warn(`Could not watch ${filePath}, waiting for it to reappear: ${error.message}`);
+            retryLater();
+            return;
+        }
+        fileWatcher.watcher.on('error', error => {
+            logger.warn(`Error when watching ${filePath}: ${error.message}`);
+            reloadLater();
+        });
+    };
+}
+
+// Keep watching the loaded files when watching files is enabled
+export default function updateFileWatchers() {
+    return (dispatch, getState) => {
+        const { file: { loaded }, settings: { watchFiles } } = getState().app;
+
+        Object.keys(fileWatchers)
+            .filter(filePath => !watchFiles || !loaded[filePath])
+            .forEach(unwatchFile);
+        if (!watchFiles) {
+            return;
+        }
+
+        Object.keys(loaded)
+            .filter(filePath => !fileWatchers[filePath])
+            .forEach(filePath => dispatch(watchFile(
+                filePath,
+                () => dispatch(updateFileWatchers()),
+            )));
+    };
+}
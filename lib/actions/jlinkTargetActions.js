@@ -36,20 +36,106 @@
 
 /* eslint-disable import/no-cycle */
 
-import fs from 'fs';
+import { unlink, writeFile } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 import { remote } from 'electron';
 import MemoryMap from 'nrf-intel-hex';
 import { logger } from 'nrfconnect/core';
 import nrfjprog from 'pc-nrfjprog-js';
 
-import { CommunicationType, getDeviceInfoByJprog, getDeviceModel } from '../util/devices';
+import {
+    getNamedRange,
+    isRangeKnown,
+    mergeRanges,
+} from '../util/addressRanges';
+import {
+    CommunicationType,
+    EraseMode,
+    VerifyMode,
+    getCommunicationType,
+    getDeviceInfoByJprog,
+    getDeviceModel,
+} from '../util/devices';
+import { hexpad8 } from '../util/hexpad';
+import { relocateMemMap, replaceRange } from '../util/memMaps';
+import {
+    OverlapPolicy,
+    findConflicts,
+    formatConflict,
+    mergeMemMaps,
+} from '../util/overlaps';
+import { PageStatus, diffPages } from '../util/pageDiff';
+import { ProductionStep } from '../util/production';
+import {
+    DEVICE_ID_SIZE,
+    getDeviceIdAddress,
+    getProvisioningRange,
+} from '../util/provisioning';
 import { getTargetRegions } from '../util/regions';
+import { ReportOperation } from '../util/report';
+import {
+    ProtectionStatus,
+    createProtectionMemMap,
+    getProtectionStatus,
+} from '../util/uicr';
 import * as fileActions from './fileActions';
 import { modemKnownAction } from './modemTargetActions';
+import { prepareProvisioning } from './provisioningActions';
+import { saveReport } from './reportActions';
 import * as targetActions from './targetActions';
 import * as warningActions from './warningActions';
 
+export const READ_RANGE_DIALOG_SHOW = 'READ_RANGE_DIALOG_SHOW';
+export const READ_RANGE_DIALOG_HIDE = 'READ_RANGE_DIALOG_HIDE';
+export const MEMORY_READ_START = 'MEMORY_READ_START';
+export const MEMORY_READ_PROGRESS = 'MEMORY_READ_PROGRESS';
+export const MEMORY_READ_CANCEL = 'MEMORY_READ_CANCEL';
+export const MEMORY_READ_END = 'MEMORY_READ_END';
+
+// The number of mismatches found by verifying which are shown as user warnings
+const MAX_MISMATCH_WARNINGS = 5;
+
+export function readRangeDialogShowAction() {
+    return {
+        type: READ_RANGE_DIALOG_SHOW,
+    };
+}
+
+export function readRangeDialogHideAction() {
+    return {
+        type: READ_RANGE_DIALOG_HIDE,
+    };
+}
+
+export function memoryReadStartAction(totalBytes) {
+    return {
+        type: MEMORY_READ_START,
+        totalBytes,
+        startTime: Date.now(),
+    };
+}
+
+export function memoryReadProgressAction(bytesRead) {
+    return {
+        type: MEMORY_READ_PROGRESS,
+        bytesRead,
+    };
+}
+
+export function memoryReadCancelAction() {
+    return {
+        type: MEMORY_READ_CANCEL,
+    };
+}
+
+export function memoryReadEndAction() {
+    return {
+        type: MEMORY_READ_END,
+    };
+}
+
 function getJLinkVersion(serialNumber) {
     return new Promise((resolve, reject) => {
         nrfjprog.getLibraryInfo(serialNumber, (err, { version }) => (
@@ -58,6 +144,25 @@ function getJLinkVersion(serialNumber) {
     });
 }
 
+// The low level error of nrfjprog when the readback protection of the device
+// prevents the operation
+const NOT_AVAILABLE_BECAUSE_PROTECTION = -90;
+
+function isProtectionError(error) {
+    return !!error && error.lowlevelErrorNo === NOT_AVAILABLE_BECAUSE_PROTECTION;
+}
+
+function closeDevice(serialNumber) {
+    return new Promise(resolve => {
+        nrfjprog.close(serialNumber, closeError => {
+            if (closeError) {
+                logger.error(`Error when closing nrfjprog: ${closeError}`);
+            }
+            resolve();
+        });
+    });
+}
+
 // Get device infos by calling nrfjprog
 function getDeviceInfo(serialNumber) {
     return new Promise((resolve, reject) => {
@@ -101,79 +206,125 @@ function getDeviceInfo(serialNumber) {
             });
         }))
         .catch(error => {
-            logger.error(`Error when getting device info: ${error}`);
-            nrfjprog.close(serialNumber, closeError => {
-                if (closeError) {
-                    logger.error(`Error when closing nrfjprog: ${closeError}`);
+            if (!isProtectionError(error)) {
+                logger.error(`Error when getting device info: ${error}`);
+            }
+            return closeDevice(serialNumber).then(() => {
+                throw error;
+            });
+        });
+}
+
+// Read an address range of an opened device in chunks of the given size.
+// The read stops after the current chunk when isCancelled returns true.
+// Resolves to the bytes which have been read.
+function readChunks(serialNumber, startAddress, size, chunkSize, onProgress, isCancelled) {
+    const bytes = new Uint8Array(size);
+    function readFrom(offset) {
+        if (offset >= size || isCancelled()) {
+            return Promise.resolve(bytes.subarray(0, offset));
+        }
+        const length = Math.min(chunkSize, size - offset);
+        return new Promise((resolve, reject) => {
+            nrfjprog.read(serialNumber, startAddress + offset, length, (err, chunk) => {
+                if (err) {
+                    return reject(err);
                 }
+                bytes.set(chunk, offset);
+                onProgress(offset + length);
+                return resolve(readFrom(offset + length));
             });
         });
+    }
+    return readFrom(0);
 }
 
-// Get device memory map by calling nrfjprog and reading the entire non-volatile memory
-function getDeviceMemMap(serialNumber, devInfo, fullRead = true) {
-    return new Promise((resolve, reject) => {
-        nrfjprog.open(serialNumber, openError => {
-            if (openError) {
-                return reject(openError);
-            }
-            logger.info('Reading device non-volatile memory. This may take a few seconds.');
-            nrfjprog.read(
+// Read an address range of an opened device page by page, showing the progress.
+// Resolves to the bytes which have been read, which are fewer than the size
+// when the read has been cancelled.
+function readWithProgress(serialNumber, startAddress, size, pageSize) {
+    return async (dispatch, getState) => {
+        dispatch(memoryReadStartAction(size));
+        try {
+            return await readChunks(
                 serialNumber,
-                devInfo.uicrAddress,
-                devInfo.infoPageSize,
-                (readError, uicrBytes) => {
-                    if (readError) {
-                        logger.error(`Error while reading non-volatile memory: ${readError}`);
-                        return reject(readError);
-                    }
-                    if (!fullRead) {
-                        logger.info('UICR has been read. Click read button to read full non-volatile memory.');
-                        return resolve(new MemoryMap([[
-                            devInfo.uicrAddress,
-                            new Uint8Array(uicrBytes),
-                        ]]));
-                    }
-                    nrfjprog.read(
-                        serialNumber,
-                        devInfo.codeAddress,
-                        devInfo.codeSize,
-                        (err1, flashBytes) => {
-                            if (err1) {
-                                return reject(err1);
-                            }
-                            const memMap = MemoryMap.fromPaddedUint8Array(
-                                new Uint8Array(flashBytes), 0xFF, 256,
-                            );
-                            memMap.set(devInfo.uicrAddress, new Uint8Array(uicrBytes));
-                            logger.info(`Non-volatile memory has been read. ${memMap.size} non-empty memory blocks identified.`);
-                            resolve(memMap);
-
-                            return undefined;
-                        },
-                    );
-                    return undefined;
-                },
+                startAddress,
+                size,
+                pageSize,
+                bytesRead => dispatch(memoryReadProgressAction(bytesRead)),
+                () => getState().app.memoryRead.isCancelling,
             );
-            return undefined;
-        });
-    })
-        .then(memMap => new Promise(resolve => {
-            nrfjprog.close(serialNumber, closeError => {
-                if (closeError) {
-                    logger.error(`Error when closing nrfjprog: ${closeError}`);
-                }
-                resolve(memMap);
-            });
-        }))
-        .catch(error => {
-            logger.error(`Error when getting device info: ${error}`);
-            nrfjprog.close(serialNumber, closeError => {
-                if (closeError) {
-                    logger.error(`Error when closing nrfjprog: ${closeError}`);
+        } finally {
+            dispatch(memoryReadEndAction());
+        }
+    };
+}
+
+function openDevice(serialNumber) {
+    return new Promise((resolve, reject) => {
+        nrfjprog.open(serialNumber, openError => (openError ? reject(openError) : resolve()));
+    });
+}
+
+function readUicr(serialNumber, devInfo) {
+    return new Promise((resolve, reject) => {
+        nrfjprog.read(
+            serialNumber,
+            devInfo.uicrAddress,
+            devInfo.infoPageSize,
+            (readError, uicrBytes) => (
+                readError ? reject(readError) : resolve(new Uint8Array(uicrBytes))
+            ),
+        );
+    });
+}
+
+// Get device memory map by calling nrfjprog and reading the entire non-volatile memory.
+// Resolves to {memMap, flashBytesRead}, where flashBytesRead is less than the flash
+// size when the read has been cancelled.
+function readDeviceMemMap(serialNumber, devInfo, fullRead = true) {
+    return async dispatch => {
+        let memMap;
+        let flashBytesRead = 0;
+        try {
+            await openDevice(serialNumber);
+            logger.info('Reading device non-volatile memory');
+            const uicrBytes = await readUicr(serialNumber, devInfo);
+            if (!fullRead) {
+                logger.info('UICR has been read. Click read button to read full non-volatile memory.');
+                memMap = new MemoryMap([[devInfo.uicrAddress, uicrBytes]]);
+            } else {
+                const flashBytes = await dispatch(readWithProgress(
+                    serialNumber,
+                    devInfo.codeAddress,
+                    devInfo.codeSize,
+                    devInfo.codePageSize,
+                ));
+                flashBytesRead = flashBytes.length;
+                memMap = relocateMemMap(
+                    MemoryMap.fromPaddedUint8Array(flashBytes, 0xFF, 256),
+                    devInfo.codeAddress,
+                );
+                memMap.set(devInfo.uicrAddress, uicrBytes);
+                if (flashBytesRead < devInfo.codeSize) {
+                    logger.warn(`Reading non-volatile memory has been cancelled after ${hexpad8(devInfo.codeAddress + flashBytesRead)}.`);
+                } else {
+                    logger.info(`Non-volatile memory has been read. ${memMap.size} non-empty memory blocks identified.`);
                 }
-            });
-        });
+            }
+        } catch (error) {
+            logger.error(`Error while reading non-volatile memory: ${error.message || error}`);
+            await closeDevice(serialNumber);
+            throw error;
+        }
+        await closeDevice(serialNumber);
+        return { memMap, flashBytesRead };
+    };
+}
+
+// Whether an address range overlaps UICR of the device
+function isInUicr({ startAddress, size }, { uicrBaseAddr, uicrSize }) {
+    return startAddress < uicrBaseAddr + uicrSize && startAddress + size > uicrBaseAddr;
 }
 
 // Check if the files can be written to the target device
@@ -193,16 +344,19 @@ export function canWrite() {
         const {
             memMap: targetMemMap,
             deviceInfo,
-            isMemLoaded,
+            knownRanges,
+            protectionStatus,
         } = appState.target;
         const { isMcuboot } = appState.mcuboot;
         const {
+            loaded,
             memMaps: fileMemMaps,
             mcubootFilePath,
         } = appState.file;
         const {
             uicrBaseAddr: uicrAddr,
             uicrSize,
+            pageSize,
         } = deviceInfo;
 
         // If MCU is enabled and MCF firmware is detected.
@@ -211,8 +365,52 @@ export function canWrite() {
             return;
         }
 
-        // If it is not a full read, then it need to be earsed first.
-        if (!isMemLoaded || !fileMemMaps.length) {
+        // Protected devices have to be recovered before writing.
+        if (protectionStatus === ProtectionStatus.LOCKED) {
+            dispatch(targetActions.targetWritableKnownAction(false));
+            return;
+        }
+
+        // DFU packages can only be written through a DFU bootloader.
+        if (Object.values(loaded).some(entry => entry.dfuImages)) {
+            dispatch(targetActions.targetWritableKnownAction(false));
+            return;
+        }
+
+        if (!fileMemMaps.length && !fileActions.getUicrOverlayMemMaps(getState()).length) {
+            dispatch(targetActions.targetWritableKnownAction(false));
+            return;
+        }
+
+        // Files with overlaps not allowed by the overlap policy cannot be written.
+        let flattenedFiles;
+        try {
+            flattenedFiles = fileActions.getMergedFileMemMap(getState(), true);
+        } catch (error) {
+            dispatch(targetActions.targetWritableKnownAction(false));
+            return;
+        }
+
+        // The provisioning data is generated when writing, so only its range is known.
+        const provisioningRange = getProvisioningRange(appState.provisioning.config);
+        const writtenMemMap = provisioningRange
+            ? mergeMemMaps([
+                [null, flattenedFiles],
+                [null, new MemoryMap([[
+                    provisioningRange.startAddress,
+                    new Uint8Array(provisioningRange.size).fill(0xFF),
+                ]])],
+            ], OverlapPolicy.LAST_WINS)
+            : flattenedFiles;
+
+        // If not all the pages to be written have been read, then it need to be erased first.
+        const isEveryPageRead = [...writtenMemMap.paginate(pageSize).keys()]
+            .every(address => isRangeKnown(
+                knownRanges,
+                address,
+                address >= uicrAddr ? uicrSize : pageSize,
+            ));
+        if (!isEveryPageRead) {
             dispatch(targetActions.targetWritableKnownAction(false));
             return;
         }
@@ -226,9 +424,12 @@ export function canWrite() {
             dispatch(targetActions.targetWritableKnownAction(true));
             return;
         }
-        const flattenedFiles = MemoryMap.flattenOverlaps(
-            MemoryMap.overlapMemoryMaps(fileMemMaps),
-        );
+        // New provisioning values cannot be written to a UICR which is not blank,
+        // as erasing it would also erase its other contents.
+        if (provisioningRange && isInUicr(provisioningRange, deviceInfo)) {
+            dispatch(targetActions.targetWritableKnownAction(false));
+            return;
+        }
         const uicrUpdates = flattenedFiles.slice(uicrAddr, uicrSize);
         if (!targetMemMap.contains(uicrUpdates)) {
             // UICR is different, and must be erased first.
@@ -265,6 +466,17 @@ export function loadDeviceInfo(serialNumberInput, fullRead = false, eraseAndWrit
             logger.info(`Using J-Link Software version ${major}.${minor}`);
             info = await getDeviceInfo(serialNumber);
         } catch (error) {
+            if (isProtectionError(error)) {
+                logger.warn('The device has readback protection enabled');
+                dispatch(targetActions.targetProtectionKnownAction(ProtectionStatus.LOCKED));
+                dispatch(targetActions.updateTargetWritable());
+                dispatch(warningActions.addTargetWarning(
+                    'The device has readback protection enabled, so it cannot be read or written. '
+                    + 'Recovering removes the protection by erasing the whole device, including UICR.',
+                ));
+                dispatch(targetActions.loadingEndAction());
+                return;
+            }
             logger.error(`Could not fetch memory size of target devkit: ${error.message}`);
             return;
         }
@@ -274,19 +486,39 @@ export function loadDeviceInfo(serialNumberInput, fullRead = false, eraseAndWrit
         const deviceInfo = getDeviceInfoByJprog(info);
         dispatch(targetActions.targetInfoKnownAction(deviceInfo));
 
-        let memMap = new MemoryMap();
-        let isMemLoaded = false;
-
         const readAll = !eraseAndWrite && (fullRead || getState().app.settings.autoRead);
+        let memMap;
+        let flashBytesRead;
         try {
-            memMap = await getDeviceMemMap(serialNumber, info, readAll);
-            isMemLoaded = readAll;
+            ({ memMap, flashBytesRead } = await dispatch(
+                readDeviceMemMap(serialNumber, info, readAll),
+            ));
         } catch (error) {
-            logger.debug(`getDeviceMemMap: ${error.message}`);
+            logger.debug(`readDeviceMemMap: ${error.message}`);
+            dispatch(targetActions.loadingEndAction());
             return;
         }
+        const isMemIncomplete = readAll && flashBytesRead < info.codeSize;
+        const isMemLoaded = readAll && !isMemIncomplete;
+        const knownRanges = mergeRanges([
+            { startAddress: info.uicrAddress, size: info.infoPageSize },
+            { startAddress: info.codeAddress, size: flashBytesRead },
+        ]);
+
+        dispatch(targetActions.targetContentsKnownAction(
+            memMap,
+            isMemLoaded,
+            knownRanges,
+            isMemIncomplete,
+        ));
+        const protectionStatus = getProtectionStatus(deviceInfo.family, memMap);
+        dispatch(targetActions.targetProtectionKnownAction(protectionStatus));
+        if (protectionStatus === ProtectionStatus.ENABLED) {
+            dispatch(warningActions.addTargetWarning(
+                'Readback protection is enabled in UICR, and locks the device when it is reset.',
+            ));
+        }
 
-        dispatch(targetActions.targetContentsKnownAction(memMap, isMemLoaded));
         dispatch(updateTargetRegions(memMap, deviceInfo));
         dispatch(targetActions.updateTargetWritable());
         dispatch(targetActions.loadingEndAction());
@@ -304,25 +536,222 @@ export function read() {
 
 // Sends a HEX string to jprog.program()
 function writeHex(serialNumber, hexString, opts) {
-    return dispatch => {
+    return new Promise((resolve, reject) => {
         nrfjprog.program(serialNumber, hexString, {
             inputFormat: nrfjprog.INPUT_FORMAT_HEX_STRING,
             chip_erase_mode: nrfjprog.ERASE_PAGES,
             ...opts,
         }, progress => {
             logger.info(`Writing progress: ${progress.process}`);
-        }, async err => {
+        }, err => {
             if (err) {
                 err.log.split('\n').forEach(line => logger.error(line));
-                return;
+                return reject(err);
             }
             logger.info('Write procedure finished');
-            await dispatch(loadDeviceInfo(serialNumber));
-            dispatch(targetActions.writingEndAction());
+            return resolve();
         });
+    });
+}
+
+// Open the device, read the given address ranges and close the device
+function readDeviceRanges(serialNumber, ranges) {
+    const blocks = [];
+    return openDevice(serialNumber)
+        .then(() => ranges.reduce((previous, { startAddress, size }) => previous.then(() => (
+            new Promise((resolve, reject) => {
+                nrfjprog.read(serialNumber, startAddress, size, (err, bytes) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    blocks.push([startAddress, new Uint8Array(bytes)]);
+                    return resolve();
+                });
+            })
+        )), Promise.resolve()))
+        .then(
+            () => closeDevice(serialNumber).then(() => new MemoryMap(blocks)),
+            error => closeDevice(serialNumber).then(() => { throw error; }),
+        );
+}
+
+// Let nrfjprog compare the device memory with a HEX file, which is faster
+// than reading it back. Resolves whether the memory is equal.
+function verifyByHash(serialNumber, memMap) {
+    const hexPath = join(tmpdir(), `nrf-programmer-verify-${serialNumber}.hex`);
+    return new Promise((resolve, reject) => {
+        writeFile(hexPath, memMap.asHexString(64), err => (err ? reject(err) : resolve()));
+    }).then(() => new Promise(resolve => {
+        nrfjprog.verify(serialNumber, hexPath, {}, err => {
+            unlink(hexPath, () => {});
+            resolve(!err);
+        });
+    }));
+}
+
+// Verify that the written data is in the device memory, and return the
+// mismatching ranges. Only the data of the files and the provisioning data is
+// compared, not the padding of the pages. The mismatches are always found by
+// reading back, also when the faster hash comparison is chosen and fails.
+async function verifyWrite(serialNumber, memMap, verifyMode) {
+    const expected = memMap.join();
+    if (verifyMode === VerifyMode.HASH) {
+        logger.info('Verifying the written data by hash');
+        if (await verifyByHash(serialNumber, expected)) {
+            return [];
+        }
+        logger.warn('Verifying by hash failed, reading back the written data to find mismatches');
+    } else {
+        logger.info('Verifying the written data by reading it back');
+    }
+    const ranges = [...expected.keys()]
+        .map(address => ({ startAddress: address, size: expected.get(address).length }));
+    const actual = await readDeviceRanges(serialNumber, ranges);
+    return findConflicts([['expected', expected], ['device', actual]]);
+}
+
+// Log the mismatches found when verifying, and warn the user about them
+function reportMismatches(mismatches) {
+    return dispatch => {
+        logger.error(`Verifying failed: ${mismatches.length} ranges differ from the written data`);
+        mismatches.forEach(mismatch => logger.error(`Mismatch at ${formatConflict(mismatch)}`));
+        mismatches.slice(0, MAX_MISMATCH_WARNINGS).forEach(mismatch => {
+            dispatch(warningActions.addUserWarning(`Written data does not match at ${formatConflict(mismatch)}.`));
+        });
+        if (mismatches.length > MAX_MISMATCH_WARNINGS) {
+            dispatch(warningActions.addUserWarning(`There are ${mismatches.length - MAX_MISMATCH_WARNINGS} more mismatching ranges, see the log.`));
+        }
     };
 }
 
+// Read an address range of the device memory, and merge it into the known content
+export function readRange(startAddress, size) {
+    return async (dispatch, getState) => {
+        const {
+            serialNumber,
+            memMap,
+            knownRanges,
+            deviceInfo,
+        } = getState().app.target;
+        const {
+            romBaseAddr,
+            romSize,
+            uicrBaseAddr,
+            uicrSize,
+        } = deviceInfo;
+
+        dispatch(targetActions.loadingStartAction());
+        const rangeText = `${hexpad8(startAddress)}-${hexpad8(startAddress + size)}`;
+        logger.info(`Reading device memory ${rangeText}`);
+        const serialNumberInt = parseInt(serialNumber, 10);
+        let bytes;
+        try {
+            await openDevice(serialNumberInt);
+            bytes = await dispatch(readWithProgress(
+                serialNumberInt,
+                startAddress,
+                size,
+                deviceInfo.pageSize,
+            ));
+        } catch (error) {
+            logger.error(`Could not read device memory ${rangeText}: ${error.message || error}`);
+            await closeDevice(serialNumberInt);
+            dispatch(targetActions.loadingEndAction());
+            return;
+        }
+        await closeDevice(serialNumberInt);
+        const isMemIncomplete = bytes.length < size;
+
+        // Like a full read, flash content is reduced to the non-empty blocks,
+        // but UICR is kept as it is, to know whether it is blank.
+        const rangeMemMap = startAddress >= uicrBaseAddr
+            ? new MemoryMap([[startAddress, bytes]])
+            : relocateMemMap(MemoryMap.fromPaddedUint8Array(bytes, 0xFF, 256), startAddress);
+        const newMemMap = replaceRange(memMap, startAddress, bytes.length, rangeMemMap);
+        const newKnownRanges = mergeRanges([
+            ...knownRanges,
+            { startAddress, size: bytes.length },
+        ]);
+        const isMemLoaded = isRangeKnown(newKnownRanges, romBaseAddr, romSize)
+            && isRangeKnown(newKnownRanges, uicrBaseAddr, uicrSize);
+        if (isMemIncomplete) {
+            logger.warn(`Reading device memory ${rangeText} has been cancelled after ${hexpad8(startAddress + bytes.length)}`);
+        } else {
+            logger.info(`Device memory ${rangeText} has been read`);
+        }
+
+        dispatch(targetActions.targetContentsKnownAction(
+            newMemMap,
+            isMemLoaded,
+            newKnownRanges,
+            isMemIncomplete,
+        ));
+        dispatch(updateTargetRegions(newMemMap, deviceInfo));
+        dispatch(targetActions.updateTargetWritable());
+        dispatch(targetActions.loadingEndAction());
+    };
+}
+
+// Stop reading the device memory after the current page
+export function cancelRead() {
+    return dispatch => {
+        logger.info('Cancelling the read of device memory');
+        dispatch(memoryReadCancelAction());
+    };
+}
+
+export function showReadRangeDialog() {
+    return dispatch => {
+        dispatch(readRangeDialogShowAction());
+    };
+}
+
+export function cancelReadRangeDialog() {
+    return dispatch => {
+        dispatch(readRangeDialogHideAction());
+    };
+}
+
+// Read the range chosen in the read range dialog, either an address range
+// or one of NamedRange
+export function readRangeWithDialog({
+    name, startAddress, endAddress, pageCount,
+}) {
+    return (dispatch, getState) => {
+        dispatch(readRangeDialogHideAction());
+        if (!name) {
+            return dispatch(readRange(startAddress, endAddress - startAddress));
+        }
+        const { deviceInfo, memMap } = getState().app.target;
+        let range;
+        try {
+            range = getNamedRange(name, deviceInfo, memMap, pageCount);
+        } catch (error) {
+            logger.error(`Could not read device memory: ${error.message}`);
+            return Promise.resolve();
+        }
+        return dispatch(readRange(range.startAddress, range.size));
+    };
+}
+
+// Erase the whole device with nrfjprog.recover(), which also works when
+// the readback protection is enabled
+function recoverDevice(serialNumber) {
+    return new Promise((resolve, reject) => {
+        nrfjprog.recover(serialNumber, progress => {
+            logger.info(progress.process);
+        }, err => {
+            if (err) {
+                err.log.split('\n').forEach(logger.error);
+                reject(err);
+                return;
+            }
+            logger.info('Recovery procedure finished');
+            resolve();
+        });
+    });
+}
+
 // Calls nrfprog.recover().
 export function recover(eraseAndWrite = false) {
     return (dispatch, getState) => new Promise((resolve, reject) => {
@@ -336,32 +765,151 @@ export function recover(eraseAndWrite = false) {
             return;
         }
 
-        nrfjprog.recover(serialNumber, progress => {
-            logger.info(progress.process);
-        }, err => {
-            if (err) {
-                err.log.split('\n').forEach(logger.error);
-                reject();
-                return;
-            }
-            logger.info('Recovery procedure finished');
+        const startTime = Date.now();
+        recoverDevice(serialNumber).then(async () => {
+            await dispatch(saveReport({
+                operation: ReportOperation.ERASE,
+                startTime,
+                success: true,
+                filePaths: [],
+            }));
             dispatch(targetActions.erasingEndAction());
             dispatch(loadDeviceInfo(serialNumber, false, eraseAndWrite))
                 .then(resolve);
+        }, async error => {
+            await dispatch(saveReport({
+                operation: ReportOperation.ERASE,
+                startTime,
+                success: false,
+                error: error.message || `${error}`,
+                filePaths: [],
+            }));
+            reject();
         });
     });
 }
 
+// Get the options of jprog.program() from the chosen write options
+function getProgramOptions({ eraseMode, resetAfterWrite }, hasUicr) {
+    const eraseModes = {
+        [EraseMode.PAGES]: hasUicr ? nrfjprog.ERASE_PAGES_INCLUDING_UICR : nrfjprog.ERASE_PAGES,
+        [EraseMode.ALL]: nrfjprog.ERASE_ALL,
+        [EraseMode.NONE]: nrfjprog.ERASE_NONE,
+    };
+    return {
+        chip_erase_mode: eraseModes[eraseMode],
+        // Verifying is done after writing, see verifyWrite()
+        verify: false,
+        // In case the hex files include UICR, avoid resetting,
+        // that will be done by pc-nrfjprog-js
+        reset: resetAfterWrite && !hasUicr,
+    };
+}
+
+// Read FICR DEVICEID of the device
+function readDeviceId(serialNumber, deviceInfo) {
+    const startAddress = getDeviceIdAddress(deviceInfo);
+    return readDeviceRanges(serialNumber, [{ startAddress, size: DEVICE_ID_SIZE }])
+        .then(memMap => memMap.get(startAddress));
+}
+
+// Refuse to write provisioning data to UICR of the device unless it is blank
+// or erased by erasing all, as erasing the UICR page would lose its contents
+async function checkProvisioningUicr(serialNumber, deviceInfo, { provisioning, settings }) {
+    const provisioningRange = getProvisioningRange(provisioning.config);
+    if (settings.eraseMode === EraseMode.ALL
+        || !provisioningRange
+        || !isInUicr(provisioningRange, deviceInfo)) {
+        return;
+    }
+    const { uicrBaseAddr, uicrSize } = deviceInfo;
+    const uicr = await readDeviceRanges(serialNumber, [
+        { startAddress: uicrBaseAddr, size: uicrSize },
+    ]);
+    if (!uicr.get(uicrBaseAddr).every(byte => byte === 0xFF)) {
+        throw new Error('UICR of the device is not blank, erase all to write the provisioning data to it');
+    }
+}
+
+// Merge the loaded files and the provisioning data of the device. The result
+// is paginated to fit the flash pages when writing.
+function getWriteMemMap(serialNumber, deviceInfo) {
+    return async (dispatch, getState) => {
+        const fileMemMap = fileActions.getMergedFileMemMap(getState(), true);
+        await checkProvisioningUicr(serialNumber, deviceInfo, getState().app);
+        const provisioningMemMap = await dispatch(prepareProvisioning(
+            serialNumber,
+            () => readDeviceId(serialNumber, deviceInfo),
+        ));
+        return provisioningMemMap
+            ? mergeMemMaps(
+                [[null, fileMemMap], [null, provisioningMemMap]],
+                OverlapPolicy.LAST_WINS,
+            )
+            : fileMemMap;
+    };
+}
+
+// Get the pages which differ from the device memory, when the whole memory
+// has been read and the pages are erased one by one. Otherwise all the pages.
+function getChangedPages(state, pages) {
+    const { target, settings } = state.app;
+    if (!settings.incrementalWrite) {
+        return pages;
+    }
+    if (settings.eraseMode !== EraseMode.PAGES || !target.isMemLoaded) {
+        logger.info('Device memory has not been read, so all the pages are written');
+        return pages;
+    }
+    const pageDiff = diffPages(
+        pages, target.memMap, target.knownRanges, target.deviceInfo.pageSize,
+    );
+    const changedAddresses = new Set(pageDiff
+        .filter(({ status }) => (
+            status === PageStatus.DIFFERING || status === PageStatus.FILE_ONLY
+        ))
+        .map(({ startAddress }) => startAddress));
+    const changedPages = new MemoryMap([...pages.keys()]
+        .filter(address => changedAddresses.has(address))
+        .map(address => [address, pages.get(address)]));
+    logger.info(`Skipping ${pages.size - changedPages.size} of ${pages.size} pages which are identical on the device`);
+    return changedPages;
+}
+
+// Reset the device with nrfjprog.sysReset()
+function resetDevice(serialNumber) {
+    return new Promise((resolve, reject) => {
+        nrfjprog.sysReset(serialNumber, err => (err ? reject(err) : resolve()));
+    });
+}
+
+// Enable the readback protection by writing UICR. It becomes active when the
+// device is reset, and only recovering the device removes it.
+function enableProtection(serialNumber, family) {
+    const memMap = createProtectionMemMap(family);
+    if (!memMap) {
+        return Promise.reject(new Error(`Readback protection of ${family} devices is not known`));
+    }
+    logger.info('Enabling readback protection');
+    return writeHex(serialNumber, memMap.asHexString(), {
+        chip_erase_mode: nrfjprog.ERASE_NONE,
+        verify: false,
+        reset: false,
+    });
+}
+
 // Does some sanity checks, joins the loaded HEX files, flattens overlaps,
 // paginates the result to fit flash pages, and calls writeHex()
 export function write() {
     return async (dispatch, getState) => {
         logger.info('Writing procedure starts');
+        const startTime = Date.now();
         dispatch(targetActions.writingStartAction());
 
         const appState = getState().app;
         const serialNumber = parseInt(appState.target.serialNumber, 10);
-        const { pageSize, uicrBaseAddr } = appState.target.deviceInfo;
+        const { deviceInfo } = appState.target;
+        const { pageSize, uicrBaseAddr } = deviceInfo;
 
         if (!serialNumber || !pageSize) {
             logger.error('Select a device before writing');
@@ -371,53 +919,260 @@ export function write() {
         // FIXME: Check if the target's UICR is blank. If not, slice the flattened
         // HEX files so that the code doesn't try to overwrite UICR.
         // This is part of the «UICR can only be written to after an "erase all"» logic
-        return fileActions.checkUpToDateFiles(dispatch, getState).then(() => {
-            const pages = MemoryMap.flattenOverlaps(
-                MemoryMap.overlapMemoryMaps(appState.file.memMaps),
-            ).paginate(pageSize);
+        return fileActions.checkUpToDateFiles(dispatch, getState).then(async () => {
+            let memMap;
+            try {
+                memMap = await dispatch(getWriteMemMap(serialNumber, deviceInfo));
+            } catch (error) {
+                logger.error(`Could not write: ${error.message}`);
+                await dispatch(saveReport({
+                    operation: ReportOperation.WRITE,
+                    startTime,
+                    success: false,
+                    error: error.message,
+                }));
+                dispatch(targetActions.writingEndAction());
+                return undefined;
+            }
+
+            const pages = memMap.paginate(pageSize);
+            const changedPages = getChangedPages(getState(), pages);
 
             // In case the hex files include UICR, we need to erase that from the
-            // device and avoid resetting, that will be done by pc-nrfjprog-js
-            if ([...pages.keys()].find(addr => addr >= uicrBaseAddr) !== undefined) {
-                dispatch(writeHex(serialNumber, pages.asHexString(64), {
-                    chip_erase_mode: nrfjprog.ERASE_PAGES_INCLUDING_UICR,
-                    reset: false,
-                }));
-            } else {
-                dispatch(writeHex(serialNumber, pages.asHexString(64)));
+            // device when erasing pages
+            const hasUicr = [...changedPages.keys()]
+                .find(addr => addr >= uicrBaseAddr) !== undefined;
+            const { settings } = getState().app;
+            const writeResult = {
+                success: false,
+                verified: false,
+                mismatches: [],
+                skippedPages: pages.size - changedPages.size,
+                isProtected: false,
+                durations: {},
+                error: null,
+            };
+            try {
+                let stepStartTime = Date.now();
+                if (changedPages.size) {
+                    await writeHex(
+                        serialNumber,
+                        changedPages.asHexString(64),
+                        getProgramOptions(settings, hasUicr),
+                    );
+                } else {
+                    logger.info('All the pages are identical on the device, nothing is written');
+                }
+                writeResult.durations.write = Date.now() - stepStartTime;
+                if (settings.verifyAfterWrite) {
+                    stepStartTime = Date.now();
+                    writeResult.mismatches = await verifyWrite(
+                        serialNumber, memMap, settings.verifyMode,
+                    );
+                    writeResult.durations.verify = Date.now() - stepStartTime;
+                    writeResult.verified = true;
+                    if (writeResult.mismatches.length) {
+                        dispatch(reportMismatches(writeResult.mismatches));
+                        throw new Error('The written data does not match the files.');
+                    }
+                    logger.info('Verifying passed');
+                }
+                if (settings.protectAfterWrite) {
+                    await enableProtection(serialNumber, deviceInfo.family);
+                    writeResult.isProtected = true;
+                    if (settings.resetAfterWrite) {
+                        await resetDevice(serialNumber);
+                    }
+                }
+                writeResult.success = true;
+            } catch (error) {
+                writeResult.error = error.message || `${error}`;
+                logger.error(`Writing failed: ${writeResult.error}`);
             }
+            dispatch(targetActions.writeResultKnownAction(writeResult));
+            await dispatch(saveReport({
+                operation: ReportOperation.WRITE,
+                startTime,
+                success: writeResult.success,
+                error: writeResult.error,
+                durations: writeResult.durations,
+                verify: writeResult.verified ? {
+                    mode: settings.verifyMode,
+                    passed: writeResult.mismatches.length === 0,
+                    mismatches: writeResult.mismatches.length,
+                } : null,
+                regions: getState().app.file.regions.toArray(),
+                details: {
+                    eraseMode: settings.eraseMode,
+                    writtenPages: changedPages.size,
+                    skippedPages: writeResult.skippedPages,
+                    readbackProtection: writeResult.isProtected,
+                },
+            }));
 
+            await dispatch(loadDeviceInfo(serialNumber));
+            dispatch(targetActions.writingEndAction());
             dispatch(targetActions.updateTargetWritable());
+            return writeResult;
         }).catch(() => {});
     };
 }
 
+// Ask the user to confirm recovering the device, since it erases the whole
+// device, and recover it if confirmed
+export function confirmRecover() {
+    return dispatch => {
+        remote.dialog.showMessageBox({
+            type: 'warning',
+            title: 'Recover',
+            message: 'Recover the device?',
+            detail: 'Recovering erases the whole device, including UICR, '
+                + 'and removes the readback protection.',
+            buttons: ['Recover', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1,
+        }, response => {
+            if (response === 0) {
+                dispatch(recover()).catch(() => {});
+            }
+        });
+    };
+}
+
 // Erase all on device and write file to it.
 export function recoverAndWrite() {
     return dispatch => dispatch(recover(true))
         .then(() => dispatch(write()));
 }
 
-// Save the content from the device momery as hex file.
-export function saveAsFile() {
-    return (dispatch, getState) => {
-        const { memMap, deviceInfo } = getState().app.target;
+// Program the device of a J-Link probe with the steps of programProbe().
+// onResult is called with the outcome of the steps as they end.
+function programProbeSteps(serialNumber, onStep, onResult) {
+    return async (dispatch, getState) => {
+        const { settings } = getState().app;
+
+        // Recovering first also erases devices which are protected
+        if (settings.eraseMode === EraseMode.ALL) {
+            onStep(ProductionStep.ERASE);
+            await recoverDevice(serialNumber);
+        }
+
+        let info;
+        try {
+            info = await getDeviceInfo(serialNumber);
+        } catch (error) {
+            throw isProtectionError(error)
+                ? new Error('The device has readback protection enabled, erase all to recover it')
+                : error;
+        }
+        const deviceInfo = getDeviceInfoByJprog(info);
+        onResult({ family: deviceInfo.family, type: deviceInfo.type });
+        const memMap = await dispatch(getWriteMemMap(serialNumber, deviceInfo));
+        const pages = memMap.paginate(deviceInfo.pageSize);
+        const hasUicr = [...pages.keys()]
+            .find(addr => addr >= deviceInfo.uicrBaseAddr) !== undefined;
+        const options = getProgramOptions(settings, hasUicr);
+        if (settings.eraseMode === EraseMode.ALL) {
+            options.chip_erase_mode = nrfjprog.ERASE_NONE;
+        }
+
+        onStep(ProductionStep.WRITE);
+        await writeHex(serialNumber, pages.asHexString(64), { ...options, reset: false });
+        onResult({ writtenPages: pages.size });
 
-        const options = {
-            title: 'Save memory as file',
-            defaultPath: `nRF_Connect_Programmer_${Date.now()}.hex`,
+        if (settings.verifyAfterWrite) {
+            onStep(ProductionStep.VERIFY);
+            const mismatches = await verifyWrite(serialNumber, memMap, settings.verifyMode);
+            onResult({
+                verify: {
+                    mode: settings.verifyMode,
+                    passed: mismatches.length === 0,
+                    mismatches: mismatches.length,
+                },
+            });
+            if (mismatches.length) {
+                mismatches.forEach(mismatch => logger.error(`${serialNumber}: Mismatch at ${formatConflict(mismatch)}`));
+                throw new Error(`${mismatches.length} ranges differ from the written data`);
+            }
+        }
+
+        if (settings.protectAfterWrite) {
+            onStep(ProductionStep.PROTECT);
+            await enableProtection(serialNumber, deviceInfo.family);
+            onResult({ readbackProtection: true });
+        }
+
+        if (settings.resetAfterWrite) {
+            onStep(ProductionStep.RESET);
+            await resetDevice(serialNumber);
+        }
+    };
+}
+
+// Write the loaded files to the device of any connected J-Link probe, with the
+// chosen write options, without changing the state of the selected device.
+// onStep is called with each ProductionStep before it starts.
+// A report is saved for the device, with the duration of each step.
+// Rejects with the error of the step which failed.
+export function programProbe(serialNumberInput, onStep) {
+    return async (dispatch, getState) => {
+        const serialNumber = parseInt(serialNumberInput, 10);
+        const { eraseMode } = getState().app.settings;
+        const startTime = Date.now();
+        const durations = {};
+        const result = {
+            family: undefined,
+            type: undefined,
+            verify: null,
+            writtenPages: 0,
+            readbackProtection: false,
         };
 
-        const save = filePath => {
-            if (filePath) {
-                fs.writeFile(filePath, memMap.slice(0, deviceInfo.romSize).asHexString(), err => {
-                    if (err) {
-                        logger.error(`Error when saving file: ${err}`);
-                    }
-                    logger.info(`File is successfully saved at ${filePath}`);
-                });
+        let step = null;
+        let stepStartTime;
+        const endStep = () => {
+            if (step) {
+                durations[step] = Date.now() - stepStartTime;
             }
         };
-        remote.dialog.showSaveDialog(options, save);
+        const startStep = nextStep => {
+            endStep();
+            step = nextStep;
+            stepStartTime = Date.now();
+            onStep(nextStep);
+        };
+
+        let error = null;
+        try {
+            await dispatch(programProbeSteps(
+                serialNumber, startStep, changes => Object.assign(result, changes),
+            ));
+        } catch (stepError) {
+            error = stepError;
+        }
+        endStep();
+        await dispatch(saveReport({
+            operation: ReportOperation.WRITE,
+            startTime,
+            success: !error,
+            error: error && (error.message || `${error}`),
+            durations,
+            verify: result.verify,
+            regions: getState().app.file.regions.toArray(),
+            details: {
+                eraseMode,
+                writtenPages: result.writtenPages,
+                readbackProtection: result.readbackProtection,
+            },
+            device: {
+                serialNumber: `${serialNumberInput}`,
+                family: result.family,
+                type: result.type,
+                communicationType: getCommunicationType(CommunicationType.JLINK),
+            },
+        }));
+        if (error) {
+            throw error;
+        }
     };
 }
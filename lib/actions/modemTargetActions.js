@@ -38,6 +38,9 @@ import { remote } from 'electron';
 import { logger } from 'nrfconnect/core';
 import nrfjprog from 'pc-nrfjprog-js';
 
+import { ReportOperation } from '../util/report';
+import { saveReport } from './reportActions';
+
 export const MODEM_KNOWN = 'MODEM_KNOWN';
 export const MODEM_PROCESS_UPDATE = 'MODEM_PROCESS_UPDATE';
 export const MODEM_WRITING_CLOSE = 'MODEM_WRITING_CLOSE';
@@ -102,7 +105,9 @@ export const cancelUpdate = () => dispatch => {
     dispatch(writingCloseAction());
 };
 
-export const performUpdate = () => (dispatch, getState) => {
+// Resolves whether the modem firmware has been written
+export const performUpdate = () => (dispatch, getState) => new Promise(resolve => {
+    const startTime = Date.now();
     dispatch(writingStartAction());
     dispatch(processUpdateAction(MODEM_DFU_STARTING));
     logger.info('Modem DFU starts to write...');
@@ -117,6 +122,14 @@ export const performUpdate = () => (dispatch, getState) => {
         dispatch(processUpdateAction(progress.process));
     };
 
+    const report = (success, error) => dispatch(saveReport({
+        operation: ReportOperation.MODEM,
+        startTime,
+        success,
+        error,
+        filePaths: [fileName],
+    }));
+
     const callback = err => {
         if (err) {
             logger.error(`Modem DFU failed with error: ${err}`);
@@ -126,11 +139,13 @@ export const performUpdate = () => (dispatch, getState) => {
                     + 'Please click Erase all button and try updating modem again.';
             }
             dispatch(writingFailAction(errorMsg));
+            report(false, errorMsg).then(() => resolve(false));
             return;
         }
         logger.info('Modem DFU completed successfully!');
         dispatch(writingSucceedAction());
+        report(true, null).then(() => resolve(true));
     };
 
     nrfjprog.programDFU(serialNumber, fileName, progressCallback, callback);
-};
+});
@@ -0,0 +1,167 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/* eslint-disable import/no-cycle */
+
+import { logger } from 'nrfconnect/core';
+
+import { ProbeStatus, runTasks } from '../util/production';
+import { programProbe } from './jlinkTargetActions';
+
+export const PRODUCTION_DIALOG_SHOW = 'PRODUCTION_DIALOG_SHOW';
+export const PRODUCTION_DIALOG_HIDE = 'PRODUCTION_DIALOG_HIDE';
+export const PRODUCTION_START = 'PRODUCTION_START';
+export const PRODUCTION_PROBE_START = 'PRODUCTION_PROBE_START';
+export const PRODUCTION_PROBE_STEP = 'PRODUCTION_PROBE_STEP';
+export const PRODUCTION_PROBE_END = 'PRODUCTION_PROBE_END';
+export const PRODUCTION_END = 'PRODUCTION_END';
+
+export function productionDialogShowAction() {
+    return {
+        type: PRODUCTION_DIALOG_SHOW,
+    };
+}
+
+export function productionDialogHideAction() {
+    return {
+        type: PRODUCTION_DIALOG_HIDE,
+    };
+}
+
+export function productionStartAction(serialNumbers) {
+    return {
+        type: PRODUCTION_START,
+        serialNumbers,
+    };
+}
+
+export function productionProbeStartAction(serialNumber, startTime) {
+    return {
+        type: PRODUCTION_PROBE_START,
+        serialNumber,
+        startTime,
+    };
+}
+
+export function productionProbeStepAction(serialNumber, step) {
+    return {
+        type: PRODUCTION_PROBE_STEP,
+        serialNumber,
+        step,
+    };
+}
+
+export function productionProbeEndAction(serialNumber, status, duration, error) {
+    return {
+        type: PRODUCTION_PROBE_END,
+        serialNumber,
+        status,
+        duration,
+        error,
+    };
+}
+
+export function productionEndAction() {
+    return {
+        type: PRODUCTION_END,
+    };
+}
+
+export function showProductionDialog() {
+    return dispatch => {
+        dispatch(productionDialogShowAction());
+    };
+}
+
+export function hideProductionDialog() {
+    return (dispatch, getState) => {
+        if (getState().app.production.isRunning) {
+            return;
+        }
+        dispatch(productionDialogHideAction());
+    };
+}
+
+// Write the loaded files to the device of one probe, and keep its status
+function programProductionProbe(serialNumber) {
+    return async dispatch => {
+        const startTime = Date.now();
+        dispatch(productionProbeStartAction(serialNumber, startTime));
+        try {
+            await dispatch(programProbe(serialNumber, step => {
+                logger.info(`${serialNumber}: ${step}`);
+                dispatch(productionProbeStepAction(serialNumber, step));
+            }));
+        } catch (error) {
+            const message = error.message || `${error}`;
+            logger.error(`${serialNumber}: Programming failed: ${message}`);
+            dispatch(productionProbeEndAction(
+                serialNumber, ProbeStatus.FAILED, Date.now() - startTime, message,
+            ));
+            throw error;
+        }
+        logger.info(`${serialNumber}: Programming passed`);
+        dispatch(productionProbeEndAction(
+            serialNumber, ProbeStatus.PASSED, Date.now() - startTime, null,
+        ));
+    };
+}
+
+// Write the loaded files to the devices of all the connected J-Link probes,
+// one after another, since nrfjprog is not known to be safe for concurrent calls
+export function runProduction() {
+    return async (dispatch, getState) => {
+        const { production, file } = getState().app;
+        const serialNumbers = production.serialNumbers.toArray();
+        if (production.isRunning || !serialNumbers.length) {
+            return;
+        }
+        if (!Object.keys(file.loaded).length) {
+            logger.error('Add the files to write before programming');
+            return;
+        }
+
+        logger.info(`Programming ${serialNumbers.length} J-Link probes one after another`);
+        dispatch(productionStartAction(serialNumbers));
+        const outcomes = await runTasks(
+            serialNumbers,
+            serialNumber => dispatch(programProductionProbe(serialNumber)),
+        );
+        const failed = outcomes.filter(({ isPassed }) => !isPassed).length;
+        logger.info(`Programming finished: ${outcomes.length - failed} passed, ${failed} failed`);
+        dispatch(productionEndAction());
+    };
+}
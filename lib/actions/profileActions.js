@@ -0,0 +1,329 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/* eslint-disable import/no-cycle */
+
+import { readFile, writeFile } from 'fs';
+import { dirname, relative, resolve } from 'path';
+
+import { remote } from 'electron';
+import Store from 'electron-store';
+import { logger } from 'nrfconnect/core';
+
+import { EraseMode, VerifyMode } from '../util/devices';
+import * as fileActions from './fileActions';
+import { setWriteOptions } from './settingsActions';
+
+const persistentStore = new Store({ name: 'nrf-programmer' });
+
+export const PROFILES_LOAD = 'PROFILES_LOAD';
+export const PROFILE_SELECT = 'PROFILE_SELECT';
+export const PROFILE_DIALOG_SHOW = 'PROFILE_DIALOG_SHOW';
+export const PROFILE_DIALOG_HIDE = 'PROFILE_DIALOG_HIDE';
+
+export function profilesLoadAction(profiles) {
+    return {
+        type: PROFILES_LOAD,
+        profiles,
+    };
+}
+
+export function profileSelectAction(name) {
+    return {
+        type: PROFILE_SELECT,
+        name,
+    };
+}
+
+export function profileDialogShowAction() {
+    return {
+        type: PROFILE_DIALOG_SHOW,
+    };
+}
+
+export function profileDialogHideAction() {
+    return {
+        type: PROFILE_DIALOG_HIDE,
+    };
+}
+
+function persistProfiles(profiles) {
+    persistentStore.set('profiles', profiles);
+}
+
+// Create a profile from the loaded files, the connected device and the write options
+function createProfile(state) {
+    const { file: { loaded }, target: { serialNumber, deviceInfo }, settings } = state.app;
+    return {
+        files: Object.keys(loaded).map(filePath => ({
+            filePath,
+            offset: loaded[filePath].offset || 0,
+            enabled: loaded[filePath].enabled !== false,
+        })),
+        deviceFamily: serialNumber ? deviceInfo.family : null,
+        deviceType: serialNumber && deviceInfo.type !== 'Unknown' ? deviceInfo.type : null,
+        eraseMode: settings.eraseMode,
+        verifyAfterWrite: settings.verifyAfterWrite,
+        verifyMode: settings.verifyMode,
+        resetAfterWrite: settings.resetAfterWrite,
+        incrementalWrite: settings.incrementalWrite,
+    };
+}
+
+// Check an imported profile, with file paths relative to the directory of
+// the profile file, and return it as stored
+function parseProfile(profile, profileDir) {
+    if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+        throw new Error('A profile has no name.');
+    }
+    if (!Array.isArray(profile.files)
+        || !profile.files.every(file => file && typeof file.path === 'string')) {
+        throw new Error(`Profile ${profile.name} has no valid list of files.`);
+    }
+    if (profile.eraseMode !== undefined
+        && !Object.values(EraseMode).includes(profile.eraseMode)) {
+        throw new Error(`Profile ${profile.name} has an unknown erase mode ${profile.eraseMode}.`);
+    }
+    if (profile.verifyMode !== undefined
+        && !Object.values(VerifyMode).includes(profile.verifyMode)) {
+        throw new Error(`Profile ${profile.name} has an unknown verify mode ${profile.verifyMode}.`);
+    }
+    return {
+        files: profile.files.map(file => ({
+            filePath: resolve(profileDir, file.path),
+            offset: Number.isInteger(file.offset) ? file.offset : 0,
+            enabled: file.enabled !== false,
+        })),
+        deviceFamily: profile.deviceFamily || null,
+        deviceType: profile.deviceType || null,
+        eraseMode: profile.eraseMode || EraseMode.PAGES,
+        verifyAfterWrite: profile.verifyAfterWrite !== false,
+        verifyMode: profile.verifyMode || VerifyMode.READBACK,
+        resetAfterWrite: profile.resetAfterWrite !== false,
+        incrementalWrite: profile.incrementalWrite === true,
+    };
+}
+
+// Get a profile as exported, with file paths relative to the directory of
+// the profile file, so that it can be shared along with the files
+function formatProfile(name, profile, profileDir) {
+    const { files, ...options } = profile;
+    return {
+        name,
+        files: files.map(({ filePath, offset, enabled }) => ({
+            path: relative(profileDir, filePath).split('\\').join('/'),
+            offset,
+            enabled,
+        })),
+        ...options,
+    };
+}
+
+// Describe why the connected device does not match the selected profile,
+// or return null if it matches
+export function getProfileDeviceMismatch(state) {
+    const { profile: { profiles, selected }, target: { serialNumber, deviceInfo } } = state.app;
+    const profile = profiles[selected];
+    if (!profile || !serialNumber) {
+        return null;
+    }
+    if (profile.deviceFamily && profile.deviceFamily !== deviceInfo.family) {
+        return `Profile ${selected} is made for ${profile.deviceFamily} devices, but the device is ${deviceInfo.family}.`;
+    }
+    if (profile.deviceType && deviceInfo.type !== 'Unknown'
+        && profile.deviceType !== deviceInfo.type) {
+        return `Profile ${selected} is made for ${profile.deviceType} devices, but the device is ${deviceInfo.type}.`;
+    }
+    return null;
+}
+
+export function loadProfiles() {
+    return dispatch => {
+        dispatch(profilesLoadAction(persistentStore.get('profiles', {})));
+    };
+}
+
+export function showProfileDialog() {
+    return dispatch => {
+        dispatch(profileDialogShowAction());
+    };
+}
+
+export function cancelProfileDialog() {
+    return dispatch => {
+        dispatch(profileDialogHideAction());
+    };
+}
+
+// Save the loaded files and the write options as a profile with the given name,
+// replacing an existing profile with the same name
+export function saveProfile(name) {
+    return (dispatch, getState) => {
+        dispatch(profileDialogHideAction());
+        const profiles = {
+            ...getState().app.profile.profiles,
+            [name]: createProfile(getState()),
+        };
+        persistProfiles(profiles);
+        dispatch(profilesLoadAction(profiles));
+        dispatch(profileSelectAction(name));
+        logger.info(`Profile ${name} has been saved`);
+    };
+}
+
+export function removeProfile(name) {
+    return (dispatch, getState) => {
+        const profiles = { ...getState().app.profile.profiles };
+        delete profiles[name];
+        persistProfiles(profiles);
+        dispatch(profilesLoadAction(profiles));
+        if (getState().app.profile.selected === name) {
+            dispatch(profileSelectAction(null));
+        }
+        logger.info(`Profile ${name} has been removed`);
+    };
+}
+
+// Open a file of a profile, with its offset and whether it is included
+function openProfileFile(name, { filePath, offset, enabled }) {
+    return async (dispatch, getState) => {
+        try {
+            await dispatch(fileActions.openFile(filePath));
+        } catch (error) {
+            logger.warn(`Could not open ${filePath} of profile ${name}`);
+        }
+        const entry = getState().app.file.loaded[filePath];
+        if (entry && (entry.offset || 0) !== offset) {
+            dispatch(fileActions.setFileOffset(filePath, offset));
+        }
+        if (entry && !enabled) {
+            dispatch(fileActions.toggleFileEnabled(filePath));
+        }
+    };
+}
+
+// Replace the loaded files and the write options by those of a profile
+export function applyProfile(name) {
+    return async (dispatch, getState) => {
+        const profile = getState().app.profile.profiles[name];
+        if (!profile) {
+            return;
+        }
+        logger.info(`Applying profile ${name}`);
+        dispatch(fileActions.closeFiles());
+
+        // The files are opened one by one, to keep their priority order
+        await profile.files.reduce(
+            (previous, file) => previous.then(() => dispatch(openProfileFile(name, file))),
+            Promise.resolve(),
+        );
+
+        const {
+            eraseMode, verifyAfterWrite, verifyMode, resetAfterWrite, incrementalWrite,
+        } = profile;
+        dispatch(setWriteOptions({
+            eraseMode,
+            verifyAfterWrite,
+            verifyMode: verifyMode || VerifyMode.READBACK,
+            resetAfterWrite,
+            incrementalWrite: incrementalWrite === true,
+        }));
+        dispatch(profileSelectAction(name));
+        dispatch(fileActions.updateFileRegions());
+    };
+}
+
+// Export a profile to a JSON file
+export function exportProfile(name) {
+    return (dispatch, getState) => {
+        const profile = getState().app.profile.profiles[name];
+        if (!profile) {
+            return;
+        }
+        remote.dialog.showSaveDialog({
+            title: 'Export profile',
+            defaultPath: `${name}.json`,
+            filters: [{ name: 'Profiles', extensions: ['json'] }],
+        }, filePath => {
+            if (!filePath) {
+                return;
+            }
+            const content = formatProfile(name, profile, dirname(filePath));
+            writeFile(filePath, `${JSON.stringify(content, null, 4)}\n`, err => {
+                if (err) {
+                    logger.error(`Error when exporting profile: ${err}`);
+                    return;
+                }
+                logger.info(`Profile ${name} has been exported to ${filePath}`);
+            });
+        });
+    };
+}
+
+// Import profiles from a JSON file, either a single profile or an array of them
+export function importProfiles() {
+    return (dispatch, getState) => {
+        remote.dialog.showOpenDialog({
+            title: 'Import profiles',
+            filters: [{ name: 'Profiles', extensions: ['json'] }],
+            properties: ['openFile'],
+        }, filePaths => {
+            if (!filePaths || !filePaths.length) {
+                return;
+            }
+            const [filePath] = filePaths;
+            readFile(filePath, 'utf8', (err, data) => {
+                if (err) {
+                    logger.error(`Error when importing profiles: ${err}`);
+                    return;
+                }
+                const profiles = { ...getState().app.profile.profiles };
+                try {
+                    const content = JSON.parse(data);
+                    (Array.isArray(content) ? content : [content]).forEach(profile => {
+                        profiles[profile.name] = parseProfile(profile, dirname(filePath));
+                        logger.info(`Profile ${profile.name} has been imported`);
+                    });
+                } catch (error) {
+                    logger.error(`Error when importing profiles: ${error.message}`);
+                    return;
+                }
+                persistProfiles(profiles);
+                dispatch(profilesLoadAction(profiles));
+            });
+        });
+    };
+}
@@ -0,0 +1,243 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { randomBytes } from 'crypto';
+import {
+    appendFile,
+    existsSync,
+    readFile,
+} from 'fs';
+import { join } from 'path';
+
+import { remote } from 'electron';
+import Store from 'electron-store';
+import { logger } from 'nrfconnect/core';
+
+import { hexpad8 } from '../util/hexpad';
+import {
+    LOG_COLUMNS,
+    ProvisioningSource,
+    createProvisioningMemMap,
+    formatBytes,
+    formatLogLine,
+    generateValues,
+    getUsedValues,
+    parseCsv,
+} from '../util/provisioning';
+
+const persistentStore = new Store({ name: 'nrf-programmer' });
+
+export const PROVISIONING_LOAD = 'PROVISIONING_LOAD';
+export const PROVISIONING_DIALOG_SHOW = 'PROVISIONING_DIALOG_SHOW';
+export const PROVISIONING_DIALOG_HIDE = 'PROVISIONING_DIALOG_HIDE';
+
+export const defaultProvisioningConfig = {
+    isEnabled: false,
+    // UICR CUSTOMER[0] of nRF51 and nRF52
+    address: 0x10001080,
+    fields: [{
+        name: 'serialNumber',
+        source: ProvisioningSource.COUNTER,
+        size: 4,
+        column: '',
+    }],
+    nextCounter: 1,
+    csvPath: null,
+    nextCsvRow: 0,
+    logPath: null,
+};
+
+export function provisioningLoadAction(config) {
+    return {
+        type: PROVISIONING_LOAD,
+        config,
+    };
+}
+
+export function provisioningDialogShowAction() {
+    return {
+        type: PROVISIONING_DIALOG_SHOW,
+    };
+}
+
+export function provisioningDialogHideAction() {
+    return {
+        type: PROVISIONING_DIALOG_HIDE,
+    };
+}
+
+function readTextFile(filePath) {
+    return new Promise((resolve, reject) => {
+        readFile(filePath, 'utf8', (err, text) => (err ? reject(err) : resolve(text)));
+    });
+}
+
+function appendTextFile(filePath, text) {
+    return new Promise((resolve, reject) => {
+        appendFile(filePath, text, err => (err ? reject(err) : resolve()));
+    });
+}
+
+// The log of the assigned values, in the user data directory unless chosen
+export function getLogPath(config) {
+    return config.logPath || join(remote.app.getPath('userData'), 'provisioning-log.csv');
+}
+
+function setProvisioningConfig(config) {
+    return dispatch => {
+        persistentStore.set('provisioning', config);
+        dispatch(provisioningLoadAction(config));
+    };
+}
+
+export function loadProvisioning() {
+    return dispatch => {
+        const config = {
+            ...defaultProvisioningConfig,
+            ...persistentStore.get('provisioning', {}),
+        };
+        dispatch(provisioningLoadAction(config));
+    };
+}
+
+export function showProvisioningDialog() {
+    return dispatch => {
+        dispatch(provisioningDialogShowAction());
+    };
+}
+
+export function cancelProvisioningDialog() {
+    return dispatch => {
+        dispatch(provisioningDialogHideAction());
+    };
+}
+
+export function saveProvisioning(config) {
+    return dispatch => {
+        dispatch(provisioningDialogHideAction());
+        dispatch(setProvisioningConfig(config));
+        logger.info(config.isEnabled
+            ? `Provisioning data is written at ${hexpad8(config.address)}`
+            : 'Provisioning is disabled');
+    };
+}
+
+// Let the user choose the CSV file of values or the log file
+export function chooseProvisioningFile(isLog) {
+    return () => new Promise(resolve => {
+        const options = {
+            title: isLog ? 'Provisioning log' : 'Provisioning values',
+            filters: [{ name: 'CSV files', extensions: ['csv'] }],
+        };
+        if (isLog) {
+            remote.dialog.showSaveDialog(options, filePath => resolve(filePath || null));
+        } else {
+            remote.dialog.showOpenDialog({ ...options, properties: ['openFile'] }, filePaths => (
+                resolve(filePaths && filePaths.length ? filePaths[0] : null)
+            ));
+        }
+    });
+}
+
+// Generate the provisioning data for writing to a device, and log the
+// assigned values. The next counter value and CSV row are saved before
+// writing, so that the values are not reused even if writing fails.
+// A log with other columns than the fields is refused, since the used values
+// would be read under the wrong names.
+// Resolves to the memory map of the data, or null if provisioning is disabled.
+function generateProvisioning(serialNumber, readDeviceId) {
+    return async (dispatch, getState) => {
+        const { config } = getState().app.provisioning;
+        if (!config.isEnabled) {
+            return null;
+        }
+        const sources = config.fields.map(({ source }) => source);
+        const logPath = getLogPath(config);
+
+        const logText = existsSync(logPath) ? await readTextFile(logPath) : '';
+        const columns = [...LOG_COLUMNS, ...config.fields.map(({ name }) => name)];
+        const { header: logColumns } = parseCsv(logText);
+        if (logText && logColumns.join(',') !== columns.join(',')) {
+            throw new Error(`The provisioning log ${logPath} has the columns ${logColumns.join(', ')}, `
+                + 'which are not those of the fields. Choose another log file.');
+        }
+        let csv = { header: [], rows: [] };
+        if (sources.includes(ProvisioningSource.CSV)) {
+            if (!config.csvPath) {
+                throw new Error('Choose the CSV file of provisioning values.');
+            }
+            csv = parseCsv(await readTextFile(config.csvPath));
+        }
+        const deviceId = sources.includes(ProvisioningSource.DEVICE_ID)
+            ? await readDeviceId()
+            : null;
+
+        const { fields, nextCounter, nextCsvRow } = generateValues(config, {
+            deviceId,
+            csv,
+            usedValues: getUsedValues(logText),
+            randomBytes: size => new Uint8Array(randomBytes(size)),
+        });
+        dispatch(setProvisioningConfig({ ...config, nextCounter, nextCsvRow }));
+
+        const header = logText ? '' : formatLogLine(columns);
+        await appendTextFile(logPath, header + formatLogLine([
+            new Date().toISOString(),
+            `${serialNumber}`,
+            hexpad8(config.address),
+            ...fields.map(({ bytes }) => formatBytes(bytes)),
+        ]));
+        fields.forEach(({ name, bytes }) => {
+            logger.info(`Provisioning ${name}: ${formatBytes(bytes)}`);
+        });
+
+        return createProvisioningMemMap(config.address, fields);
+    };
+}
+
+// Devices are provisioned one by one, so that each of them gets values after
+// those of the previous one
+let provisioningQueue = Promise.resolve();
+
+export function prepareProvisioning(serialNumber, readDeviceId) {
+    return dispatch => {
+        const result = provisioningQueue.then(() => (
+            dispatch(generateProvisioning(serialNumber, readDeviceId))
+        ));
+        provisioningQueue = result.catch(() => {});
+        return result;
+    };
+}
@@ -0,0 +1,142 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { createHash } from 'crypto';
+import {
+    mkdir,
+    readFile,
+    stat,
+    writeFile,
+} from 'fs';
+import { dirname, join } from 'path';
+
+import { remote } from 'electron';
+import { logger } from 'nrfconnect/core';
+
+import { getCommunicationType } from '../util/devices';
+import { createReport, formatJUnitXml, getReportFileName } from '../util/report';
+
+// The reports are saved in the user data directory unless another one is chosen
+export function getReportDirectory(settings) {
+    return settings.reportDirectory || join(remote.app.getPath('userData'), 'reports');
+}
+
+// Get the SHA-256 and the modification time of a file, which are null
+// if the file cannot be read
+function getFileInfo(filePath) {
+    const hash = new Promise(resolve => {
+        readFile(filePath, (err, data) => resolve(err
+            ? null
+            : createHash('sha256').update(data).digest('hex')));
+    });
+    const mtime = new Promise(resolve => {
+        stat(filePath, (err, stats) => resolve(err ? null : stats.mtime.toISOString()));
+    });
+    return Promise.all([hash, mtime])
+        .then(([sha256, modified]) => ({ path: filePath, sha256, mtime: modified }));
+}
+
+function writeTextFile(filePath, text) {
+    return new Promise((resolve, reject) => {
+        writeFile(filePath, text, err => (err ? reject(err) : resolve()));
+    });
+}
+
+// Make a directory and its missing parents, since mkdir() of Node 8 cannot
+// make the parents
+function makeDirectory(directory) {
+    return new Promise((resolve, reject) => {
+        mkdir(directory, err => {
+            if (!err || err.code === 'EEXIST') {
+                resolve();
+                return;
+            }
+            const parent = dirname(directory);
+            if (err.code !== 'ENOENT' || parent === directory) {
+                reject(err);
+                return;
+            }
+            makeDirectory(parent)
+                .then(() => makeDirectory(directory))
+                .then(resolve, reject);
+        });
+    });
+}
+
+// Save the report of an operation on a device as JSON, and as JUnit XML if chosen.
+// The outcome is as in createReport(), and filePaths are the files of the operation,
+// by default the loaded files. The device is as in createReport(), by default the
+// selected device, whose warnings are then reported too.
+// Failing to save a report is only logged.
+// Resolves to the report, or null if it could not be saved.
+export function saveReport({ filePaths, device, ...outcome }) {
+    return async (dispatch, getState) => {
+        const {
+            file,
+            settings,
+            target,
+            warning,
+        } = getState().app;
+        try {
+            const files = await Promise.all(
+                (filePaths || Object.keys(file.loaded)).map(getFileInfo),
+            );
+            const report = createReport({ endTime: Date.now(), ...outcome }, device || {
+                serialNumber: target.serialNumber,
+                family: target.deviceInfo.family,
+                type: target.deviceInfo.type,
+                communicationType: getCommunicationType(target.targetType),
+            }, files, device ? [...warning.fileWarnings] : [
+                ...warning.fileWarnings,
+                ...warning.targetWarnings,
+                ...warning.userWarnings,
+            ]);
+
+            const directory = getReportDirectory(settings);
+            const reportPath = join(directory, getReportFileName(report));
+            await makeDirectory(directory);
+            await writeTextFile(`${reportPath}.json`, `${JSON.stringify(report, null, 4)}\n`);
+            if (settings.junitReports) {
+                await writeTextFile(`${reportPath}.xml`, formatJUnitXml(report));
+            }
+            logger.info(`Report has been saved to ${reportPath}.json`);
+            return report;
+        } catch (error) {
+            logger.warn(`Could not save the report: ${error.message}`);
+            return null;
+        }
+    };
+}
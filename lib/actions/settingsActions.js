@@ -34,12 +34,32 @@
  * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
  */
 
+/* eslint-disable import/no-cycle */
+
+import { readFileSync } from 'fs';
+
+import { remote } from 'electron';
 import Store from 'electron-store';
+import { logger } from 'nrfconnect/core';
+
+import { EraseMode, VerifyMode } from '../util/devices';
+import { checkSigningKey } from '../util/dfuSigning';
+import { OverlapPolicyName } from '../util/overlaps';
+import { updateFileRegions } from './fileActions';
+import updateFileWatchers from './fileWatchActions';
+import { updateTargetWritable } from './targetActions';
 
 const persistentStore = new Store({ name: 'nrf-programmer' });
 
 export const SETTINGS_LOAD = 'SETTINGS_LOAD';
 export const TOGGLE_AUTO_READ = 'TOGGLE_AUTO_READ';
+export const SIGNING_KEY_SET = 'SIGNING_KEY_SET';
+export const OVERLAP_POLICY_SET = 'OVERLAP_POLICY_SET';
+export const TOGGLE_WATCH_FILES = 'TOGGLE_WATCH_FILES';
+export const TOGGLE_WRITE_ON_CHANGE = 'TOGGLE_WRITE_ON_CHANGE';
+export const WRITE_OPTIONS_SET = 'WRITE_OPTIONS_SET';
+export const REPORT_DIRECTORY_SET = 'REPORT_DIRECTORY_SET';
+export const TOGGLE_JUNIT_REPORTS = 'TOGGLE_JUNIT_REPORTS';
 
 export function settingsLoadAction(settings) {
     return {
@@ -54,12 +74,98 @@ export function toggleAutoReadAction() {
     };
 }
 
+export function toggleWatchFilesAction() {
+    return {
+        type: TOGGLE_WATCH_FILES,
+    };
+}
+
+export function toggleWriteOnChangeAction() {
+    return {
+        type: TOGGLE_WRITE_ON_CHANGE,
+    };
+}
+
+export function writeOptionsSetAction(options) {
+    return {
+        type: WRITE_OPTIONS_SET,
+        options,
+    };
+}
+
+export function signingKeySetAction(signingKeyPath) {
+    return {
+        type: SIGNING_KEY_SET,
+        signingKeyPath,
+    };
+}
+
+export function reportDirectorySetAction(reportDirectory) {
+    return {
+        type: REPORT_DIRECTORY_SET,
+        reportDirectory,
+    };
+}
+
+export function toggleJUnitReportsAction() {
+    return {
+        type: TOGGLE_JUNIT_REPORTS,
+    };
+}
+
+export function overlapPolicySetAction(overlapPolicy) {
+    return {
+        type: OVERLAP_POLICY_SET,
+        overlapPolicy,
+    };
+}
+
+// Persist all settings, so that changing one of them keeps the others
+function persistSettings(getState) {
+    persistentStore.set('settings', getState().app.settings.toJS());
+}
+
 export function loadSettings() {
     return dispatch => {
         const settings = persistentStore.get('settings') || {};
         if (!settings.autoRead) {
             settings.autoRead = false;
         }
+        if (!settings.signingKeyPath) {
+            settings.signingKeyPath = null;
+        }
+        if (!OverlapPolicyName[settings.overlapPolicy]) {
+            settings.overlapPolicy = null;
+        }
+        if (!settings.watchFiles) {
+            settings.watchFiles = false;
+        }
+        if (!settings.writeOnChange) {
+            settings.writeOnChange = false;
+        }
+        if (!Object.values(EraseMode).includes(settings.eraseMode)) {
+            settings.eraseMode = EraseMode.PAGES;
+        }
+        if (settings.verifyAfterWrite === undefined) {
+            settings.verifyAfterWrite = true;
+        }
+        if (!Object.values(VerifyMode).includes(settings.verifyMode)) {
+            settings.verifyMode = VerifyMode.READBACK;
+        }
+        if (settings.resetAfterWrite === undefined) {
+            settings.resetAfterWrite = true;
+        }
+        // Enabling the readback protection is confirmed again in each session
+        settings.protectAfterWrite = false;
+        if (!settings.incrementalWrite) {
+            settings.incrementalWrite = false;
+        }
+        if (!settings.reportDirectory) {
+            settings.reportDirectory = null;
+        }
+        if (!settings.junitReports) {
+            settings.junitReports = false;
+        }
         persistentStore.set('settings', settings);
         dispatch(settingsLoadAction(settings));
     };
@@ -71,8 +177,145 @@ export function toggleAutoRead() {
 
         // Do not use async functions above，
         // otherwise the state would be the same as before toggling
-        persistentStore.set('settings', {
-            autoRead: getState().app.settings.autoRead,
+        persistSettings(getState);
+    };
+}
+
+// Select the PEM file with the private key used to sign init packets.
+// Keys which cannot sign init packets are refused.
+export function selectSigningKey() {
+    return (dispatch, getState) => {
+        remote.dialog.showOpenDialog(
+            {
+                title: 'Select a private key for signing DFU init packets',
+                filters: [{ name: 'PEM files', extensions: ['pem'] }],
+                properties: ['openFile'],
+            },
+            filePaths => {
+                if (filePaths && filePaths.length > 0) {
+                    try {
+                        checkSigningKey(readFileSync(filePaths[0], 'utf8'));
+                    } catch (error) {
+                        logger.error(`Could not use ${filePaths[0]} as signing key: ${error.message}`);
+                        return;
+                    }
+                    logger.info(`Init packets will be signed with ${filePaths[0]}`);
+                    dispatch(signingKeySetAction(filePaths[0]));
+                    persistSettings(getState);
+                }
+            },
+        );
+    };
+}
+
+export function clearSigningKey() {
+    return (dispatch, getState) => {
+        logger.info('Init packets will not be signed');
+        dispatch(signingKeySetAction(null));
+        persistSettings(getState);
+    };
+}
+
+// Choose how overlapping files are merged. Without a chosen policy the last
+// loaded file wins, but conflicting files cannot be written to a device.
+export function setOverlapPolicy(overlapPolicy) {
+    return (dispatch, getState) => {
+        logger.info(overlapPolicy
+            ? `Overlap policy: ${OverlapPolicyName[overlapPolicy]}`
+            : 'No overlap policy is chosen');
+        dispatch(overlapPolicySetAction(overlapPolicy));
+        persistSettings(getState);
+        dispatch(updateFileRegions());
+        dispatch(updateTargetWritable());
+    };
+}
+
+// Reload the loaded files automatically when they change on disk
+export function toggleWatchFiles() {
+    return (dispatch, getState) => {
+        dispatch(toggleWatchFilesAction());
+        persistSettings(getState);
+        logger.info(getState().app.settings.watchFiles
+            ? 'Files will be reloaded when they change'
+            : 'Files will not be reloaded when they change');
+        dispatch(updateFileWatchers());
+    };
+}
+
+// Write the reloaded files to the J-Link device when they change on disk
+export function toggleWriteOnChange() {
+    return (dispatch, getState) => {
+        dispatch(toggleWriteOnChangeAction());
+        persistSettings(getState);
+    };
+}
+
+// Set how J-Link devices are written: the erase mode, whether and how to verify
+// and whether to reset after writing. Options which are not given are left unchanged.
+export function setWriteOptions(options) {
+    return (dispatch, getState) => {
+        dispatch(writeOptionsSetAction(options));
+        persistSettings(getState);
+    };
+}
+
+// Enable the readback protection of J-Link devices after writing them, once the
+// user has confirmed it, or disable it
+export function setProtectAfterWrite(isEnabled) {
+    return dispatch => {
+        if (!isEnabled) {
+            dispatch(setWriteOptions({ protectAfterWrite: false }));
+            return;
+        }
+        remote.dialog.showMessageBox({
+            type: 'warning',
+            title: 'Readback protection',
+            message: 'Enable readback protection after writing?',
+            detail: 'The written devices cannot be read or debugged any more. '
+                + 'Only recovering them, which erases the whole device, removes the protection.',
+            buttons: ['Enable', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1,
+        }, response => {
+            if (response === 0) {
+                logger.info('Readback protection will be enabled after writing');
+                dispatch(setWriteOptions({ protectAfterWrite: true }));
+            }
         });
     };
 }
+
+// Choose the directory where the reports of the operations are saved
+export function selectReportDirectory() {
+    return (dispatch, getState) => {
+        remote.dialog.showOpenDialog(
+            {
+                title: 'Select the directory of the reports',
+                properties: ['openDirectory', 'createDirectory'],
+            },
+            filePaths => {
+                if (filePaths && filePaths.length > 0) {
+                    logger.info(`Reports will be saved in ${filePaths[0]}`);
+                    dispatch(reportDirectorySetAction(filePaths[0]));
+                    persistSettings(getState);
+                }
+            },
+        );
+    };
+}
+
+export function clearReportDirectory() {
+    return (dispatch, getState) => {
+        logger.info('Reports will be saved in the app data directory');
+        dispatch(reportDirectorySetAction(null));
+        persistSettings(getState);
+    };
+}
+
+// Save the reports as JUnit XML too, besides JSON
+export function toggleJUnitReports() {
+    return (dispatch, getState) => {
+        dispatch(toggleJUnitReportsAction());
+        persistSettings(getState);
+    };
+}
@@ -44,10 +44,13 @@ import {
     USBProductIds,
     McubootProductIds,
 } from '../util/devices';
+import { updateComparison } from './comparisonActions';
 import * as jlinkTargetActions from './jlinkTargetActions';
 import * as usbsdfuTargetActions from './usbsdfuTargetActions';
 import * as mcubootTargetActions from './mcubootTargetActions';
 
+// Dispatched by nRF Connect when a device is selected
+export const DEVICE_SELECTED = 'DEVICE_SELECTED';
 export const DFU_IMAGES_UPDATE = 'DFU_IMAGES_UPDATE';
 export const ERASING_END = 'ERASING_END';
 export const ERASING_START = 'ERASING_START';
@@ -56,9 +59,11 @@ export const LOADING_START = 'LOADING_START';
 export const TARGET_CONTENTS_KNOWN = 'TARGET_CONTENTS_KNOWN';
 export const TARGET_INFO_KNOWN = 'TARGET_INFO_KNOWN';
 export const TARGET_PORT_CHANGED = 'TARGET_PORT_CHANGED';
+export const TARGET_PROTECTION_KNOWN = 'TARGET_PROTECTION_KNOWN';
 export const TARGET_REGIONS_KNOWN = 'TARGET_REGIONS_KNOWN';
 export const TARGET_TYPE_KNOWN = 'TARGET_TYPE_KNOWN';
 export const TARGET_WRITABLE_KNOWN = 'TARGET_WRITABLE_KNOWN';
+export const WRITE_RESULT_KNOWN = 'WRITE_RESULT_KNOWN';
 export const WRITING_END = 'WRITING_END';
 export const WRITING_START = 'WRITING_START';
 
@@ -77,11 +82,27 @@ export function targetInfoKnownAction(deviceInfo) {
     };
 }
 
-export function targetContentsKnownAction(targetMemMap, isMemLoaded) {
+// The known ranges are the address ranges of the device memory which have been read
+export function targetContentsKnownAction(
+    targetMemMap,
+    isMemLoaded,
+    knownRanges = [],
+    isMemIncomplete = false,
+) {
     return {
         type: TARGET_CONTENTS_KNOWN,
         targetMemMap,
         isMemLoaded,
+        knownRanges,
+        isMemIncomplete,
+    };
+}
+
+// The protection status is of ProtectionStatus, or null if it is not known
+export function targetProtectionKnownAction(protectionStatus) {
+    return {
+        type: TARGET_PROTECTION_KNOWN,
+        protectionStatus,
     };
 }
 
@@ -126,6 +147,16 @@ export function writingEndAction() {
     };
 }
 
+// The result of the last write has whether it succeeded, whether it was
+// verified, the mismatching ranges found by verifying, whether readback
+// protection was enabled and the error, if any
+export function writeResultKnownAction(writeResult) {
+    return {
+        type: WRITE_RESULT_KNOWN,
+        writeResult,
+    };
+}
+
 export function erasingStartAction() {
     return {
         type: ERASING_START,
@@ -150,6 +181,7 @@ export function loadingEndAction() {
     };
 }
 
+// Open a device. Resolves when the device information has been loaded.
 export function openDevice(device) {
     return dispatch => {
         dispatch(loadingStartAction());
@@ -159,12 +191,10 @@ export function openDevice(device) {
         dispatch(targetPortChangedAction(serialNumber, serialport ? serialport.comName : null));
 
         if (device.traits.includes('jlink')) {
-            dispatch(jlinkTargetActions.loadDeviceInfo(serialNumber));
-            return;
+            return dispatch(jlinkTargetActions.loadDeviceInfo(serialNumber));
         }
         if (device.traits.includes('nordicUsb')) {
-            dispatch(usbsdfuTargetActions.openDevice(device));
-            return;
+            return dispatch(usbsdfuTargetActions.openDevice(device));
         }
 
         const { vendorId, productId } = serialport;
@@ -172,21 +202,21 @@ export function openDevice(device) {
         const pid = parseInt(productId.toString(16), 16);
         if (vid === VendorId.NORDIC_SEMICONDUCTOR) {
             if (USBProductIds.includes(pid)) {
-                dispatch(usbsdfuTargetActions.openDevice(device));
-                return;
+                return dispatch(usbsdfuTargetActions.openDevice(device));
             }
             if (McubootProductIds.includes(pid)) {
-                dispatch(mcubootTargetActions.openDevice(device));
-                return;
+                return dispatch(mcubootTargetActions.openDevice(device));
             }
         }
 
         logger.error('Unsupported device. The detected device could not be recognized as neither JLink device nor Nordic USB device.');
+        return undefined;
     };
 }
 
 export function updateTargetWritable() {
     return (dispatch, getState) => {
+        dispatch(updateComparison());
         switch (getState().app.target.targetType) {
             case CommunicationType.JLINK:
                 dispatch(jlinkTargetActions.canWrite());
@@ -0,0 +1,100 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/* eslint-disable import/no-cycle */
+
+import { logger } from 'nrfconnect/core';
+
+import { updateFileRegions } from './fileActions';
+import { updateTargetWritable } from './targetActions';
+
+export const UICR_DIALOG_SHOW = 'UICR_DIALOG_SHOW';
+export const UICR_DIALOG_HIDE = 'UICR_DIALOG_HIDE';
+export const UICR_EDITS_SET = 'UICR_EDITS_SET';
+
+export function uicrDialogShowAction() {
+    return {
+        type: UICR_DIALOG_SHOW,
+    };
+}
+
+export function uicrDialogHideAction() {
+    return {
+        type: UICR_DIALOG_HIDE,
+    };
+}
+
+export function uicrEditsSetAction(family, edits) {
+    return {
+        type: UICR_EDITS_SET,
+        family,
+        edits,
+    };
+}
+
+export function showUicrDialog() {
+    return dispatch => {
+        dispatch(uicrDialogShowAction());
+    };
+}
+
+export function cancelUicrDialog() {
+    return dispatch => {
+        dispatch(uicrDialogHideAction());
+    };
+}
+
+// Set the edited UICR fields, which are written along with the files
+export function setUicrEdits(family, edits) {
+    return dispatch => {
+        dispatch(uicrEditsSetAction(family, edits));
+        const count = Object.keys(edits).length;
+        if (count) {
+            logger.info(`${count} edited UICR fields are written along with the files`);
+        } else {
+            logger.info('No edited UICR fields are written');
+        }
+        dispatch(updateFileRegions());
+        dispatch(updateTargetWritable());
+    };
+}
+
+export function saveUicrEdits(family, edits) {
+    return dispatch => {
+        dispatch(uicrDialogHideAction());
+        dispatch(setUicrEdits(family, edits));
+    };
+}
@@ -37,7 +37,9 @@
 /* eslint-disable import/no-cycle */
 
 import Crypto from 'crypto';
+import { readFileSync, writeFile } from 'fs';
 
+import { remote } from 'electron';
 import { List, Record } from 'immutable';
 import {
     detachAndWaitFor,
@@ -45,7 +47,6 @@ import {
     initPacket,
     waitForDevice,
 } from 'nrf-device-setup';
-import MemoryMap from 'nrf-intel-hex';
 import {
     logger,
     startWatchingDevices,
@@ -65,6 +66,8 @@ import {
     NordicFwIds,
     getDeviceInfoByUSB,
 } from '../util/devices';
+import { DfuPackageImageType, createDfuPackage } from '../util/dfuPackage';
+import { getInitCommandBytes, signInitCommand } from '../util/dfuSigning';
 import {
     Region,
     RegionColor,
@@ -72,18 +75,59 @@ import {
     RegionPermission,
     getSoftDeviceId,
 } from '../util/regions';
+import { ReportOperation } from '../util/report';
 import * as fileActions from './fileActions';
+import { saveReport } from './reportActions';
 import * as targetActions from './targetActions';
 import * as userInputActions from './userInputActions';
 import * as warningActions from './warningActions';
 
+export const DFU_PACKAGE_DIALOG_SHOW = 'DFU_PACKAGE_DIALOG_SHOW';
+export const DFU_PACKAGE_DIALOG_HIDE = 'DFU_PACKAGE_DIALOG_HIDE';
+
 const { InitPacket } = initPacket;
 const DfuImage = new Record({
     name: null,
     initPacket: new InitPacket(),
     firmwareImage: null,
+    packedInitPacket: null,
 });
 
+const dfuPackageImageNames = {
+    [DfuPackageImageType.SOFTDEVICE_BOOTLOADER]:
+        `${RegionName.SOFTDEVICE} and ${RegionName.BOOTLOADER}`,
+    [DfuPackageImageType.SOFTDEVICE]: RegionName.SOFTDEVICE,
+    [DfuPackageImageType.BOOTLOADER]: RegionName.BOOTLOADER,
+    [DfuPackageImageType.APPLICATION]: RegionName.APPLICATION,
+};
+
+export function dfuPackageDialogShowAction() {
+    return {
+        type: DFU_PACKAGE_DIALOG_SHOW,
+    };
+}
+
+export function dfuPackageDialogHideAction() {
+    return {
+        type: DFU_PACKAGE_DIALOG_HIDE,
+    };
+}
+
+// Get the paths of the loaded DFU packages
+function getDfuPackagePaths(loaded) {
+    return Object.keys(loaded).filter(filePath => loaded[filePath].dfuImages);
+}
+
+// Create DFU image list from a loaded DFU package.
+// The packaged init packets are sent unchanged, since they may be signed.
+function createDfuImagesFromPackage(packageImages) {
+    return new List(packageImages.map(image => new DfuImage({
+        name: dfuPackageImageNames[image.type],
+        firmwareImage: image.firmwareImage,
+        packedInitPacket: image.initPacket,
+    })));
+}
+
 // Get device versions by calling version command
 export async function getDeviceVersions(comName) {
     const port = new SerialPort(comName, { baudRate: 115200, autoOpen: false });
@@ -290,6 +334,20 @@ export function canWrite() {
         dispatch(targetActions.targetWritableKnownAction(false));
         dispatch(warningActions.targetWarningRemoveAction());
 
+        // A DFU package is written as it is, so it cannot be combined with other files.
+        const { loaded } = getState().app.file;
+        const dfuPackagePaths = getDfuPackagePaths(loaded);
+        if (dfuPackagePaths.length > 0) {
+            if (Object.keys(loaded).length > 1) {
+                dispatch(warningActions.addTargetWarning(
+                    'A DFU package cannot be written together with other files.',
+                ));
+                return;
+            }
+            dispatch(targetActions.targetWritableKnownAction(true));
+            return;
+        }
+
         // Check if there are writable regions.
         // If not, then return.
         const { detectedRegionNames } = getState().app.file;
@@ -302,6 +360,14 @@ export function canWrite() {
             return;
         }
 
+        // Check if the overlaps of the files are allowed by the overlap policy
+        try {
+            fileActions.getMergedFileMemMap(getState(), true);
+        } catch (error) {
+            dispatch(warningActions.addTargetWarning(error.message));
+            return;
+        }
+
         // Enable write button if all above items have been checked
         dispatch(warningActions.targetWarningRemoveAction());
         dispatch(targetActions.targetWritableKnownAction(true));
@@ -394,7 +460,9 @@ function handleUserInput(imageInput) {
             // Handle sdReq
             if (!image.initPacket.sdReq) {
                 const message = 'Please select the SoftDevice required by the application firmware:';
-                sdReq = await userInputActions.getUserInput(dispatch, message, NordicFwIds);
+                sdReq = await userInputActions.getUserInput(
+                    dispatch, message, NordicFwIds, 'Custom SoftDevice ID',
+                );
             }
         }
         image = sdReq ? image.setIn(['initPacket', 'sdReq'], [sdReq]) : image;
@@ -433,6 +501,32 @@ function handleHash(image, hashType) {
         .setIn(['initPacket', 'hash'], hash);
 }
 
+// Sign the init packet with the given private key in the same way as nrfutil,
+// so that bootloaders requiring signed updates accept it
+function handleSignature(image, privateKey) {
+    const unsignedPacket = initPacket.createInitPacketUint8Array(image.initPacket
+        .set('signatureType', null)
+        .set('signature', null));
+    const signature = signInitCommand(getInitCommandBytes(unsignedPacket), privateKey);
+    logger.info(`Init packet for ${image.name} is signed by ECDSA P-256`);
+    return image
+        .setIn(['initPacket', 'signatureType'], initPacket.SignatureType.ECDSA_P256_SHA256)
+        .setIn(['initPacket', 'signature'], signature);
+}
+
+// Read the private key for signing init packets, if one is configured
+function readSigningKey(signingKeyPath) {
+    if (!signingKeyPath) {
+        return null;
+    }
+    try {
+        return readFileSync(signingKeyPath, 'utf8');
+    } catch (error) {
+        logger.error(`Could not read signing key: ${error.message}`);
+        throw error;
+    }
+}
+
 // Operate DFU process with update all the images on the target device
 function operateDFU(inputDfuImages, inputDevice) {
     if (inputDfuImages.size === 0) {
@@ -450,7 +544,8 @@ function operateDFU(inputDfuImages, inputDevice) {
             image = dfuImages.first();
             serialNumber = getState().app.target.serialNumber; // eslint-disable-line
             serialUsbTransport = new DfuTransportUsbSerial(serialNumber);
-            const packet = initPacket.createInitPacketUint8Array(image.initPacket);
+            const packet = image.packedInitPacket
+                || initPacket.createInitPacketUint8Array(image.initPacket);
             const firmwareUpdates = new DfuUpdates([{
                 initPacket: packet,
                 firmwareImage: image.firmwareImage,
@@ -478,7 +573,8 @@ function operateDFU(inputDfuImages, inputDevice) {
             // The error code refers to pc-nrf-dfu-js
             if (error.code === ErrorCode.ERROR_EXT_SIGNATURE_MISSING) {
                 dispatch(warningActions.addUserWarning(
-                    'The bootloader update must be signed. The DFU operation has been cancelled.',
+                    'The bootloader update must be signed. The DFU operation has been cancelled. '
+                    + 'Please write a signed DFU package (.zip) instead.',
                 ));
             }
 
@@ -491,7 +587,7 @@ function operateDFU(inputDfuImages, inputDevice) {
             logger.info(`${dfuImages.size - 1} dfu package(s) left.`);
             logger.info('Waiting for device');
             if (image.name === RegionName.BOOTLOADER
-                || image.name === RegionName.SOFTDEVICE) {
+                || image.name.startsWith(RegionName.SOFTDEVICE)) {
                 return waitForDevice(serialNumber, 5000, ['serialport']);
             }
             if (image.name.startsWith(RegionName.APPLICATION)) {
@@ -523,19 +619,23 @@ function operateDFU(inputDfuImages, inputDevice) {
         });
 }
 
-// Write files to target device
-export function write() {
+// Prepare the DFU images to be written, either from a loaded DFU package
+// or by creating init packets for the regions detected in the loaded files
+function prepareDfuImages() {
     return async (dispatch, getState) => {
-        dispatch(warningActions.targetWarningRemoveAction());
-        dispatch(warningActions.userWarningRemoveAction());
+        const { loaded } = getState().app.file;
+        const [dfuPackagePath] = getDfuPackagePaths(loaded);
+        if (dfuPackagePath) {
+            logger.info(`Using the init packets of DFU package ${dfuPackagePath}`);
+            return createDfuImagesFromPackage(loaded[dfuPackagePath].dfuImages);
+        }
+
         dispatch(fileActions.updateFileBlRegion());
         dispatch(fileActions.updateFileAppRegions());
         dispatch(createDfuImages());
 
         const fileRegions = getState().app.file.regions;
-        const fileMemMaps = getState().app.file.memMaps;
-        const fileOverlaps = MemoryMap.overlapMemoryMaps(fileMemMaps);
-        const fileMemMap = MemoryMap.flattenOverlaps(fileOverlaps);
+        const fileMemMap = fileActions.getMergedFileMemMap(getState(), true);
         const { deviceInfo } = getState().app.target;
         const hwVersion = parseInt(deviceInfo.family.slice(3), 10);
         let { dfuImages } = getState().app.target;
@@ -547,6 +647,59 @@ export function write() {
         dfuImages = new List(await Promise.all(
             dfuImages.map(async image => dispatch(await handleUserInput(image))),
         ));
+        return dfuImages;
+    };
+}
+
+// Sign the created init packets if a signing key is selected. This is done
+// last, since the signature covers all the other fields of the init packet.
+// The init packets of a loaded DFU package are used as they are.
+function signDfuImages(dfuImages) {
+    return (dispatch, getState) => {
+        const { file, settings } = getState().app;
+        if (getDfuPackagePaths(file.loaded).length) {
+            return dfuImages;
+        }
+        const privateKey = readSigningKey(settings.signingKeyPath);
+        return privateKey
+            ? dfuImages.map(image => handleSignature(image, privateKey))
+            : dfuImages;
+    };
+}
+
+// Write the loaded files through the DFU bootloader.
+// Resolves whether all the images have been written.
+export function write() {
+    return async (dispatch, getState) => {
+        const startTime = Date.now();
+        dispatch(warningActions.targetWarningRemoveAction());
+        dispatch(warningActions.userWarningRemoveAction());
+
+        let dfuImages;
+        try {
+            dfuImages = await dispatch(prepareDfuImages());
+        } catch (error) {
+            logger.info(`Writing has been aborted: ${error.message}`);
+            await dispatch(saveReport({
+                operation: ReportOperation.DFU,
+                startTime,
+                success: false,
+                error: `Writing has been aborted: ${error.message}`,
+            }));
+            return false;
+        }
+        try {
+            dfuImages = dispatch(signDfuImages(dfuImages));
+        } catch (error) {
+            logger.error(`Could not sign init packet: ${error.message}`);
+            await dispatch(saveReport({
+                operation: ReportOperation.DFU,
+                startTime,
+                success: false,
+                error: `Could not sign init packet: ${error.message}`,
+            }));
+            return false;
+        }
         dispatch(targetActions.dfuImagesUpdateAction(dfuImages));
 
         // Start writing after handling images since user may cancel userinput
@@ -556,7 +709,7 @@ export function write() {
         // Stop watching devices during the DFUs
         dispatch(stopWatchingDevices());
 
-        dispatch(operateDFU(dfuImages))
+        return dispatch(operateDFU(dfuImages))
             .then(async device => {
                 // In case that DFU fails and no device is returned,
                 // an error message should be displayed in log.
@@ -564,7 +717,7 @@ export function write() {
                 // by giving a warning and description to the user.
                 if (!device) {
                     logger.error('Device not found due to failure during DFU');
-                    return;
+                    return false;
                 }
 
                 // When success, wait for a while and open the device.
@@ -576,11 +729,149 @@ export function write() {
                             .then(resolve);
                     }, 1000);
                 });
+                return true;
             })
-            .then(() => {
+            .then(async isWritten => {
+                await dispatch(saveReport({
+                    operation: ReportOperation.DFU,
+                    startTime,
+                    success: isWritten,
+                    error: isWritten ? null : 'DFU failed, see the log for details.',
+                    regions: getState().app.file.regions.toArray(),
+                    details: { images: dfuImages.map(image => image.name).toArray() },
+                }));
                 // Start watching devices after the DFUs are finished
                 dispatch(startWatchingDevices());
                 dispatch(targetActions.writingEndAction());
+                return isWritten;
             });
     };
 }
+
+// Combine SoftDevice and Bootloader images into one image, as nrfutil does
+// when both of them are in the same DFU package
+function combineSoftDeviceAndBootloader(sdImage, blImage) {
+    const sdSize = sdImage.firmwareImage.length;
+    const blSize = blImage.firmwareImage.length;
+    const firmwareImage = new Uint8Array(sdSize + blSize);
+    firmwareImage.set(sdImage.firmwareImage, 0);
+    firmwareImage.set(blImage.firmwareImage, sdSize);
+    return new DfuImage({
+        name: dfuPackageImageNames[DfuPackageImageType.SOFTDEVICE_BOOTLOADER],
+        firmwareImage,
+        initPacket: blImage.initPacket
+            .set('fwType', initPacket.FwType.SOFTDEVICE_BOOTLOADER)
+            .set('sdSize', sdSize)
+            .set('blSize', blSize),
+    });
+}
+
+// Create the images of a DFU package from the regions detected in the loaded files.
+// Options are the firmware version, the hardware version, the list of
+// required SoftDevices and whether to sign the init packets.
+function createPackageImages({
+    fwVersion, hwVersion, sdReq, sign,
+}) {
+    return (dispatch, getState) => {
+        dispatch(fileActions.updateFileBlRegion());
+        dispatch(fileActions.updateFileAppRegions());
+        dispatch(createDfuImages());
+
+        const fileRegions = getState().app.file.regions;
+        const fileMemMap = fileActions.getMergedFileMemMap(getState());
+        const { deviceInfo, dfuImages } = getState().app.target;
+        if (dfuImages.size === 0) {
+            throw new Error('No firmware images were detected in the loaded files.');
+        }
+
+        let images = dfuImages.map(image => handleImage(image, fileRegions, fileMemMap)
+            .setIn(['initPacket', 'hwVersion'], hwVersion)
+            .setIn(['initPacket', 'isDebug'], false)
+            .setIn(['initPacket', 'sdReq'], sdReq));
+
+        // An application in the same package as a SoftDevice requires the new SoftDevice
+        const sdImage = images.find(image => image.name === RegionName.SOFTDEVICE);
+        const sdId = sdImage && getSoftDeviceId(fileMemMap, deviceInfo);
+        images = images.map(image => {
+            if (image.name === RegionName.SOFTDEVICE) {
+                return image;
+            }
+            const result = image.setIn(['initPacket', 'fwVersion'], fwVersion);
+            return sdId && image.name === RegionName.APPLICATION
+                ? result.setIn(['initPacket', 'sdReq'], [sdId])
+                : result;
+        });
+
+        const blImage = images.find(image => image.name === RegionName.BOOTLOADER);
+        if (sdImage && blImage) {
+            images = images
+                .filter(image => image !== sdImage && image !== blImage)
+                .unshift(combineSoftDeviceAndBootloader(sdImage, blImage));
+        }
+
+        images = images.map(image => handleHash(image, initPacket.HashType.SHA256));
+        if (sign) {
+            const privateKey = readSigningKey(getState().app.settings.signingKeyPath);
+            if (!privateKey) {
+                throw new Error('No signing key has been selected.');
+            }
+            images = images.map(image => handleSignature(image, privateKey));
+        }
+
+        const imageTypes = Object.keys(dfuPackageImageNames);
+        return images
+            .map(image => ({
+                type: imageTypes.find(type => dfuPackageImageNames[type] === image.name),
+                initPacket: initPacket.createInitPacketUint8Array(image.initPacket),
+                firmwareImage: image.firmwareImage,
+                sdSize: image.initPacket.sdSize,
+                blSize: image.initPacket.blSize,
+            }))
+            .toArray();
+    };
+}
+
+// Save the loaded files as DFU package at the given path
+export function saveDfuPackage(filePath, options) {
+    return async dispatch => {
+        const images = dispatch(createPackageImages(options));
+        const content = await createDfuPackage(images);
+        await new Promise((resolve, reject) => {
+            writeFile(filePath, content, err => (err ? reject(err) : resolve()));
+        });
+        logger.info(`DFU package is successfully saved at ${filePath}`);
+    };
+}
+
+export function showDfuPackageDialog() {
+    return dispatch => {
+        dispatch(dfuPackageDialogShowAction());
+    };
+}
+
+export function cancelDfuPackageDialog() {
+    return dispatch => {
+        dispatch(dfuPackageDialogHideAction());
+    };
+}
+
+// Ask for the destination and save the DFU package with the options
+// chosen in the DFU package dialog
+export function saveDfuPackageWithDialog(options) {
+    return dispatch => {
+        dispatch(dfuPackageDialogHideAction());
+        remote.dialog.showSaveDialog({
+            title: 'Save as DFU package',
+            defaultPath: `nRF_Connect_Programmer_${Date.now()}.zip`,
+            filters: [{ name: 'DFU packages', extensions: ['zip'] }],
+        }, filePath => {
+            if (!filePath) {
+                return;
+            }
+            dispatch(saveDfuPackage(filePath, options))
+                .catch(error => {
+                    logger.error(`Error when saving DFU package: ${error.message || error}`);
+                });
+        });
+    };
+}
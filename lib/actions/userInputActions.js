@@ -42,11 +42,12 @@ export const USER_INPUT_CANCELLED = 'USER_INPUT_CANCELLED';
 
 let userInputCallback;
 
-export function userInputRequiredAction(message, choices = []) {
+export function userInputRequiredAction(message, choices = [], placeholder = null) {
     return {
         type: USER_INPUT_REQUIRED,
         message,
         choices,
+        placeholder,
     };
 }
 
@@ -62,7 +63,7 @@ export function userInputCancelledAction() {
     };
 }
 
-export function getUserInput(dispatch, message, choices) {
+export function getUserInput(dispatch, message, choices, placeholder) {
     return new Promise((resolve, reject) => {
         userInputCallback = input => {
             if (input) {
@@ -71,7 +72,7 @@ export function getUserInput(dispatch, message, choices) {
                 reject(new Error('Cancelled by user.'));
             }
         };
-        dispatch(userInputRequiredAction(message, choices));
+        dispatch(userInputRequiredAction(message, choices, placeholder));
     });
 }
 
@@ -91,5 +92,9 @@ export function cancelUserInput() {
     return dispatch => {
         logger.info('User input has been cancelled.');
         dispatch(userInputCancelledAction());
+        if (userInputCallback) {
+            userInputCallback();
+            userInputCallback = undefined;
+        }
     };
 }
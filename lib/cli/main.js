@@ -0,0 +1,271 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import DeviceLister from 'nrf-device-lister';
+import { applyMiddleware, combineReducers, createStore } from 'redux';
+
+import { openFile } from '../actions/fileActions';
+import { ExportSource, exportToFile } from '../actions/exportActions';
+import * as jlinkTargetActions from '../actions/jlinkTargetActions';
+import * as modemTargetActions from '../actions/modemTargetActions';
+import { setWriteOptions } from '../actions/settingsActions';
+import { DEVICE_SELECTED, openDevice } from '../actions/targetActions';
+import * as usbsdfuTargetActions from '../actions/usbsdfuTargetActions';
+import { USER_INPUT_REQUIRED, cancelUserInput } from '../actions/userInputActions';
+import appReducer from '../reducers';
+import {
+    CliCommand,
+    ExitCode,
+    parseCliArgs,
+    usage,
+} from '../util/cliArgs';
+import { CommunicationType, EraseMode } from '../util/devices';
+import { ExportFormat } from '../util/exportFormats';
+import { logEntries, logger } from './core';
+
+// Run the thunks of the actions, as redux-thunk does in the app
+const thunk = ({ dispatch, getState }) => next => action => (
+    typeof action === 'function' ? action(dispatch, getState) : next(action)
+);
+
+// Nobody can answer questions on the command line, so they are cancelled
+const cancelUserInputs = ({ dispatch }) => next => action => {
+    if (action.type === USER_INPUT_REQUIRED) {
+        logger.error(`Cannot answer on the command line: ${action.message}`);
+        setTimeout(() => dispatch(cancelUserInput()));
+    }
+    return next(action);
+};
+
+function createAppStore() {
+    return createStore(
+        combineReducers({ app: appReducer }),
+        applyMiddleware(thunk, cancelUserInputs),
+    );
+}
+
+// J-Link serial numbers are listed with leading zeros
+function isSameSerialNumber(a, b) {
+    const normalize = serialNumber => `${serialNumber}`.replace(/^0+/, '').toUpperCase();
+    return normalize(a) === normalize(b);
+}
+
+async function findDevice(serialNumber) {
+    const lister = new DeviceLister({ jlink: true, nordicUsb: true, serialport: true });
+    const devices = await lister.reenumerate();
+    return [...devices.values()]
+        .find(device => isSameSerialNumber(device.serialNumber, serialNumber));
+}
+
+function openFiles(files) {
+    return async (dispatch, getState) => {
+        await dispatch(openFile(...files));
+        const { loaded } = getState().app.file;
+        const missing = files.filter(filePath => !loaded[filePath]);
+        if (missing.length) {
+            throw new Error(`Could not open ${missing.join(', ')}.`);
+        }
+    };
+}
+
+function requireTargetType(getState, targetType, name) {
+    if (getState().app.target.targetType !== targetType) {
+        throw new Error(`The device is not a ${name} device.`);
+    }
+}
+
+function writeJLink(options) {
+    return async (dispatch, getState) => {
+        requireTargetType(getState, CommunicationType.JLINK, 'J-Link');
+        await dispatch(openFiles(options.files));
+        dispatch(setWriteOptions({
+            eraseMode: options.eraseMode,
+            verifyAfterWrite: options.verify,
+            verifyMode: options.verifyMode,
+            resetAfterWrite: options.reset,
+            protectAfterWrite: options.protect,
+            incrementalWrite: false,
+        }));
+        const { isWritable } = getState().app.target;
+        if (!options.recover && !isWritable && options.eraseMode !== EraseMode.ALL) {
+            throw new Error('The files cannot be written without erasing the device, use --recover or --erase all.');
+        }
+        const writeResult = options.recover
+            ? await dispatch(jlinkTargetActions.recoverAndWrite())
+            : await dispatch(jlinkTargetActions.write());
+        if (!writeResult) {
+            throw new Error('Writing could not be started.');
+        }
+        if (!writeResult.success) {
+            throw new Error(writeResult.error);
+        }
+        return {
+            verified: writeResult.verified,
+            skippedPages: writeResult.skippedPages,
+            isProtected: writeResult.isProtected,
+        };
+    };
+}
+
+function readJLink({ output, outputFormat }) {
+    return async (dispatch, getState) => {
+        requireTargetType(getState, CommunicationType.JLINK, 'J-Link');
+        await dispatch(jlinkTargetActions.read());
+        if (!getState().app.target.isMemLoaded) {
+            throw new Error('Could not read the device memory.');
+        }
+        if (!output) {
+            return { regions: getState().app.target.regions.size };
+        }
+        const { romBaseAddr, romSize } = getState().app.target.deviceInfo;
+        await dispatch(exportToFile(output, {
+            source: ExportSource.DEVICE,
+            format: outputFormat,
+            includeUicr: outputFormat !== ExportFormat.BIN,
+            startAddress: romBaseAddr,
+            endAddress: romBaseAddr + romSize,
+            fillByte: 0xFF,
+        }));
+        return { output };
+    };
+}
+
+function runCommand(options) {
+    return async (dispatch, getState) => {
+        const device = await findDevice(options.serialNumber);
+        if (!device) {
+            throw new Error(`Device ${options.serialNumber} is not connected.`);
+        }
+        // Selecting the device resets the target state, as in the app
+        dispatch({ type: DEVICE_SELECTED, device });
+        await dispatch(openDevice(device));
+        if (!getState().app.target.deviceInfo.family
+            && getState().app.target.targetType === CommunicationType.JLINK) {
+            throw new Error('Could not read the device information.');
+        }
+
+        switch (options.command) {
+            case CliCommand.WRITE:
+                return dispatch(writeJLink(options));
+
+            case CliCommand.RECOVER:
+                requireTargetType(getState, CommunicationType.JLINK, 'J-Link');
+                await dispatch(jlinkTargetActions.recover()).catch(() => {
+                    throw new Error('Recovering failed.');
+                });
+                return {};
+
+            case CliCommand.READ:
+                return dispatch(readJLink(options));
+
+            case CliCommand.DFU:
+                requireTargetType(getState, CommunicationType.USBSDFU, 'Nordic USB');
+                await dispatch(openFiles(options.files));
+                if (!await dispatch(usbsdfuTargetActions.write())) {
+                    throw new Error('Writing through DFU failed.');
+                }
+                return {};
+
+            case CliCommand.MODEM:
+                requireTargetType(getState, CommunicationType.JLINK, 'J-Link');
+                if (!getState().app.modem.isModem) {
+                    throw new Error('The device has no modem.');
+                }
+                dispatch(modemTargetActions.writingReadyAction(options.files[0]));
+                if (!await dispatch(modemTargetActions.performUpdate())) {
+                    throw new Error(getState().app.modem.errorMsg);
+                }
+                return {};
+
+            default:
+                throw new Error(`Unknown command ${options.command}.`);
+        }
+    };
+}
+
+function printResult(options, summary) {
+    if (options.json) {
+        const messages = level => logEntries
+            .filter(entry => entry.level === level)
+            .map(({ message }) => message);
+        process.stdout.write(`${JSON.stringify({
+            ...summary,
+            warnings: messages('warn'),
+            errors: messages('error'),
+        }, null, 4)}\n`);
+        return;
+    }
+    process.stdout.write(summary.success
+        ? `${options.command} succeeded\n`
+        : `${options.command} failed: ${summary.error}\n`);
+}
+
+// Run the command-line interface with the given arguments, and resolve to the exit code
+export default async function run(args) {
+    let options;
+    try {
+        options = parseCliArgs(args);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${usage}\n`);
+        return ExitCode.USAGE;
+    }
+    if (options.help) {
+        process.stdout.write(`${usage}\n`);
+        return ExitCode.SUCCESS;
+    }
+
+    const store = createAppStore();
+    const summary = {
+        command: options.command,
+        serialNumber: options.serialNumber,
+        files: options.files,
+        success: false,
+        error: null,
+        result: null,
+    };
+    try {
+        summary.result = await store.dispatch(runCommand(options));
+        summary.success = true;
+    } catch (error) {
+        summary.error = (error && error.message) || `${error}`;
+        logger.error(summary.error);
+    }
+    const { deviceInfo } = store.getState().app.target;
+    summary.device = { family: deviceInfo.family, type: deviceInfo.type };
+
+    printResult(options, summary);
+    return summary.success ? ExitCode.SUCCESS : ExitCode.FAILURE;
+}
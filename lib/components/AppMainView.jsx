@@ -37,9 +37,19 @@
 import PropTypes from 'prop-types';
 import React from 'react';
 
+import AutoProgramView from '../containers/autoProgramView';
+import ComparisonView from '../containers/comparisonView';
+import DfuPackageDialogView from '../containers/dfuPackageDialogView';
+import ExportDialogView from '../containers/exportDialogView';
+import HexInspectorView from '../containers/hexInspectorView';
 import McuUpdateDialogView from '../containers/mcuUpdateDialogView';
 import MemoryBoxView from '../containers/memoryBoxView';
 import ModemUpdateDialogView from '../containers/modemUpdateDialogView';
+import ProductionDialogView from '../containers/productionDialogView';
+import ProfileDialogView from '../containers/profileDialogView';
+import ProvisioningDialogView from '../containers/provisioningDialogView';
+import ReadRangeDialogView from '../containers/readRangeDialogView';
+import UicrDialogView from '../containers/uicrDialogView';
 import UserInputDialogView from '../containers/userInputDialogView';
 import WarningView from '../containers/warningView';
 
@@ -56,6 +66,7 @@ function hasFileContent(file) {
 
 const AppMainView = ({
     file,
+    isComparing,
     target: {
         serialNumber,
         deviceInfo,
@@ -64,6 +75,7 @@ const AppMainView = ({
 }) => (
     <div className="app-main-view">
         <WarningView />
+        <AutoProgramView />
         <div className="memory-box-container">
             <MemoryBoxView
                 title={getTargetTitle(serialNumber, deviceInfo) || 'Device memory layout'}
@@ -75,20 +87,32 @@ const AppMainView = ({
             />
             <MemoryBoxView
                 title="File memory layout"
-                description="Drag & drop one or more HEX files here"
+                description="Drag & drop one or more firmware files here"
                 iconName="mdi mdi-folder-open"
                 isHolder={!hasFileContent(file)}
                 isFile={hasFileContent(file)}
             />
+            { isComparing && serialNumber && hasFileContent(file) && (
+                <ComparisonView />
+            )}
         </div>
         <UserInputDialogView />
         <ModemUpdateDialogView />
         <McuUpdateDialogView />
+        <ExportDialogView />
+        <DfuPackageDialogView />
+        <ProfileDialogView />
+        <ReadRangeDialogView />
+        <HexInspectorView />
+        <UicrDialogView />
+        <ProvisioningDialogView />
+        <ProductionDialogView />
     </div>
 );
 
 AppMainView.propTypes = {
     file: PropTypes.shape({}).isRequired,
+    isComparing: PropTypes.bool.isRequired,
     target: PropTypes.shape({
         serialNumber: PropTypes.string,
         deviceInfo: PropTypes.object,
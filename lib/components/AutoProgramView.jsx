@@ -0,0 +1,112 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Button from 'react-bootstrap/Button';
+
+function getBanner(isRunning, isPassed, serialNumber) {
+    if (isRunning) {
+        return { className: 'running', text: `Programming ${serialNumber}` };
+    }
+    if (isPassed === true) {
+        return { className: 'pass', text: 'PASS' };
+    }
+    if (isPassed === false) {
+        return { className: 'fail', text: 'FAIL' };
+    }
+    return { className: 'waiting', text: 'Connect a device' };
+}
+
+const AutoProgramView = ({
+    failCount,
+    isEnabled,
+    isPassed,
+    isRunning,
+    message,
+    passCount,
+    profileName,
+    resetCounters,
+    serialNumber,
+}) => {
+    if (!isEnabled) {
+        return null;
+    }
+    const { className, text } = getBanner(isRunning, isPassed, serialNumber);
+    return (
+        <div className="auto-program-view">
+            <div className={`auto-program-banner ${className}`}>
+                {text}
+            </div>
+            { message && !isRunning && (
+                <p className="auto-program-message">{message}</p>
+            )}
+            <div className="auto-program-counters">
+                <span>Profile: {profileName || 'none'}</span>
+                <span>Passed: {passCount}</span>
+                <span>Failed: {failCount}</span>
+                <Button
+                    size="sm"
+                    variant="link"
+                    disabled={isRunning}
+                    onClick={resetCounters}
+                >
+                    Reset counters
+                </Button>
+            </div>
+        </div>
+    );
+};
+
+AutoProgramView.propTypes = {
+    failCount: PropTypes.number.isRequired,
+    isEnabled: PropTypes.bool.isRequired,
+    isPassed: PropTypes.bool,
+    isRunning: PropTypes.bool.isRequired,
+    message: PropTypes.string.isRequired,
+    passCount: PropTypes.number.isRequired,
+    profileName: PropTypes.string,
+    resetCounters: PropTypes.func.isRequired,
+    serialNumber: PropTypes.string,
+};
+
+AutoProgramView.defaultProps = {
+    isPassed: null,
+    profileName: null,
+    serialNumber: null,
+};
+
+export default AutoProgramView;
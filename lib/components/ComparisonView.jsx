@@ -0,0 +1,112 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Card from 'react-bootstrap/Card';
+import { List } from 'immutable';
+
+import { hexpad8 } from '../util/hexpad';
+import {
+    PageStatus,
+    PageStatusColor,
+    PageStatusName,
+    countPages,
+    mergePages,
+} from '../util/pageDiff';
+import { Region } from '../util/regions';
+import { convertRegionsToViews } from './MemoryView';
+
+const ComparisonView = ({ pages, targetSize }) => {
+    const ranges = mergePages(pages);
+    const counts = countPages(pages);
+    const regions = new List(ranges.map(({ startAddress, size, status }) => new Region({
+        name: PageStatusName[status],
+        startAddress,
+        regionSize: size,
+        color: PageStatusColor[status],
+    })));
+
+    return (
+        <Card className="memory-layout comparison">
+            <Card.Header className="panel-heading">
+                <Card.Title className="panel-title">
+                    Comparison of files and device
+                    <span className="glyphicon mdi mdi-compare" />
+                </Card.Title>
+            </Card.Header>
+            <Card.Body className="panel-body">
+                <div className="region-container">
+                    { convertRegionsToViews(regions, targetSize) }
+                </div>
+            </Card.Body>
+            <Card.Footer className="comparison-details">
+                <ul className="comparison-counts">
+                    {Object.values(PageStatus).map(status => (
+                        <li key={status}>
+                            <span
+                                className="comparison-color"
+                                style={{ backgroundColor: PageStatusColor[status] }}
+                            />
+                            {PageStatusName[status]}: {counts[status]} pages
+                        </li>
+                    ))}
+                </ul>
+                <ul className="comparison-ranges">
+                    {ranges.map(({
+                        startAddress, size, status, pageCount,
+                    }) => (
+                        <li key={startAddress}>
+                            {hexpad8(startAddress)}-{hexpad8(startAddress + size)}
+                            {' '}{PageStatusName[status]} ({pageCount} pages)
+                        </li>
+                    ))}
+                </ul>
+            </Card.Footer>
+        </Card>
+    );
+};
+
+ComparisonView.propTypes = {
+    pages: PropTypes.arrayOf(PropTypes.shape({
+        startAddress: PropTypes.number,
+        size: PropTypes.number,
+        status: PropTypes.string,
+    })).isRequired,
+    targetSize: PropTypes.number.isRequired,
+};
+
+export default ComparisonView;
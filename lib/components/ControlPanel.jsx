@@ -34,6 +34,7 @@
  * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
  */
 
+import { basename } from 'path';
 import PropTypes from 'prop-types';
 import React, { useRef } from 'react';
 import Button from 'react-bootstrap/Button';
@@ -44,6 +45,11 @@ import Form from 'react-bootstrap/Form';
 import OverlayTrigger from 'react-bootstrap/OverlayTrigger';
 import Popover from 'react-bootstrap/Popover';
 
+import FileListView from '../containers/fileListView';
+import ProfileView from '../containers/profileView';
+import { EraseMode, VerifyMode } from '../util/devices';
+import { OverlapPolicyName } from '../util/overlaps';
+
 const Mru = ({
     onToggleFileList,
     openFileDialog,
@@ -106,36 +112,79 @@ Mru.propTypes = {
 };
 
 
+const eraseModeNames = {
+    [EraseMode.PAGES]: 'Erase pages to be written',
+    [EraseMode.ALL]: 'Erase all',
+    [EraseMode.NONE]: 'Do not erase',
+};
+
+const verifyModeNames = {
+    [VerifyMode.READBACK]: 'Read back and compare',
+    [VerifyMode.HASH]: 'Compare by hash (faster)',
+};
+
 const ControlPanel = ({
     autoRead,
+    clearReportDirectory,
+    clearSigningKey,
     closeFiles,
+    eraseMode,
     fileRegionSize,
+    incrementalWrite,
+    isComparing,
     isJLink,
     isMcuboot,
     isModem,
     isUsbSerial,
+    junitReports,
     mruFiles,
     onToggleFileList,
     openFile,
     openFileDialog,
+    overlapPolicy,
     performJLinkRead,
+    performJLinkReadRange,
     performModemUpdate,
     performRecover,
     performRecoverAndWrite,
     performReset,
+    performSaveAsDfuPackage,
     performSaveAsFile,
+    performSaveFiles,
     performWrite,
+    protectAfterWrite,
     refreshAllFiles,
+    reportDirectory,
+    resetAfterWrite,
+    selectReportDirectory,
+    selectSigningKey,
+    setOverlapPolicy,
+    setProtectAfterWrite,
+    setWriteOptions,
+    showInspector,
+    showProduction,
+    showProvisioning,
+    showUicrEditor,
+    signingKeyPath,
     targetIsMemLoaded,
     targetIsReady,
     targetIsRecoverable,
     targetIsWritable,
     toggleAutoRead,
+    toggleComparison,
+    toggleJUnitReports,
+    toggleWatchFiles,
+    toggleWriteOnChange,
+    verifyAfterWrite,
+    verifyMode,
+    watchFiles,
+    writeOnChange,
 }) => (
     <div className="control-panel">
         <Card>
             <Card.Header>File</Card.Header>
             <Card.Body>
+                <ProfileView />
                 <ButtonGroup vertical>
                     <Mru
                         openFile={openFile}
@@ -149,7 +198,59 @@ const ControlPanel = ({
                     <Button onClick={closeFiles}>
                         <span className="mdi mdi-minus-circle" />Clear files
                     </Button>
+                    <Button onClick={performSaveFiles} disabled={!fileRegionSize}>
+                        <span className="mdi mdi-floppy" />Save merged file
+                    </Button>
+                    <Button onClick={showInspector}>
+                        <span className="mdi mdi-magnify" />Inspect memory
+                    </Button>
+                    <Button onClick={showUicrEditor}>
+                        <span className="mdi mdi-pencil" />Edit UICR
+                    </Button>
                 </ButtonGroup>
+                <Form.Group controlId="overlapPolicy" className="overlap-policy">
+                    <Form.Label>When files overlap</Form.Label>
+                    <Form.Control
+                        as="select"
+                        size="sm"
+                        value={overlapPolicy || ''}
+                        onChange={e => setOverlapPolicy(e.target.value || null)}
+                    >
+                        <option value="">Not chosen, no writing of conflicts</option>
+                        {Object.keys(OverlapPolicyName).map(policy => (
+                            <option key={policy} value={policy}>
+                                {OverlapPolicyName[policy]}
+                            </option>
+                        ))}
+                    </Form.Control>
+                </Form.Group>
+                <Form.Group controlId="compareFiles">
+                    <Form.Check
+                        type="checkbox"
+                        onChange={toggleComparison}
+                        checked={isComparing}
+                        label="Compare files with device"
+                    />
+                </Form.Group>
+                <Form.Group controlId="watchFiles">
+                    <Form.Check
+                        type="checkbox"
+                        onChange={toggleWatchFiles}
+                        checked={watchFiles}
+                        label="Reload files on change"
+                    />
+                </Form.Group>
+                <Form.Group controlId="writeOnChange">
+                    <Form.Check
+                        type="checkbox"
+                        className="last-checkbox"
+                        onChange={toggleWriteOnChange}
+                        checked={writeOnChange}
+                        disabled={!watchFiles}
+                        label="Write to J-Link device on change"
+                    />
+                </Form.Group>
+                <FileListView />
             </Card.Body>
         </Card>
         <Card>
@@ -208,16 +309,118 @@ const ControlPanel = ({
                     >
                         <span className="mdi mdi-refresh" />Read
                     </Button>
+                    <Button
+                        key="performJLinkReadRange"
+                        onClick={performJLinkReadRange}
+                        disabled={
+                            isMcuboot
+                            || !isJLink
+                            || !targetIsReady
+                        }
+                    >
+                        <span className="mdi mdi-text-box-search-outline" />Read range
+                    </Button>
+                    <Button
+                        key="showProvisioning"
+                        onClick={showProvisioning}
+                    >
+                        <span className="mdi mdi-numeric" />Provisioning
+                    </Button>
+                    <Button
+                        key="showProduction"
+                        onClick={showProduction}
+                    >
+                        <span className="mdi mdi-factory" />Production
+                    </Button>
                 </ButtonGroup>
                 <Form.Group controlId="formBasicChecbox">
                     <Form.Check
                         type="checkbox"
-                        className="last-checkbox"
                         onChange={e => toggleAutoRead(e.target.checked)}
                         checked={autoRead}
                         label="Auto read memory"
                     />
                 </Form.Group>
+                <Form.Group controlId="eraseMode" className="erase-mode">
+                    <Form.Label>Before writing with J-Link</Form.Label>
+                    <Form.Control
+                        as="select"
+                        size="sm"
+                        value={eraseMode}
+                        onChange={e => setWriteOptions({ eraseMode: e.target.value })}
+                    >
+                        {Object.keys(eraseModeNames).map(mode => (
+                            <option key={mode} value={mode}>{eraseModeNames[mode]}</option>
+                        ))}
+                    </Form.Control>
+                </Form.Group>
+                <Form.Group controlId="incrementalWrite">
+                    <Form.Check
+                        type="checkbox"
+                        onChange={e => setWriteOptions({ incrementalWrite: e.target.checked })}
+                        checked={incrementalWrite}
+                        disabled={eraseMode !== EraseMode.PAGES}
+                        label="Only write pages that differ"
+                    />
+                </Form.Group>
+                <Form.Group controlId="verifyAfterWrite">
+                    <Form.Check
+                        type="checkbox"
+                        onChange={e => setWriteOptions({ verifyAfterWrite: e.target.checked })}
+                        checked={verifyAfterWrite}
+                        label="Verify after writing"
+                    />
+                    <Form.Control
+                        as="select"
+                        size="sm"
+                        className="verify-mode"
+                        value={verifyMode}
+                        disabled={!verifyAfterWrite}
+                        onChange={e => setWriteOptions({ verifyMode: e.target.value })}
+                    >
+                        {Object.keys(verifyModeNames).map(mode => (
+                            <option key={mode} value={mode}>{verifyModeNames[mode]}</option>
+                        ))}
+                    </Form.Control>
+                </Form.Group>
+                <Form.Group controlId="resetAfterWrite">
+                    <Form.Check
+                        type="checkbox"
+                        onChange={e => setWriteOptions({ resetAfterWrite: e.target.checked })}
+                        checked={resetAfterWrite}
+                        label="Reset after writing"
+                    />
+                </Form.Group>
+                <Form.Group controlId="protectAfterWrite">
+                    <Form.Check
+                        type="checkbox"
+                        className="last-checkbox"
+                        onChange={e => setProtectAfterWrite(e.target.checked)}
+                        checked={protectAfterWrite}
+                        label="Enable readback protection after writing"
+                    />
+                </Form.Group>
+            </Card.Body>
+        </Card>
+        <Card>
+            <Card.Header>DFU</Card.Header>
+            <Card.Body>
+                <ButtonGroup vertical>
+                    <Button onClick={selectSigningKey}>
+                        <span className="mdi mdi-key" />Select signing key
+                    </Button>
+                    <Button onClick={clearSigningKey} disabled={!signingKeyPath}>
+                        <span className="mdi mdi-key-remove" />Clear signing key
+                    </Button>
+                    <Button onClick={performSaveAsDfuPackage} disabled={!fileRegionSize}>
+                        <span className="mdi mdi-package-down" />Save as DFU package
+                    </Button>
+                </ButtonGroup>
+                <div className="signing-key" title={signingKeyPath || ''}>
+                    {signingKeyPath
+                        ? `Signing with ${basename(signingKeyPath)}`
+                        : 'Init packets are not signed'}
+                </div>
             </Card.Body>
         </Card>
         <Card>
@@ -234,34 +437,98 @@ const ControlPanel = ({
                 </ButtonGroup>
             </Card.Body>
         </Card>
+        <Card>
+            <Card.Header>Reports</Card.Header>
+            <Card.Body>
+                <ButtonGroup vertical>
+                    <Button onClick={selectReportDirectory}>
+                        <span className="mdi mdi-folder" />Select report folder
+                    </Button>
+                    <Button onClick={clearReportDirectory} disabled={!reportDirectory}>
+                        <span className="mdi mdi-folder-remove" />Use default folder
+                    </Button>
+                </ButtonGroup>
+                <Form.Group controlId="junitReports">
+                    <Form.Check
+                        type="checkbox"
+                        className="last-checkbox"
+                        onChange={toggleJUnitReports}
+                        checked={junitReports}
+                        label="Save JUnit XML reports too"
+                    />
+                </Form.Group>
+                <div className="report-directory" title={reportDirectory || ''}>
+                    {reportDirectory
+                        ? `Reports are saved in ${basename(reportDirectory)}`
+                        : 'Reports are saved in the app data folder'}
+                </div>
+            </Card.Body>
+        </Card>
     </div>
 );
 
 ControlPanel.propTypes = {
     autoRead: PropTypes.bool.isRequired,
+    clearReportDirectory: PropTypes.func.isRequired,
+    clearSigningKey: PropTypes.func.isRequired,
     closeFiles: PropTypes.func.isRequired,
+    eraseMode: PropTypes.string.isRequired,
     fileRegionSize: PropTypes.number.isRequired,
+    incrementalWrite: PropTypes.bool.isRequired,
+    isComparing: PropTypes.bool.isRequired,
     isJLink: PropTypes.bool.isRequired,
     isMcuboot: PropTypes.bool.isRequired,
     isModem: PropTypes.bool.isRequired,
     isUsbSerial: PropTypes.bool.isRequired,
+    junitReports: PropTypes.bool.isRequired,
     mruFiles: PropTypes.arrayOf(PropTypes.string).isRequired,
     onToggleFileList: PropTypes.func.isRequired,
     openFile: PropTypes.func.isRequired,
     openFileDialog: PropTypes.func.isRequired,
+    overlapPolicy: PropTypes.string,
     performJLinkRead: PropTypes.func.isRequired,
+    performJLinkReadRange: PropTypes.func.isRequired,
     performModemUpdate: PropTypes.func.isRequired,
     performRecover: PropTypes.func.isRequired,
     performRecoverAndWrite: PropTypes.func.isRequired,
     performReset: PropTypes.func.isRequired,
+    performSaveAsDfuPackage: PropTypes.func.isRequired,
     performSaveAsFile: PropTypes.func.isRequired,
+    performSaveFiles: PropTypes.func.isRequired,
     performWrite: PropTypes.func.isRequired,
+    protectAfterWrite: PropTypes.bool.isRequired,
     refreshAllFiles: PropTypes.func.isRequired,
+    reportDirectory: PropTypes.string,
+    resetAfterWrite: PropTypes.bool.isRequired,
+    selectReportDirectory: PropTypes.func.isRequired,
+    selectSigningKey: PropTypes.func.isRequired,
+    setOverlapPolicy: PropTypes.func.isRequired,
+    setProtectAfterWrite: PropTypes.func.isRequired,
+    setWriteOptions: PropTypes.func.isRequired,
+    showInspector: PropTypes.func.isRequired,
+    showProduction: PropTypes.func.isRequired,
+    showProvisioning: PropTypes.func.isRequired,
+    showUicrEditor: PropTypes.func.isRequired,
+    signingKeyPath: PropTypes.string,
     targetIsMemLoaded: PropTypes.bool.isRequired,
     targetIsReady: PropTypes.bool.isRequired,
     targetIsRecoverable: PropTypes.bool.isRequired,
     targetIsWritable: PropTypes.bool.isRequired,
     toggleAutoRead: PropTypes.func.isRequired,
+    toggleComparison: PropTypes.func.isRequired,
+    toggleJUnitReports: PropTypes.func.isRequired,
+    toggleWatchFiles: PropTypes.func.isRequired,
+    toggleWriteOnChange: PropTypes.func.isRequired,
+    verifyAfterWrite: PropTypes.bool.isRequired,
+    verifyMode: PropTypes.string.isRequired,
+    watchFiles: PropTypes.bool.isRequired,
+    writeOnChange: PropTypes.bool.isRequired,
+};
+
+ControlPanel.defaultProps = {
+    overlapPolicy: null,
+    reportDirectory: null,
+    signingKeyPath: null,
 };
 
 export default ControlPanel;
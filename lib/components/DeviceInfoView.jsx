@@ -36,8 +36,12 @@
 
 import React from 'react';
 import PropTypes from 'prop-types';
+import Alert from 'react-bootstrap/Alert';
+import Button from 'react-bootstrap/Button';
+import { formatRanges } from '../util/addressRanges';
 import { hexToKiB } from '../util/hexpad';
 import { getCommunicationType, CommunicationType } from '../util/devices';
+import { ProtectionStatus, ProtectionStatusName } from '../util/uicr';
 
 const DeviceInfoView = ({
     serialNumber,
@@ -45,6 +49,11 @@ const DeviceInfoView = ({
     targetType,
     deviceInfo,
     isMemLoaded,
+    isMemIncomplete,
+    knownRanges,
+    protectionStatus,
+    isBusy,
+    performRecover,
 }) => (
     <div className="memory-details">
         {serialNumber && (
@@ -84,9 +93,33 @@ const DeviceInfoView = ({
         {targetType === CommunicationType.JLINK && (
             <div>
                 <h5>Device memory is loaded?</h5>
-                <p>{isMemLoaded ? 'Yes' : 'No'}</p>
+                <p>{isMemLoaded ? 'Yes' : 'No'}{isMemIncomplete && ', reading was cancelled'}</p>
             </div>
         )}
+        {targetType === CommunicationType.JLINK && !isMemLoaded && knownRanges.length > 0 && (
+            <div>
+                <h5>Read ranges</h5>
+                <p>{formatRanges(knownRanges)}</p>
+            </div>
+        )}
+        {targetType === CommunicationType.JLINK && protectionStatus && (
+            <div>
+                <h5>Readback protection</h5>
+                <p>{ProtectionStatusName[protectionStatus]}</p>
+            </div>
+        )}
+        {targetType === CommunicationType.JLINK
+            && protectionStatus === ProtectionStatus.LOCKED && (
+            <Alert variant="danger" className="protection-alert">
+                <p>
+                    <span className="mdi mdi-alert" />
+                    Recovering erases the whole device, including UICR, and removes the protection.
+                </p>
+                <Button size="sm" variant="danger" onClick={performRecover} disabled={isBusy}>
+                    Recover
+                </Button>
+            </Alert>
+        )}
     </div>
 );
 
@@ -95,11 +128,20 @@ DeviceInfoView.propTypes = {
     port: PropTypes.string,
     targetType: PropTypes.number.isRequired,
     isMemLoaded: PropTypes.bool.isRequired,
+    isMemIncomplete: PropTypes.bool.isRequired,
+    knownRanges: PropTypes.arrayOf(PropTypes.shape({
+        startAddress: PropTypes.number,
+        size: PropTypes.number,
+    })).isRequired,
     deviceInfo: PropTypes.instanceOf(Object).isRequired,
+    protectionStatus: PropTypes.string,
+    isBusy: PropTypes.bool.isRequired,
+    performRecover: PropTypes.func.isRequired,
 };
 
 DeviceInfoView.defaultProps = {
     port: null,
+    protectionStatus: null,
 };
 
 export default DeviceInfoView;
@@ -0,0 +1,187 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { basename } from 'path';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import Modal from 'react-bootstrap/Modal';
+
+function parseNumber(value) {
+    const trimmed = value.trim();
+    if (/^0x[0-9A-Fa-f]+$/.test(trimmed)) {
+        return parseInt(trimmed, 16);
+    }
+    return /^[0-9]+$/.test(trimmed) ? parseInt(trimmed, 10) : NaN;
+}
+
+function parseSdReq(value) {
+    const ids = value.split(',').map(id => id.trim()).filter(id => id);
+    if (ids.length === 0 || !ids.every(id => /^(0x)?[0-9A-Fa-f]+$/.test(id))) {
+        return null;
+    }
+    return ids.map(id => parseInt(id, 16));
+}
+
+export default class DfuPackageDialogView extends React.Component {
+    constructor(props) {
+        super(props);
+        this.onOk = this.onOk.bind(this);
+        this.state = this.getDefaultOptions();
+    }
+
+    componentDidUpdate(prevProps) {
+        const { isVisible } = this.props;
+        if (isVisible && !prevProps.isVisible) {
+            this.resetState();
+        }
+    }
+
+    onOk() {
+        const { onOk } = this.props;
+        const {
+            fwVersion, hwVersion, sdReq, sign,
+        } = this.state;
+        onOk({
+            fwVersion: parseNumber(fwVersion),
+            hwVersion: parseNumber(hwVersion),
+            sdReq: parseSdReq(sdReq),
+            sign,
+        });
+    }
+
+    getDefaultOptions() {
+        const { hwVersion, signingKeyPath } = this.props;
+        return {
+            fwVersion: '1',
+            hwVersion: `${hwVersion}`,
+            sdReq: '',
+            sign: !!signingKeyPath,
+        };
+    }
+
+    resetState() {
+        this.setState(this.getDefaultOptions());
+    }
+
+    isValid() {
+        const { fwVersion, hwVersion, sdReq } = this.state;
+        return !Number.isNaN(parseNumber(fwVersion))
+            && !Number.isNaN(parseNumber(hwVersion))
+            && parseSdReq(sdReq) !== null;
+    }
+
+    render() {
+        const { isVisible, signingKeyPath, onCancel } = this.props;
+        const {
+            fwVersion, hwVersion, sdReq, sign,
+        } = this.state;
+
+        return (
+            <Modal show={isVisible} onHide={onCancel} backdrop="static">
+                <Modal.Header>
+                    <Modal.Title>Save as DFU package</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <Form.Group controlId="dfu-package-fw-version">
+                        <Form.Label>Firmware version</Form.Label>
+                        <Form.Control
+                            type="text"
+                            value={fwVersion}
+                            onChange={e => this.setState({ fwVersion: e.target.value })}
+                        />
+                    </Form.Group>
+                    <Form.Group controlId="dfu-package-hw-version">
+                        <Form.Label>Hardware version</Form.Label>
+                        <Form.Control
+                            type="text"
+                            value={hwVersion}
+                            onChange={e => this.setState({ hwVersion: e.target.value })}
+                        />
+                    </Form.Group>
+                    <Form.Group controlId="dfu-package-sd-req">
+                        <Form.Label>Required SoftDevice IDs</Form.Label>
+                        <Form.Control
+                            type="text"
+                            value={sdReq}
+                            placeholder="e.g. 0xAE, 0xB6"
+                            onChange={e => this.setState({ sdReq: e.target.value })}
+                        />
+                    </Form.Group>
+                    <Form.Check
+                        type="checkbox"
+                        id="dfu-package-sign"
+                        label={signingKeyPath
+                            ? `Sign with ${basename(signingKeyPath)}`
+                            : 'Sign (no signing key selected)'}
+                        disabled={!signingKeyPath}
+                        checked={sign && !!signingKeyPath}
+                        onChange={e => this.setState({ sign: e.target.checked })}
+                    />
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button
+                        variant="primary"
+                        className="core-btn"
+                        disabled={!this.isValid()}
+                        onClick={this.onOk}
+                    >
+                        Save
+                    </Button>
+                    <Button
+                        className="core-btn"
+                        onClick={onCancel}
+                    >
+                        Cancel
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+DfuPackageDialogView.propTypes = {
+    isVisible: PropTypes.bool.isRequired,
+    hwVersion: PropTypes.number.isRequired,
+    signingKeyPath: PropTypes.string,
+    onOk: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
+
+DfuPackageDialogView.defaultProps = {
+    signingKeyPath: null,
+};
@@ -0,0 +1,244 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import Modal from 'react-bootstrap/Modal';
+
+import { ExportSource } from '../actions/exportActions';
+import { parseAddress } from '../util/addressRanges';
+import { ExportFormat, ExportFormatInfo } from '../util/exportFormats';
+import { hexpad2, hexpad8 } from '../util/hexpad';
+
+export default class ExportDialogView extends React.Component {
+    constructor(props) {
+        super(props);
+        this.onOk = this.onOk.bind(this);
+        this.state = this.getDefaultOptions();
+    }
+
+    componentDidUpdate(prevProps) {
+        const { isVisible } = this.props;
+        if (isVisible && !prevProps.isVisible) {
+            this.resetState();
+        }
+    }
+
+    onOk() {
+        const { hasDevice, onOk } = this.props;
+        const {
+            source, format, clipToDevice, includeUicr, startAddress, endAddress, fillByte,
+        } = this.state;
+        onOk({
+            source,
+            format,
+            clipToDevice: clipToDevice && hasDevice,
+            includeUicr,
+            startAddress: parseAddress(startAddress),
+            endAddress: parseAddress(endAddress),
+            fillByte: parseAddress(fillByte),
+        });
+    }
+
+    getDefaultOptions() {
+        const { source, romBaseAddr, romSize } = this.props;
+        return {
+            source,
+            format: ExportFormat.HEX,
+            clipToDevice: false,
+            includeUicr: false,
+            startAddress: hexpad8(romBaseAddr),
+            endAddress: hexpad8(romBaseAddr + romSize),
+            fillByte: hexpad2(0xFF),
+        };
+    }
+
+    resetState() {
+        this.setState(this.getDefaultOptions());
+    }
+
+    isValid() {
+        const {
+            source, format, startAddress, endAddress, fillByte,
+        } = this.state;
+        const { canExportFiles, canExportDevice } = this.props;
+        if (source === ExportSource.FILES && !canExportFiles) {
+            return false;
+        }
+        if (source === ExportSource.DEVICE && !canExportDevice) {
+            return false;
+        }
+        if (format !== ExportFormat.BIN) {
+            return true;
+        }
+        const start = parseAddress(startAddress);
+        const end = parseAddress(endAddress);
+        const fill = parseAddress(fillByte);
+        return end > start && fill >= 0 && fill <= 0xFF;
+    }
+
+    render() {
+        const {
+            isVisible,
+            canExportFiles,
+            canExportDevice,
+            hasDevice,
+            onCancel,
+        } = this.props;
+        const {
+            source, format, clipToDevice, includeUicr, startAddress, endAddress, fillByte,
+        } = this.state;
+        const isBin = format === ExportFormat.BIN;
+        // The files are exported as they are, unless clipped to the device
+        const isClipped = source === ExportSource.DEVICE || (clipToDevice && hasDevice);
+
+        return (
+            <Modal show={isVisible} onHide={onCancel} backdrop="static">
+                <Modal.Header>
+                    <Modal.Title>Save as file</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <Form.Group>
+                        <Form.Label>Content</Form.Label>
+                        <Form.Check
+                            type="radio"
+                            id="export-source-files"
+                            name="exportSource"
+                            label="Merged content of the loaded files"
+                            disabled={!canExportFiles}
+                            checked={source === ExportSource.FILES}
+                            onChange={() => this.setState({ source: ExportSource.FILES })}
+                        />
+                        <Form.Check
+                            type="radio"
+                            id="export-source-device"
+                            name="exportSource"
+                            label="Memory read from the device"
+                            disabled={!canExportDevice}
+                            checked={source === ExportSource.DEVICE}
+                            onChange={() => this.setState({ source: ExportSource.DEVICE })}
+                        />
+                    </Form.Group>
+                    <Form.Group controlId="export-format">
+                        <Form.Label>Format</Form.Label>
+                        <Form.Control
+                            as="select"
+                            value={format}
+                            onChange={e => this.setState({ format: e.target.value })}
+                        >
+                            {Object.keys(ExportFormatInfo).map(key => (
+                                <option key={key} value={key}>
+                                    {ExportFormatInfo[key].name}
+                                </option>
+                            ))}
+                        </Form.Control>
+                    </Form.Group>
+                    {isBin && (
+                        <Form.Group>
+                            <Form.Label>Range and fill byte</Form.Label>
+                            <Form.Control
+                                type="text"
+                                value={startAddress}
+                                placeholder="Start address"
+                                onChange={e => this.setState({ startAddress: e.target.value })}
+                            />
+                            <Form.Control
+                                type="text"
+                                value={endAddress}
+                                placeholder="End address"
+                                onChange={e => this.setState({ endAddress: e.target.value })}
+                            />
+                            <Form.Control
+                                type="text"
+                                value={fillByte}
+                                placeholder="Fill byte"
+                                onChange={e => this.setState({ fillByte: e.target.value })}
+                            />
+                        </Form.Group>
+                    )}
+                    {source === ExportSource.FILES && (
+                        <Form.Check
+                            type="checkbox"
+                            id="export-clip-to-device"
+                            label="Only the flash of the selected device"
+                            disabled={isBin || !hasDevice}
+                            checked={clipToDevice && hasDevice && !isBin}
+                            onChange={e => this.setState({ clipToDevice: e.target.checked })}
+                        />
+                    )}
+                    <Form.Check
+                        type="checkbox"
+                        id="export-include-uicr"
+                        label="Include UICR"
+                        disabled={isBin || !isClipped}
+                        checked={includeUicr && isClipped && !isBin}
+                        onChange={e => this.setState({ includeUicr: e.target.checked })}
+                    />
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button
+                        variant="primary"
+                        className="core-btn"
+                        disabled={!this.isValid()}
+                        onClick={this.onOk}
+                    >
+                        Save
+                    </Button>
+                    <Button
+                        className="core-btn"
+                        onClick={onCancel}
+                    >
+                        Cancel
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+ExportDialogView.propTypes = {
+    isVisible: PropTypes.bool.isRequired,
+    source: PropTypes.string.isRequired,
+    canExportFiles: PropTypes.bool.isRequired,
+    canExportDevice: PropTypes.bool.isRequired,
+    hasDevice: PropTypes.bool.isRequired,
+    romBaseAddr: PropTypes.number.isRequired,
+    romSize: PropTypes.number.isRequired,
+    onOk: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
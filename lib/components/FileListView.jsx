@@ -0,0 +1,209 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import Badge from 'react-bootstrap/Badge';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+
+import { parseAddress } from '../util/addressRanges';
+import { formatOffset, hexpad8 } from '../util/hexpad';
+
+// How often to check whether the loaded files have been changed on disk, when
+// they are not watched. Watched files are reloaded when they change.
+const CHANGED_FILES_CHECK_INTERVAL = 2000;
+
+// Parse an offset entered as a hexadecimal address, which may be negative
+function parseOffset(value) {
+    const [, sign, address] = /^\s*([+-]?)(.*)$/.exec(value);
+    const offset = parseAddress(address);
+    return sign === '-' ? -offset : offset;
+}
+
+const FileOffsetInput = ({ offset, onChange }) => {
+    const [value, setValue] = useState(formatOffset(offset));
+    useEffect(() => setValue(formatOffset(offset)), [offset]);
+
+    const apply = () => {
+        const newOffset = parseOffset(value);
+        if (Number.isNaN(newOffset)) {
+            setValue(formatOffset(offset));
+        } else if (newOffset !== offset) {
+            onChange(newOffset);
+        }
+    };
+
+    return (
+        <Form.Control
+            type="text"
+            size="sm"
+            value={value}
+            isInvalid={Number.isNaN(parseOffset(value))}
+            onChange={e => setValue(e.target.value)}
+            onBlur={apply}
+            onKeyDown={e => { if (e.key === 'Enter') apply(); }}
+        />
+    );
+};
+
+FileOffsetInput.propTypes = {
+    offset: PropTypes.number.isRequired,
+    onChange: PropTypes.func.isRequired,
+};
+
+const FileListView = ({
+    files,
+    setFileOffset,
+    toggleFileEnabled,
+    changeFilePriority,
+    removeFile,
+    checkChangedFiles,
+    isWatchingFiles,
+}) => {
+    const hasFiles = files.length > 0;
+    useEffect(() => {
+        if (!hasFiles) {
+            return undefined;
+        }
+        checkChangedFiles();
+        if (isWatchingFiles) {
+            return undefined;
+        }
+        const interval = setInterval(checkChangedFiles, CHANGED_FILES_CHECK_INTERVAL);
+        return () => clearInterval(interval);
+    }, [hasFiles, isWatchingFiles]);
+
+    // The files are listed from the highest to the lowest priority
+    return (
+        <div className="file-list">
+            {files.map(({
+                filePath,
+                filename,
+                size,
+                startAddress,
+                endAddress,
+                modTime,
+                offset,
+                enabled,
+                isChanged,
+            }, index) => (
+                <div
+                    className={`file-list-entry ${enabled ? '' : 'file-excluded'}`}
+                    key={filePath}
+                >
+                    <div className="file-header">
+                        <Form.Check
+                            id={`file-enabled-${filePath}`}
+                            type="checkbox"
+                            checked={enabled}
+                            title="Include this file when writing"
+                            onChange={() => toggleFileEnabled(filePath)}
+                        />
+                        <div className="file-name" title={filePath}>{filename}</div>
+                        { isChanged && (
+                            <Badge variant="warning" title="The file has been changed on disk">
+                                changed
+                            </Badge>
+                        )}
+                        <Button
+                            variant="link"
+                            size="sm"
+                            title="Increase priority"
+                            disabled={index === 0}
+                            onClick={() => changeFilePriority(filePath, true)}
+                        >
+                            <span className="mdi mdi-arrow-up" />
+                        </Button>
+                        <Button
+                            variant="link"
+                            size="sm"
+                            title="Decrease priority"
+                            disabled={index === files.length - 1}
+                            onClick={() => changeFilePriority(filePath, false)}
+                        >
+                            <span className="mdi mdi-arrow-down" />
+                        </Button>
+                        <Button
+                            variant="link"
+                            size="sm"
+                            title="Remove file"
+                            onClick={() => removeFile(filePath)}
+                        >
+                            <span className="mdi mdi-close" />
+                        </Button>
+                    </div>
+                    <div className="file-details">
+                        <div className="file-path" title={filePath}>{filePath}</div>
+                        <div>
+                            {`${size} bytes, ${hexpad8(startAddress)}-${hexpad8(endAddress)}`}
+                        </div>
+                        <div>{`Modified ${modTime.toLocaleString()}`}</div>
+                    </div>
+                    <Form.Group className="file-offset">
+                        <Form.Label>Offset</Form.Label>
+                        <FileOffsetInput
+                            offset={offset}
+                            onChange={newOffset => setFileOffset(filePath, newOffset)}
+                        />
+                    </Form.Group>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+FileListView.propTypes = {
+    files: PropTypes.arrayOf(PropTypes.shape({
+        filePath: PropTypes.string,
+        filename: PropTypes.string,
+        size: PropTypes.number,
+        startAddress: PropTypes.number,
+        endAddress: PropTypes.number,
+        modTime: PropTypes.instanceOf(Date),
+        offset: PropTypes.number,
+        enabled: PropTypes.bool,
+        isChanged: PropTypes.bool,
+    })).isRequired,
+    setFileOffset: PropTypes.func.isRequired,
+    toggleFileEnabled: PropTypes.func.isRequired,
+    changeFilePriority: PropTypes.func.isRequired,
+    removeFile: PropTypes.func.isRequired,
+    checkChangedFiles: PropTypes.func.isRequired,
+    isWatchingFiles: PropTypes.bool.isRequired,
+};
+
+export default FileListView;
@@ -0,0 +1,356 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { List } from 'immutable';
+import MemoryMap from 'nrf-intel-hex';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import InputGroup from 'react-bootstrap/InputGroup';
+import Modal from 'react-bootstrap/Modal';
+
+import { parseAddress } from '../util/addressRanges';
+import {
+    BYTES_PER_ROW,
+    findPattern,
+    formatAscii,
+    getBytes,
+    getDumpSegments,
+    getRegionColor,
+    getRow,
+    getRowCount,
+    getRowOfAddress,
+    interpretBytes,
+    parseSearchPattern,
+} from '../util/hexDump';
+import { hexpad2, hexpad8 } from '../util/hexpad';
+import range from '../util/range';
+
+// Only the visible rows are rendered, so they all have the same height
+const ROW_HEIGHT = 20;
+const VISIBLE_ROWS = 20;
+const OVERSCAN_ROWS = 5;
+
+function formatValue(name, value) {
+    if (value === undefined) {
+        return '-';
+    }
+    if (name.startsWith('u')) {
+        return `${value} (0x${value.toString(16).toUpperCase()})`;
+    }
+    return `${value}`;
+}
+
+export default class HexInspectorView extends React.Component {
+    constructor(props) {
+        super(props);
+        this.onEntered = this.onEntered.bind(this);
+        this.onScroll = this.onScroll.bind(this);
+        this.onGoto = this.onGoto.bind(this);
+        this.onSearch = this.onSearch.bind(this);
+        this.state = this.getDefaultOptions();
+    }
+
+    componentDidUpdate(prevProps) {
+        const { isVisible, source, address } = this.props;
+        if (isVisible && !prevProps.isVisible) {
+            this.resetState();
+        } else if (isVisible && (source !== prevProps.source || address !== prevProps.address)) {
+            this.resetState();
+            this.scrollToAddress(address);
+        }
+    }
+
+    onEntered() {
+        const { address } = this.props;
+        this.scrollToAddress(address);
+    }
+
+    onScroll(event) {
+        this.setState({ scrollTop: event.target.scrollTop });
+    }
+
+    onGoto() {
+        const { gotoText } = this.state;
+        const address = parseAddress(gotoText);
+        if (Number.isNaN(address)) {
+            this.setState({ message: 'Enter the address as a hexadecimal number.' });
+            return;
+        }
+        this.setState({ selectedAddress: address, message: null });
+        this.scrollToAddress(address);
+    }
+
+    onSearch() {
+        const { memMap } = this.props;
+        const { searchText, isAscii, selectedAddress } = this.state;
+        let pattern;
+        try {
+            pattern = parseSearchPattern(searchText, isAscii);
+        } catch (error) {
+            this.setState({ message: error.message });
+            return;
+        }
+        const fromAddress = selectedAddress === null ? -1 : selectedAddress;
+        const address = findPattern(memMap, pattern, fromAddress);
+        if (address === undefined) {
+            this.setState({ message: 'The pattern was not found.' });
+            return;
+        }
+        this.setState({ selectedAddress: address, message: null });
+        this.scrollToAddress(address);
+    }
+
+    getDefaultOptions() {
+        const { address } = this.props;
+        return {
+            scrollTop: 0,
+            selectedAddress: address || null,
+            gotoText: hexpad8(address || 0),
+            searchText: '',
+            isAscii: false,
+            message: null,
+        };
+    }
+
+    // The segments are only calculated again when the memory map changes
+    getSegments() {
+        const { memMap } = this.props;
+        if (this.segmentsMemMap !== memMap) {
+            this.segmentsMemMap = memMap;
+            this.segments = getDumpSegments(memMap);
+        }
+        return this.segments;
+    }
+
+    resetState() {
+        this.setState(this.getDefaultOptions());
+    }
+
+    scrollToAddress(address) {
+        if (!this.rowsRef) {
+            return;
+        }
+        const row = getRowOfAddress(this.getSegments(), address);
+        this.rowsRef.scrollTop = row * ROW_HEIGHT;
+        this.setState({ scrollTop: this.rowsRef.scrollTop });
+    }
+
+    renderRow(row) {
+        const { memMap, regions } = this.props;
+        const { selectedAddress } = this.state;
+        const { address, size, isGap } = getRow(this.getSegments(), row);
+        const style = { top: row * ROW_HEIGHT, height: ROW_HEIGHT };
+
+        if (isGap) {
+            return (
+                <div key={row} className="hex-row hex-gap" style={style}>
+                    No data at {hexpad8(address)}-{hexpad8(address + size)}
+                </div>
+            );
+        }
+
+        const bytes = getBytes(memMap, address, BYTES_PER_ROW);
+        return (
+            <div key={row} className="hex-row" style={style}>
+                <span className="hex-address">{hexpad8(address)}</span>
+                {bytes.map((byte, i) => {
+                    const byteAddress = address + i;
+                    const color = byte === undefined
+                        ? undefined
+                        : getRegionColor(regions, byteAddress);
+                    const className = byteAddress === selectedAddress
+                        ? 'hex-byte selected'
+                        : 'hex-byte';
+                    return (
+                        <button
+                            type="button"
+                            key={byteAddress}
+                            className={className}
+                            style={{ backgroundColor: color }}
+                            onClick={() => this.setState({ selectedAddress: byteAddress })}
+                        >
+                            {byte === undefined ? '--' : hexpad2(byte).slice(2)}
+                        </button>
+                    );
+                })}
+                <span className="hex-ascii">{formatAscii(bytes)}</span>
+            </div>
+        );
+    }
+
+    render() {
+        const {
+            isVisible,
+            source,
+            sources,
+            memMap,
+            onSelectSource,
+            onCancel,
+        } = this.props;
+        const {
+            scrollTop,
+            selectedAddress,
+            gotoText,
+            searchText,
+            isAscii,
+            message,
+        } = this.state;
+
+        const rowCount = getRowCount(this.getSegments());
+        const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+        const lastRow = Math.min(rowCount, firstRow + VISIBLE_ROWS + (2 * OVERSCAN_ROWS)) - 1;
+
+        return (
+            <Modal
+                show={isVisible}
+                onHide={onCancel}
+                onEntered={this.onEntered}
+                size="lg"
+                dialogClassName="hex-inspector"
+            >
+                <Modal.Header closeButton>
+                    <Modal.Title>Memory inspector</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <Form.Group controlId="inspector-source">
+                        <Form.Control
+                            as="select"
+                            value={source}
+                            onChange={e => onSelectSource(e.target.value)}
+                        >
+                            {sources.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </Form.Control>
+                    </Form.Group>
+                    <div className="hex-inspector-tools">
+                        <InputGroup size="sm">
+                            <Form.Control
+                                type="text"
+                                value={gotoText}
+                                onChange={e => this.setState({ gotoText: e.target.value })}
+                                onKeyDown={e => e.key === 'Enter' && this.onGoto()}
+                            />
+                            <InputGroup.Append>
+                                <Button className="core-btn" onClick={this.onGoto}>
+                                    Go to
+                                </Button>
+                            </InputGroup.Append>
+                        </InputGroup>
+                        <InputGroup size="sm">
+                            <Form.Control
+                                type="text"
+                                placeholder={isAscii ? 'ASCII text' : 'Bytes, like DE AD BE EF'}
+                                value={searchText}
+                                onChange={e => this.setState({ searchText: e.target.value })}
+                                onKeyDown={e => e.key === 'Enter' && this.onSearch()}
+                            />
+                            <InputGroup.Append>
+                                <Button className="core-btn" onClick={this.onSearch}>
+                                    Find next
+                                </Button>
+                            </InputGroup.Append>
+                        </InputGroup>
+                        <Form.Check
+                            type="checkbox"
+                            id="inspector-search-ascii"
+                            label="ASCII"
+                            checked={isAscii}
+                            onChange={e => this.setState({ isAscii: e.target.checked })}
+                        />
+                    </div>
+                    { message && <p className="hex-inspector-message">{message}</p> }
+                    <div className="hex-inspector-content">
+                        <div
+                            className="hex-rows"
+                            style={{ height: VISIBLE_ROWS * ROW_HEIGHT }}
+                            onScroll={this.onScroll}
+                            ref={r => { this.rowsRef = r; }}
+                        >
+                            <div style={{ height: rowCount * ROW_HEIGHT }}>
+                                {range(firstRow, lastRow).map(row => this.renderRow(row))}
+                            </div>
+                            { memMap.size === 0 && (
+                                <p className="hex-gap">There is no data to show</p>
+                            )}
+                        </div>
+                        <div className="hex-interpretation">
+                            <h5>
+                                {selectedAddress === null
+                                    ? 'No byte selected'
+                                    : hexpad8(selectedAddress)}
+                            </h5>
+                            { selectedAddress !== null && (
+                                <table>
+                                    <tbody>
+                                        {interpretBytes(memMap, selectedAddress)
+                                            .map(({ name, value }) => (
+                                                <tr key={name}>
+                                                    <td>{name}</td>
+                                                    <td>{formatValue(name, value)}</td>
+                                                </tr>
+                                            ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    </div>
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button className="core-btn" onClick={onCancel}>
+                        Close
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+HexInspectorView.propTypes = {
+    isVisible: PropTypes.bool.isRequired,
+    source: PropTypes.string.isRequired,
+    address: PropTypes.number.isRequired,
+    sources: PropTypes.arrayOf(PropTypes.shape({
+        value: PropTypes.string,
+        label: PropTypes.string,
+    })).isRequired,
+    memMap: PropTypes.instanceOf(MemoryMap).isRequired,
+    regions: PropTypes.instanceOf(List).isRequired,
+    onSelectSource: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
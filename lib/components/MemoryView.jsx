@@ -36,10 +36,13 @@
 
 import React from 'react';
 import PropTypes from 'prop-types';
+import Button from 'react-bootstrap/Button';
+import ProgressBar from 'react-bootstrap/ProgressBar';
 import { List } from 'immutable';
 import RegionView from '../containers/regionView';
+import { formatByteRate, formatSeconds, getReadProgress } from '../util/readProgress';
 
-const convertRegionsToViews = (regions, targetSize, active) => {
+export const convertRegionsToViews = (regions, targetSize, active, isTarget = false) => {
     const regionViews = [];
     let lastAddress = 0;
     regions.sortBy(r => r.startAddress).forEach(region => {
@@ -59,6 +62,7 @@ const convertRegionsToViews = (regions, targetSize, active) => {
                     <RegionView
                         key={startAddress}
                         region={region}
+                        isTarget={isTarget}
                         hoverable
                         active={active}
                         width={regionSize}
@@ -76,6 +80,7 @@ const convertRegionsToViews = (regions, targetSize, active) => {
                     <RegionView
                         key={startAddress}
                         region={region}
+                        isTarget={isTarget}
                         hoverable
                         active={active}
                         width={regionSize}
@@ -95,6 +100,44 @@ const convertRegionsToViews = (regions, targetSize, active) => {
     return regionViews;
 };
 
+const ReadProgressView = ({
+    totalBytes,
+    bytesRead,
+    startTime,
+    isCancelling,
+    onCancelRead,
+}) => {
+    const { percentage, bytesPerSecond, secondsLeft } = getReadProgress(
+        bytesRead, totalBytes, startTime, Date.now(),
+    );
+    return (
+        <div className="read-indicator read-progress">
+            <p>Reading device memory</p>
+            <ProgressBar now={percentage} label={`${percentage}%`} />
+            <p>
+                {bytesPerSecond === undefined
+                    ? 'Estimating time left...'
+                    : `${formatByteRate(bytesPerSecond)}, ${formatSeconds(secondsLeft)} left`}
+            </p>
+            <Button
+                className="core-btn"
+                onClick={onCancelRead}
+                disabled={isCancelling}
+            >
+                {isCancelling ? 'Cancelling...' : 'Cancel'}
+            </Button>
+        </div>
+    );
+};
+
+ReadProgressView.propTypes = {
+    totalBytes: PropTypes.number.isRequired,
+    bytesRead: PropTypes.number.isRequired,
+    startTime: PropTypes.number.isRequired,
+    isCancelling: PropTypes.bool.isRequired,
+    onCancelRead: PropTypes.func.isRequired,
+};
+
 const MemoryView = ({
     targetSize,
     targetRegions,
@@ -105,7 +148,10 @@ const MemoryView = ({
     isWriting,
     isErasing,
     isLoading,
+    isMemIncomplete,
     refreshEnabled,
+    readProgress,
+    onCancelRead,
 }) => {
     let placeHolder;
     if (isTarget) {
@@ -117,7 +163,7 @@ const MemoryView = ({
             placeHolder = convertRegionsToViews(fileRegions, targetSize, true);
         } else {
             // When it is target and regions are known, show target regions without animation.
-            placeHolder = convertRegionsToViews(targetRegions, targetSize);
+            placeHolder = convertRegionsToViews(targetRegions, targetSize, false, true);
         }
     } else if (isFile) {
         // When it is file, show file regions without animation.
@@ -137,6 +183,25 @@ const MemoryView = ({
                     </div>
                 </div>
             )}
+            { isTarget && isLoading && readProgress.isReading && (
+                <div className="centering-container">
+                    <ReadProgressView
+                        totalBytes={readProgress.totalBytes}
+                        bytesRead={readProgress.bytesRead}
+                        startTime={readProgress.startTime}
+                        isCancelling={readProgress.isCancelling}
+                        onCancelRead={onCancelRead}
+                    />
+                </div>
+            )}
+            { isTarget && !isLoading && isMemIncomplete && (
+                <div className="centering-container">
+                    <div className="read-indicator">
+                        <p>Reading has been cancelled</p>
+                        <p>The memory layout is <strong>incomplete</strong></p>
+                    </div>
+                </div>
+            )}
             { isTarget && isMcuboot && (
                 <div className="centering-container">
                     <div className="read-indicator">
@@ -159,7 +224,16 @@ MemoryView.propTypes = {
     isWriting: PropTypes.bool.isRequired,
     isErasing: PropTypes.bool.isRequired,
     isLoading: PropTypes.bool.isRequired,
+    isMemIncomplete: PropTypes.bool.isRequired,
     refreshEnabled: PropTypes.bool.isRequired,
+    readProgress: PropTypes.shape({
+        isReading: PropTypes.bool,
+        isCancelling: PropTypes.bool,
+        totalBytes: PropTypes.number,
+        bytesRead: PropTypes.number,
+        startTime: PropTypes.number,
+    }).isRequired,
+    onCancelRead: PropTypes.func.isRequired,
 };
 
 export default MemoryView;
@@ -0,0 +1,164 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Button from 'react-bootstrap/Button';
+import Modal from 'react-bootstrap/Modal';
+import Table from 'react-bootstrap/Table';
+
+import {
+    ProbeStatus,
+    ProbeStatusName,
+    ProductionStep,
+    ProductionStepName,
+    StepStatus,
+    countProbes,
+    getStepStatus,
+} from '../util/production';
+
+const stepIcons = {
+    [StepStatus.PENDING]: '',
+    [StepStatus.RUNNING]: 'mdi mdi-loading mdi-spin',
+    [StepStatus.DONE]: 'mdi mdi-check',
+    [StepStatus.FAILED]: 'mdi mdi-close',
+    [StepStatus.SKIPPED]: 'mdi mdi-minus',
+};
+
+function formatDuration(duration) {
+    return duration === null ? '' : `${(duration / 1000).toFixed(1)} s`;
+}
+
+const ProductionDialogView = ({
+    hasFiles,
+    isRunning,
+    isVisible,
+    onClose,
+    onRun,
+    probes,
+    steps,
+}) => {
+    const counts = countProbes(probes);
+    return (
+        <Modal show={isVisible} onHide={onClose} size="lg" backdrop="static">
+            <Modal.Header>
+                <Modal.Title>Production programming</Modal.Title>
+            </Modal.Header>
+            <Modal.Body className="production-dialog">
+                { probes.length === 0 && (
+                    <p>Connect the J-Link probes to program.</p>
+                )}
+                { probes.length > 0 && (
+                    <Table size="sm">
+                        <thead>
+                            <tr>
+                                <th>Serial number</th>
+                                {Object.values(ProductionStep).map(step => (
+                                    <th key={step}>{ProductionStepName[step]}</th>
+                                ))}
+                                <th>Duration</th>
+                                <th>Result</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {probes.map(probe => (
+                                <tr key={probe.serialNumber} className={`probe-${probe.status}`}>
+                                    <td>{probe.serialNumber}</td>
+                                    {Object.values(ProductionStep).map(step => (
+                                        <td key={step}>
+                                            <span
+                                                className={stepIcons[
+                                                    getStepStatus(probe, steps, step)
+                                                ]}
+                                            />
+                                        </td>
+                                    ))}
+                                    <td>{formatDuration(probe.duration)}</td>
+                                    <td title={probe.error || ''}>
+                                        {ProbeStatusName[probe.status]}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                )}
+                { (counts[ProbeStatus.PASSED] + counts[ProbeStatus.FAILED]) > 0 && (
+                    <p>
+                        {counts[ProbeStatus.PASSED]} passed, {counts[ProbeStatus.FAILED]} failed
+                    </p>
+                )}
+                { !hasFiles && (
+                    <p>Add the files to write before programming.</p>
+                )}
+            </Modal.Body>
+            <Modal.Footer>
+                <Button
+                    variant="primary"
+                    className="core-btn"
+                    disabled={isRunning || !hasFiles || probes.length === 0}
+                    onClick={onRun}
+                >
+                    Program all
+                </Button>
+                <Button
+                    className="core-btn"
+                    disabled={isRunning}
+                    onClick={onClose}
+                >
+                    Close
+                </Button>
+            </Modal.Footer>
+        </Modal>
+    );
+};
+
+ProductionDialogView.propTypes = {
+    hasFiles: PropTypes.bool.isRequired,
+    isRunning: PropTypes.bool.isRequired,
+    isVisible: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired,
+    onRun: PropTypes.func.isRequired,
+    probes: PropTypes.arrayOf(PropTypes.shape({
+        serialNumber: PropTypes.string,
+        status: PropTypes.string,
+        startedSteps: PropTypes.arrayOf(PropTypes.string),
+        duration: PropTypes.number,
+        error: PropTypes.string,
+    })).isRequired,
+    steps: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default ProductionDialogView;
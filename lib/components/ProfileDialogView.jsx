@@ -0,0 +1,123 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import Modal from 'react-bootstrap/Modal';
+
+export default class ProfileDialogView extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { name: '' };
+    }
+
+    componentDidUpdate(prevProps) {
+        const { isVisible, selected } = this.props;
+        if (isVisible && !prevProps.isVisible) {
+            this.resetState(selected || '');
+        }
+    }
+
+    resetState(name) {
+        this.setState({ name });
+    }
+
+    render() {
+        const {
+            isVisible,
+            profileNames,
+            onOk,
+            onCancel,
+        } = this.props;
+        const { name } = this.state;
+        const trimmedName = name.trim();
+
+        return (
+            <Modal show={isVisible} onHide={onCancel} backdrop="static">
+                <Modal.Header>
+                    <Modal.Title>Save profile</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <p>
+                        The profile contains the loaded files with their offsets and
+                        whether they are included, the connected device and the write options.
+                    </p>
+                    <Form.Group controlId="profile-name">
+                        <Form.Label>Name</Form.Label>
+                        <Form.Control
+                            type="text"
+                            value={name}
+                            onChange={e => this.setState({ name: e.target.value })}
+                        />
+                        { profileNames.includes(trimmedName) && (
+                            <Form.Text>The existing profile will be replaced.</Form.Text>
+                        )}
+                    </Form.Group>
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button
+                        variant="primary"
+                        className="core-btn"
+                        disabled={!trimmedName}
+                        onClick={() => onOk(trimmedName)}
+                    >
+                        Save
+                    </Button>
+                    <Button
+                        className="core-btn"
+                        onClick={onCancel}
+                    >
+                        Cancel
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+ProfileDialogView.propTypes = {
+    isVisible: PropTypes.bool.isRequired,
+    profileNames: PropTypes.arrayOf(PropTypes.string).isRequired,
+    selected: PropTypes.string,
+    onOk: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
+
+ProfileDialogView.defaultProps = {
+    selected: null,
+};
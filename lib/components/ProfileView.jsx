@@ -0,0 +1,137 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+
+const ProfileView = ({
+    profileNames,
+    selected,
+    hasFiles,
+    applyProfile,
+    showProfileDialog,
+    removeProfile,
+    exportProfile,
+    importProfiles,
+    isAutoProgramming,
+    toggleAutoProgram,
+}) => (
+    <div className="profile">
+        <Form.Group controlId="profile">
+            <Form.Label>Profile</Form.Label>
+            <Form.Control
+                as="select"
+                size="sm"
+                value={selected || ''}
+                onChange={e => e.target.value && applyProfile(e.target.value)}
+            >
+                <option value="">
+                    {profileNames.length ? 'Select a profile' : 'No saved profiles'}
+                </option>
+                {profileNames.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                ))}
+            </Form.Control>
+        </Form.Group>
+        <div className="profile-buttons">
+            <Button
+                variant="link"
+                size="sm"
+                title="Save the files and write options as profile"
+                disabled={!hasFiles}
+                onClick={showProfileDialog}
+            >
+                <span className="mdi mdi-content-save" />
+            </Button>
+            <Button
+                variant="link"
+                size="sm"
+                title="Import profiles"
+                onClick={importProfiles}
+            >
+                <span className="mdi mdi-import" />
+            </Button>
+            <Button
+                variant="link"
+                size="sm"
+                title="Export profile"
+                disabled={!selected}
+                onClick={() => exportProfile(selected)}
+            >
+                <span className="mdi mdi-export" />
+            </Button>
+            <Button
+                variant="link"
+                size="sm"
+                title="Remove profile"
+                disabled={!selected}
+                onClick={() => removeProfile(selected)}
+            >
+                <span className="mdi mdi-delete" />
+            </Button>
+        </div>
+        <Form.Check
+            type="checkbox"
+            id="auto-program"
+            className="auto-program"
+            label="Program devices with the profile when connected"
+            checked={isAutoProgramming}
+            disabled={!selected && !isAutoProgramming}
+            onChange={toggleAutoProgram}
+        />
+    </div>
+);
+
+ProfileView.propTypes = {
+    profileNames: PropTypes.arrayOf(PropTypes.string).isRequired,
+    selected: PropTypes.string,
+    hasFiles: PropTypes.bool.isRequired,
+    applyProfile: PropTypes.func.isRequired,
+    showProfileDialog: PropTypes.func.isRequired,
+    removeProfile: PropTypes.func.isRequired,
+    exportProfile: PropTypes.func.isRequired,
+    importProfiles: PropTypes.func.isRequired,
+    isAutoProgramming: PropTypes.bool.isRequired,
+    toggleAutoProgram: PropTypes.func.isRequired,
+};
+
+ProfileView.defaultProps = {
+    selected: null,
+};
+
+export default ProfileView;
@@ -0,0 +1,363 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import InputGroup from 'react-bootstrap/InputGroup';
+import Modal from 'react-bootstrap/Modal';
+import Table from 'react-bootstrap/Table';
+
+import { parseAddress } from '../util/addressRanges';
+import { hexpad8 } from '../util/hexpad';
+import {
+    DEVICE_ID_SIZE,
+    LOG_COLUMNS,
+    ProvisioningSource,
+    ProvisioningSourceName,
+} from '../util/provisioning';
+
+function parseCount(value) {
+    return /^[0-9]+$/.test(`${value}`.trim()) ? parseInt(value, 10) : NaN;
+}
+
+const newField = {
+    name: '',
+    source: ProvisioningSource.COUNTER,
+    size: '4',
+    column: '',
+};
+
+// The rows of the fields are keyed by an id, which is not saved
+let lastFieldId = 0;
+
+function withFieldId(field) {
+    lastFieldId += 1;
+    return { ...field, id: lastFieldId };
+}
+
+export default class ProvisioningDialogView extends React.Component {
+    constructor(props) {
+        super(props);
+        this.onOk = this.onOk.bind(this);
+        this.state = this.getDefaultOptions();
+    }
+
+    componentDidUpdate(prevProps) {
+        const { isVisible } = this.props;
+        if (isVisible && !prevProps.isVisible) {
+            this.resetState();
+        }
+    }
+
+    onOk() {
+        const { onOk } = this.props;
+        const {
+            isEnabled, address, fields, nextCounter, csvPath, nextCsvRow, logPath,
+        } = this.state;
+        onOk({
+            isEnabled,
+            address: parseAddress(address),
+            fields: fields.map(({ id, ...field }) => ({
+                ...field,
+                name: field.name.trim(),
+                size: parseCount(field.size),
+            })),
+            nextCounter: parseCount(nextCounter),
+            csvPath: csvPath || null,
+            nextCsvRow: parseCount(nextCsvRow),
+            logPath: logPath || null,
+        });
+    }
+
+    getDefaultOptions() {
+        const { config } = this.props;
+        return {
+            ...config,
+            address: hexpad8(config.address),
+            fields: config.fields.map(field => withFieldId({ ...field, size: `${field.size}` })),
+            nextCounter: `${config.nextCounter}`,
+            nextCsvRow: `${config.nextCsvRow}`,
+            csvPath: config.csvPath || '',
+            logPath: config.logPath || '',
+        };
+    }
+
+    setField(id, changes) {
+        const { fields } = this.state;
+        this.setState({
+            fields: fields.map(field => (field.id === id ? { ...field, ...changes } : field)),
+        });
+    }
+
+    resetState() {
+        this.setState(this.getDefaultOptions());
+    }
+
+    isValid() {
+        const {
+            address, fields, nextCounter, nextCsvRow,
+        } = this.state;
+        const names = fields.map(({ name }) => name.trim());
+        return !Number.isNaN(parseAddress(address))
+            && !Number.isNaN(parseCount(nextCounter))
+            && !Number.isNaN(parseCount(nextCsvRow))
+            && fields.length > 0
+            && names.every(name => /^[A-Za-z0-9_]+$/.test(name) && !LOG_COLUMNS.includes(name))
+            && new Set(names).size === names.length
+            && fields.every(({ size, source, column }) => parseCount(size) > 0
+                && (source !== ProvisioningSource.CSV || column.trim())
+                && (source !== ProvisioningSource.DEVICE_ID || parseCount(size) <= DEVICE_ID_SIZE));
+    }
+
+    chooseFile(isLog) {
+        const { chooseFile } = this.props;
+        chooseFile(isLog).then(filePath => {
+            if (filePath) {
+                this.setState(isLog ? { logPath: filePath } : { csvPath: filePath });
+            }
+        });
+    }
+
+    render() {
+        const { isVisible, defaultLogPath, onCancel } = this.props;
+        const {
+            isEnabled, address, fields, nextCounter, csvPath, nextCsvRow, logPath,
+        } = this.state;
+
+        return (
+            <Modal show={isVisible} onHide={onCancel} size="lg" backdrop="static">
+                <Modal.Header>
+                    <Modal.Title>Provisioning</Modal.Title>
+                </Modal.Header>
+                <Modal.Body className="provisioning-dialog">
+                    <Form.Check
+                        type="checkbox"
+                        id="provisioning-enabled"
+                        label="Write unique data to each device"
+                        checked={isEnabled}
+                        onChange={e => this.setState({ isEnabled: e.target.checked })}
+                    />
+                    <Form.Group controlId="provisioning-address">
+                        <Form.Label>Address</Form.Label>
+                        <Form.Control
+                            type="text"
+                            value={address}
+                            onChange={e => this.setState({ address: e.target.value })}
+                        />
+                        <Form.Text>
+                            The fields are written one after another from this address.
+                        </Form.Text>
+                    </Form.Group>
+                    <Table size="sm">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Value</th>
+                                <th>Bytes</th>
+                                <th>CSV column</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {fields.map(field => (
+                                <tr key={field.id}>
+                                    <td>
+                                        <Form.Control
+                                            type="text"
+                                            size="sm"
+                                            value={field.name}
+                                            onChange={e => (
+                                                this.setField(field.id, { name: e.target.value })
+                                            )}
+                                        />
+                                    </td>
+                                    <td>
+                                        <Form.Control
+                                            as="select"
+                                            size="sm"
+                                            value={field.source}
+                                            onChange={e => (
+                                                this.setField(field.id, { source: e.target.value })
+                                            )}
+                                        >
+                                            {Object.values(ProvisioningSource).map(source => (
+                                                <option key={source} value={source}>
+                                                    {ProvisioningSourceName[source]}
+                                                </option>
+                                            ))}
+                                        </Form.Control>
+                                    </td>
+                                    <td>
+                                        <Form.Control
+                                            type="text"
+                                            size="sm"
+                                            value={field.size}
+                                            onChange={e => (
+                                                this.setField(field.id, { size: e.target.value })
+                                            )}
+                                        />
+                                    </td>
+                                    <td>
+                                        <Form.Control
+                                            type="text"
+                                            size="sm"
+                                            value={field.column}
+                                            disabled={field.source !== ProvisioningSource.CSV}
+                                            onChange={e => (
+                                                this.setField(field.id, { column: e.target.value })
+                                            )}
+                                        />
+                                    </td>
+                                    <td>
+                                        <Button
+                                            size="sm"
+                                            variant="link"
+                                            title="Remove field"
+                                            onClick={() => this.setState({
+                                                fields: fields.filter(({ id }) => id !== field.id),
+                                            })}
+                                        >
+                                            <span className="mdi mdi-minus-circle" />
+                                        </Button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                    <Button
+                        size="sm"
+                        className="core-btn"
+                        onClick={() => this.setState({
+                            fields: [...fields, withFieldId(newField)],
+                        })}
+                    >
+                        Add field
+                    </Button>
+                    <Form.Group controlId="provisioning-counter">
+                        <Form.Label>Next counter value</Form.Label>
+                        <Form.Control
+                            type="text"
+                            value={nextCounter}
+                            onChange={e => this.setState({ nextCounter: e.target.value })}
+                        />
+                    </Form.Group>
+                    <Form.Group controlId="provisioning-csv">
+                        <Form.Label>
+                            CSV file of values, with column names in the first row
+                        </Form.Label>
+                        <InputGroup>
+                            <Form.Control
+                                type="text"
+                                value={csvPath}
+                                onChange={e => this.setState({ csvPath: e.target.value })}
+                            />
+                            <InputGroup.Append>
+                                <Button className="core-btn" onClick={() => this.chooseFile(false)}>
+                                    Browse
+                                </Button>
+                            </InputGroup.Append>
+                        </InputGroup>
+                    </Form.Group>
+                    <Form.Group controlId="provisioning-csv-row">
+                        <Form.Label>Next CSV row, from 0</Form.Label>
+                        <Form.Control
+                            type="text"
+                            value={nextCsvRow}
+                            onChange={e => this.setState({ nextCsvRow: e.target.value })}
+                        />
+                    </Form.Group>
+                    <Form.Group controlId="provisioning-log">
+                        <Form.Label>Log of assigned values</Form.Label>
+                        <InputGroup>
+                            <Form.Control
+                                type="text"
+                                value={logPath}
+                                placeholder={defaultLogPath}
+                                onChange={e => this.setState({ logPath: e.target.value })}
+                            />
+                            <InputGroup.Append>
+                                <Button className="core-btn" onClick={() => this.chooseFile(true)}>
+                                    Browse
+                                </Button>
+                            </InputGroup.Append>
+                        </InputGroup>
+                        <Form.Text>Values found in the log are never assigned again.</Form.Text>
+                    </Form.Group>
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button
+                        variant="primary"
+                        className="core-btn"
+                        disabled={!this.isValid()}
+                        onClick={this.onOk}
+                    >
+                        Save
+                    </Button>
+                    <Button
+                        className="core-btn"
+                        onClick={onCancel}
+                    >
+                        Cancel
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+ProvisioningDialogView.propTypes = {
+    isVisible: PropTypes.bool.isRequired,
+    config: PropTypes.shape({
+        isEnabled: PropTypes.bool,
+        address: PropTypes.number,
+        fields: PropTypes.arrayOf(PropTypes.shape({
+            name: PropTypes.string,
+            source: PropTypes.string,
+            size: PropTypes.number,
+            column: PropTypes.string,
+        })),
+        nextCounter: PropTypes.number,
+        csvPath: PropTypes.string,
+        nextCsvRow: PropTypes.number,
+        logPath: PropTypes.string,
+    }).isRequired,
+    defaultLogPath: PropTypes.string.isRequired,
+    chooseFile: PropTypes.func.isRequired,
+    onOk: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
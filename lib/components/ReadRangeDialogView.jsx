@@ -0,0 +1,197 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import Modal from 'react-bootstrap/Modal';
+
+import { NamedRange, parseAddress } from '../util/addressRanges';
+
+const ADDRESS_RANGE = 'addressRange';
+
+const rangeNames = {
+    [ADDRESS_RANGE]: 'Address range',
+    [NamedRange.BOOTLOADER]: 'Bootloader',
+    [NamedRange.UICR]: 'UICR',
+    [NamedRange.LAST_PAGES]: 'Last pages of flash',
+};
+
+export default class ReadRangeDialogView extends React.Component {
+    constructor(props) {
+        super(props);
+        this.onOk = this.onOk.bind(this);
+        this.state = this.getDefaultOptions();
+    }
+
+    componentDidUpdate(prevProps) {
+        const { isVisible } = this.props;
+        if (isVisible && !prevProps.isVisible) {
+            this.resetState();
+        }
+    }
+
+    onOk() {
+        const { onOk } = this.props;
+        const {
+            rangeName, startAddress, endAddress, pageCount,
+        } = this.state;
+        onOk({
+            name: rangeName === ADDRESS_RANGE ? null : rangeName,
+            startAddress: parseAddress(startAddress),
+            endAddress: parseAddress(endAddress),
+            pageCount: parseInt(pageCount, 10),
+        });
+    }
+
+    getDefaultOptions() {
+        const { romSize } = this.props;
+        return {
+            rangeName: ADDRESS_RANGE,
+            startAddress: '0x0',
+            endAddress: `0x${romSize.toString(16).toUpperCase()}`,
+            pageCount: '1',
+        };
+    }
+
+    resetState() {
+        this.setState(this.getDefaultOptions());
+    }
+
+    isValid() {
+        const {
+            rangeName, startAddress, endAddress, pageCount,
+        } = this.state;
+        if (rangeName === ADDRESS_RANGE) {
+            const start = parseAddress(startAddress);
+            const end = parseAddress(endAddress);
+            return !Number.isNaN(start) && !Number.isNaN(end) && end > start;
+        }
+        if (rangeName === NamedRange.LAST_PAGES) {
+            return /^[0-9]+$/.test(pageCount.trim()) && parseInt(pageCount, 10) > 0;
+        }
+        return true;
+    }
+
+    render() {
+        const { isVisible, onCancel } = this.props;
+        const {
+            rangeName, startAddress, endAddress, pageCount,
+        } = this.state;
+
+        return (
+            <Modal show={isVisible} onHide={onCancel} backdrop="static">
+                <Modal.Header>
+                    <Modal.Title>Read device memory</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <Form.Group controlId="read-range-name">
+                        <Form.Label>Range</Form.Label>
+                        <Form.Control
+                            as="select"
+                            value={rangeName}
+                            onChange={e => this.setState({ rangeName: e.target.value })}
+                        >
+                            {Object.keys(rangeNames).map(name => (
+                                <option key={name} value={name}>{rangeNames[name]}</option>
+                            ))}
+                        </Form.Control>
+                    </Form.Group>
+                    { rangeName === ADDRESS_RANGE && (
+                        <Form.Group controlId="read-range-start">
+                            <Form.Label>Start address</Form.Label>
+                            <Form.Control
+                                type="text"
+                                value={startAddress}
+                                onChange={e => this.setState({ startAddress: e.target.value })}
+                            />
+                        </Form.Group>
+                    )}
+                    { rangeName === ADDRESS_RANGE && (
+                        <Form.Group controlId="read-range-end">
+                            <Form.Label>End address</Form.Label>
+                            <Form.Control
+                                type="text"
+                                value={endAddress}
+                                onChange={e => this.setState({ endAddress: e.target.value })}
+                            />
+                        </Form.Group>
+                    )}
+                    { rangeName === NamedRange.LAST_PAGES && (
+                        <Form.Group controlId="read-range-pages">
+                            <Form.Label>Number of pages</Form.Label>
+                            <Form.Control
+                                type="text"
+                                value={pageCount}
+                                onChange={e => this.setState({ pageCount: e.target.value })}
+                            />
+                        </Form.Group>
+                    )}
+                    { rangeName === NamedRange.BOOTLOADER && (
+                        <p>
+                            The bootloader is read from its address in UICR
+                            up to the end of flash.
+                        </p>
+                    )}
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button
+                        variant="primary"
+                        className="core-btn"
+                        disabled={!this.isValid()}
+                        onClick={this.onOk}
+                    >
+                        Read
+                    </Button>
+                    <Button
+                        className="core-btn"
+                        onClick={onCancel}
+                    >
+                        Cancel
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+ReadRangeDialogView.propTypes = {
+    isVisible: PropTypes.bool.isRequired,
+    romSize: PropTypes.number.isRequired,
+    onOk: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
@@ -41,7 +41,7 @@ import { basename } from 'path';
 import { hexpad8 } from '../util/hexpad';
 
 const RegionInfoView = ({
-    name, startAddress, regionSize, fileNames,
+    name, startAddress, regionSize, fileNames, sectionNames,
 }, parent) => (
     <Popover
         id="popover-region"
@@ -75,6 +75,12 @@ const RegionInfoView = ({
                 </p>
             </div>
         )}
+        { sectionNames.length > 0 && (
+            <div>
+                <h5>Sections</h5>
+                <p>{ sectionNames.join(', ') }</p>
+            </div>
+        )}
         <div>
             <h5>Address range</h5>
             <p>{ hexpad8(startAddress) } &mdash; { hexpad8(startAddress + regionSize) }</p>
@@ -91,10 +97,12 @@ RegionInfoView.propTypes = {
     startAddress: PropTypes.number.isRequired,
     regionSize: PropTypes.number.isRequired,
     fileNames: PropTypes.arrayOf(PropTypes.string).isRequired,
+    sectionNames: PropTypes.arrayOf(PropTypes.string),
 };
 
 RegionInfoView.defaultProps = {
     name: null,
+    sectionNames: [],
 };
 
 export default RegionInfoView;
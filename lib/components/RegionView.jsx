@@ -50,6 +50,7 @@ class RegionView extends React.Component {
             hoverable,
             region,
             removeFile,
+            inspectRegion,
         } = this.props;
         const color = region ? region.color : '#d9e1e2';
         const fileNames = region ? region.fileNames : [];
@@ -60,6 +61,14 @@ class RegionView extends React.Component {
         className = hoverable ? `${className} hoverable` : className;
         className = (fileNames.length > 1) ? `${className} crosses` : className;
 
+        // Clicking a region shows its content in the memory inspector
+        const inspectProps = region ? {
+            role: 'button',
+            tabIndex: 0,
+            onClick: () => inspectRegion(region.startAddress),
+            onKeyDown: e => e.key === 'Enter' && inspectRegion(region.startAddress),
+        } : {};
+
         const singleRegionView = (
             <div
                 className={className}
@@ -67,11 +76,15 @@ class RegionView extends React.Component {
                     flexGrow: width,
                     backgroundColor: color,
                 }}
+                {...inspectProps}
             >
                 { region && region.fileNames.length > 0 && !active && (
                     <Button
                         className="transparent"
-                        onClick={() => removeFile(region.fileNames.pop())}
+                        onClick={e => {
+                            e.stopPropagation();
+                            removeFile(region.fileNames[region.fileNames.length - 1]);
+                        }}
                     >
                         <span className="mdi mdi-minus-circle" />
                     </Button>
@@ -96,6 +109,7 @@ class RegionView extends React.Component {
 
 RegionView.propTypes = {
     removeFile: PropTypes.func.isRequired,
+    inspectRegion: PropTypes.func.isRequired,
     width: PropTypes.number.isRequired,
     active: PropTypes.bool,
     striped: PropTypes.bool,
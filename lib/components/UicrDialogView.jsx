@@ -0,0 +1,220 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import MemoryMap from 'nrf-intel-hex';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import Modal from 'react-bootstrap/Modal';
+import Table from 'react-bootstrap/Table';
+
+import { parseAddress } from '../util/addressRanges';
+import { hexpad8 } from '../util/hexpad';
+import {
+    formatUicrValue,
+    getUicrFields,
+    getUicrValue,
+} from '../util/uicr';
+
+const families = ['nRF51', 'nRF52', 'nRF91'];
+
+export default class UicrDialogView extends React.Component {
+    constructor(props) {
+        super(props);
+        this.onOk = this.onOk.bind(this);
+        this.state = this.getDefaultOptions();
+    }
+
+    componentDidUpdate(prevProps) {
+        const { isVisible } = this.props;
+        if (isVisible && !prevProps.isVisible) {
+            this.resetState();
+        }
+    }
+
+    onOk() {
+        const { onOk } = this.props;
+        const { family, values } = this.state;
+        const fieldAddresses = getUicrFields(family).map(({ address }) => address);
+        const edits = {};
+        Object.keys(values)
+            .filter(address => fieldAddresses.includes(Number(address)) && values[address].trim())
+            .forEach(address => { edits[address] = parseAddress(values[address]); });
+        onOk(family, edits);
+    }
+
+    getDefaultOptions() {
+        const { family, edits } = this.props;
+        const values = {};
+        Object.keys(edits).forEach(address => { values[address] = hexpad8(edits[address]); });
+        return { family, values };
+    }
+
+    setValue(address, value) {
+        const { values } = this.state;
+        this.setState({ values: { ...values, [address]: value } });
+    }
+
+    resetState() {
+        this.setState(this.getDefaultOptions());
+    }
+
+    isValid() {
+        const { values } = this.state;
+        return Object.values(values)
+            .every(value => !value.trim() || !Number.isNaN(parseAddress(value)));
+    }
+
+    render() {
+        const {
+            isVisible,
+            isFamilyFixed,
+            deviceMemMap,
+            fileMemMap,
+            onCancel,
+        } = this.props;
+        const { family, values } = this.state;
+
+        return (
+            <Modal show={isVisible} onHide={onCancel} size="lg" backdrop="static">
+                <Modal.Header>
+                    <Modal.Title>UICR editor</Modal.Title>
+                </Modal.Header>
+                <Modal.Body className="uicr-editor">
+                    <Form.Group controlId="uicr-family">
+                        <Form.Label>Device family</Form.Label>
+                        <Form.Control
+                            as="select"
+                            value={family}
+                            disabled={isFamilyFixed}
+                            onChange={e => this.setState({ family: e.target.value, values: {} })}
+                        >
+                            {families.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </Form.Control>
+                    </Form.Group>
+                    <p>
+                        New values are written along with the files.
+                        Leave a value empty to keep the one of the files.
+                    </p>
+                    <Table size="sm">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th>Device</th>
+                                <th>Files</th>
+                                <th>New value</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {getUicrFields(family).map(field => {
+                                const value = values[field.address] || '';
+                                const newValue = parseAddress(value);
+                                return (
+                                    <tr key={field.address}>
+                                        <td title={hexpad8(field.address)}>{field.name}</td>
+                                        <td>
+                                            {formatUicrValue(
+                                                field,
+                                                getUicrValue(deviceMemMap, field.address),
+                                            )}
+                                        </td>
+                                        <td>
+                                            {formatUicrValue(
+                                                field,
+                                                getUicrValue(fileMemMap, field.address),
+                                            )}
+                                        </td>
+                                        <td>
+                                            <Form.Control
+                                                type="text"
+                                                size="sm"
+                                                value={value}
+                                                isInvalid={!!value.trim()
+                                                    && Number.isNaN(newValue)}
+                                                onChange={e => (
+                                                    this.setValue(field.address, e.target.value)
+                                                )}
+                                            />
+                                            { field.decode && !Number.isNaN(newValue) && (
+                                                <Form.Text>{field.decode(newValue)}</Form.Text>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </Table>
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button
+                        className="core-btn"
+                        onClick={() => this.setState({ values: {} })}
+                    >
+                        Clear all
+                    </Button>
+                    <Button
+                        variant="primary"
+                        className="core-btn"
+                        disabled={!this.isValid()}
+                        onClick={this.onOk}
+                    >
+                        Save
+                    </Button>
+                    <Button
+                        className="core-btn"
+                        onClick={onCancel}
+                    >
+                        Cancel
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+UicrDialogView.propTypes = {
+    isVisible: PropTypes.bool.isRequired,
+    family: PropTypes.string.isRequired,
+    isFamilyFixed: PropTypes.bool.isRequired,
+    edits: PropTypes.objectOf(PropTypes.number).isRequired,
+    deviceMemMap: PropTypes.instanceOf(MemoryMap).isRequired,
+    fileMemMap: PropTypes.instanceOf(MemoryMap).isRequired,
+    onOk: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
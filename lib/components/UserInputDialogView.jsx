@@ -88,6 +88,7 @@ export default class UserInputDialogView extends React.Component {
             isVisible,
             message,
             choices,
+            placeholder,
             onOk,
             onCancel,
         } = this.props;
@@ -128,7 +129,7 @@ export default class UserInputDialogView extends React.Component {
                                 value={customValue}
                                 onFocus={() => this.onSelectChoice('Custom')}
                                 onChange={this.onInputChanged}
-                                placeholder="Custom SoftDevice ID"
+                                placeholder={placeholder || 'Custom value'}
                             />
                         </Form.Check>
                     </Form.Group>
@@ -160,6 +161,7 @@ UserInputDialogView.propTypes = {
     isVisible: PropTypes.bool,
     message: PropTypes.string,
     choices: PropTypes.shape({}),
+    placeholder: PropTypes.string,
     onOk: PropTypes.func.isRequired,
     onCancel: PropTypes.func.isRequired,
 };
@@ -168,4 +170,5 @@ UserInputDialogView.defaultProps = {
     isVisible: false,
     message: '',
     choices: {},
+    placeholder: null,
 };
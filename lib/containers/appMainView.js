@@ -41,10 +41,11 @@ import * as usbsdfuTargetActions from '../actions/usbsdfuTargetActions';
 import { CommunicationType } from '../util/devices';
 
 export default connect(
-    ({ app: { target, file } }, props) => ({
+    ({ app: { target, file, comparison } }, props) => ({
         ...props,
         file,
         target,
+        isComparing: comparison.isEnabled,
         refreshEnabled: target.targetType === CommunicationType.JLINK,
         resetEnabled: target.targetType === CommunicationType.USBSDFU,
     }),
@@ -36,12 +36,18 @@
 
 import { connect } from 'react-redux';
 import ControlPanel from '../components/ControlPanel';
+import * as comparisonActions from '../actions/comparisonActions';
+import * as exportActions from '../actions/exportActions';
 import * as fileActions from '../actions/fileActions';
+import * as inspectorActions from '../actions/inspectorActions';
 import * as targetActions from '../actions/targetActions';
 import * as jlinkTargetActions from '../actions/jlinkTargetActions';
 import * as modemTargetActions from '../actions/modemTargetActions';
+import * as productionActions from '../actions/productionActions';
+import * as provisioningActions from '../actions/provisioningActions';
 import * as usbsdfuTargetActions from '../actions/usbsdfuTargetActions';
-import { toggleAutoRead } from '../actions/settingsActions';
+import * as settingsActions from '../actions/settingsActions';
+import * as uicrActions from '../actions/uicrActions';
 import { CommunicationType } from '../util/devices';
 
 export default connect(
@@ -50,12 +56,25 @@ export default connect(
         fileRegionSize: app.file.regions.size,
         mruFiles: app.file.mruFiles,
         autoRead: app.settings.autoRead,
+        signingKeyPath: app.settings.signingKeyPath,
+        reportDirectory: app.settings.reportDirectory,
+        junitReports: app.settings.junitReports,
+        overlapPolicy: app.settings.overlapPolicy,
+        watchFiles: app.settings.watchFiles,
+        writeOnChange: app.settings.writeOnChange,
+        eraseMode: app.settings.eraseMode,
+        verifyAfterWrite: app.settings.verifyAfterWrite,
+        verifyMode: app.settings.verifyMode,
+        resetAfterWrite: app.settings.resetAfterWrite,
+        protectAfterWrite: app.settings.protectAfterWrite,
+        incrementalWrite: app.settings.incrementalWrite,
         targetIsWritable: app.target.isWritable,
         targetIsRecoverable: app.target.isRecoverable,
         targetIsMemLoaded: app.target.isMemLoaded,
         targetIsReady: !app.target.isLoading
             && !app.target.isWriting
             && !app.target.isErasing,
+        isComparing: app.comparison.isEnabled,
         isJLink: (app.target.targetType === CommunicationType.JLINK),
         isUsbSerial: (app.target.targetType === CommunicationType.USBSDFU),
         isModem: app.modem.isModem,
@@ -69,11 +88,41 @@ export default connect(
         refreshAllFiles: () => { dispatch(fileActions.refreshAllFiles()); },
         onToggleFileList: () => dispatch(fileActions.loadMruFiles()),
         openFileDialog: () => dispatch(fileActions.openFileDialog()),
-        toggleAutoRead: () => { dispatch(toggleAutoRead()); },
+        toggleAutoRead: () => { dispatch(settingsActions.toggleAutoRead()); },
+        setWriteOptions: options => { dispatch(settingsActions.setWriteOptions(options)); },
+        setProtectAfterWrite: isEnabled => {
+            dispatch(settingsActions.setProtectAfterWrite(isEnabled));
+        },
+        toggleComparison: () => { dispatch(comparisonActions.toggleComparison()); },
+        toggleWatchFiles: () => { dispatch(settingsActions.toggleWatchFiles()); },
+        toggleWriteOnChange: () => { dispatch(settingsActions.toggleWriteOnChange()); },
+        selectSigningKey: () => { dispatch(settingsActions.selectSigningKey()); },
+        clearSigningKey: () => { dispatch(settingsActions.clearSigningKey()); },
+        selectReportDirectory: () => { dispatch(settingsActions.selectReportDirectory()); },
+        clearReportDirectory: () => { dispatch(settingsActions.clearReportDirectory()); },
+        toggleJUnitReports: () => { dispatch(settingsActions.toggleJUnitReports()); },
+        setOverlapPolicy: overlapPolicy => {
+            dispatch(settingsActions.setOverlapPolicy(overlapPolicy));
+        },
         performRecover: () => { dispatch(jlinkTargetActions.recover()); },
         performRecoverAndWrite: () => { dispatch(jlinkTargetActions.recoverAndWrite()); },
-        performSaveAsFile: () => { dispatch(jlinkTargetActions.saveAsFile()); },
+        performSaveAsFile: () => {
+            dispatch(exportActions.showExportDialog(exportActions.ExportSource.DEVICE));
+        },
+        performSaveAsDfuPackage: () => {
+            dispatch(usbsdfuTargetActions.showDfuPackageDialog());
+        },
+        performSaveFiles: () => {
+            dispatch(exportActions.showExportDialog(exportActions.ExportSource.FILES));
+        },
+        showInspector: () => {
+            dispatch(inspectorActions.showInspector(inspectorActions.InspectorSource.FILES));
+        },
+        showProduction: () => { dispatch(productionActions.showProductionDialog()); },
+        showProvisioning: () => { dispatch(provisioningActions.showProvisioningDialog()); },
+        showUicrEditor: () => { dispatch(uicrActions.showUicrDialog()); },
         performJLinkRead: () => dispatch(jlinkTargetActions.read()),
+        performJLinkReadRange: () => dispatch(jlinkTargetActions.showReadRangeDialog()),
         performReset: () => { dispatch(usbsdfuTargetActions.resetDevice()); },
         performWrite: () => { dispatch(targetActions.write()); },
         performModemUpdate: () => { dispatch(modemTargetActions.selectModemFirmware()); },
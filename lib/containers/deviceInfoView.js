@@ -36,6 +36,7 @@
 
 import { connect } from 'react-redux';
 import DeviceInfoView from '../components/DeviceInfoView';
+import * as jlinkTargetActions from '../actions/jlinkTargetActions';
 
 export default connect(
     ({ app: { target } }, props) => ({
@@ -45,5 +46,13 @@ export default connect(
         targetType: target.targetType,
         deviceInfo: target.deviceInfo,
         isMemLoaded: target.isMemLoaded,
+        isMemIncomplete: target.isMemIncomplete,
+        knownRanges: target.knownRanges,
+        protectionStatus: target.protectionStatus,
+        isBusy: target.isErasing || target.isWriting || target.isLoading,
+    }),
+    (dispatch, props) => ({
+        ...props,
+        performRecover: () => { dispatch(jlinkTargetActions.confirmRecover()); },
     }),
 )(DeviceInfoView);
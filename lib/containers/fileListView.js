@@ -0,0 +1,79 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { connect } from 'react-redux';
+import FileListView from '../components/FileListView';
+import * as fileActions from '../actions/fileActions';
+import { getMemMapSpan } from '../util/memMaps';
+
+function getFileDetails(file, filePath) {
+    const entry = file.loaded[filePath];
+    const offset = entry.offset || 0;
+    const { size, startAddress, endAddress } = getMemMapSpan(entry.memMap);
+    return {
+        filePath,
+        filename: entry.filename,
+        size: entry.size !== undefined ? entry.size : size,
+        startAddress: startAddress + offset,
+        endAddress: endAddress + offset,
+        modTime: entry.modTime,
+        offset,
+        enabled: entry.enabled !== false,
+        isChanged: file.changedFilePaths.has(filePath),
+    };
+}
+
+export default connect(
+    ({ app: { file, settings } }, props) => ({
+        ...props,
+        files: Object.keys(file.loaded)
+            .reverse()
+            .map(filePath => getFileDetails(file, filePath)),
+        isWatchingFiles: settings.watchFiles,
+    }),
+    (dispatch, props) => ({
+        ...props,
+        setFileOffset: (filePath, offset) => {
+            dispatch(fileActions.setFileOffset(filePath, offset));
+        },
+        toggleFileEnabled: filePath => dispatch(fileActions.toggleFileEnabled(filePath)),
+        changeFilePriority: (filePath, increase) => {
+            dispatch(fileActions.changeFilePriority(filePath, increase));
+        },
+        removeFile: filePath => dispatch(fileActions.removeFile(filePath)),
+        checkChangedFiles: () => dispatch(fileActions.checkChangedFiles()),
+    }),
+)(FileListView);
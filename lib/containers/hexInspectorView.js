@@ -0,0 +1,109 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { basename } from 'path';
+
+import MemoryMap from 'nrf-intel-hex';
+import { connect } from 'react-redux';
+import { createSelector } from 'reselect';
+
+import HexInspectorView from '../components/HexInspectorView';
+import { mergeFileMemMaps } from '../actions/fileActions';
+import * as inspectorActions from '../actions/inspectorActions';
+import { mergeMemMaps, OverlapPolicy } from '../util/overlaps';
+
+const { InspectorSource } = inspectorActions;
+
+function getSources({ file, target }) {
+    return [
+        ...(target.serialNumber ? [{ value: InspectorSource.DEVICE, label: 'Device memory' }] : []),
+        { value: InspectorSource.FILES, label: 'Merged content of the loaded files' },
+        ...file.memMaps.map(([filePath]) => ({ value: filePath, label: basename(filePath) })),
+    ];
+}
+
+// The merged content of the loaded files, as they are written. Conflicting
+// files are merged with the last one winning when no overlap policy is chosen.
+// It is only merged again when the files, their load order, the overlap policy
+// or the UICR edits change, since the store is updated much more often.
+const getMergedMemMap = createSelector(
+    [
+        state => state.app.file.memMaps,
+        state => state.app.file.loaded,
+        state => state.app.settings.overlapPolicy,
+        state => state.app.uicr.edits,
+    ],
+    (memMaps, loaded, overlapPolicy, uicrEdits) => {
+        try {
+            return mergeFileMemMaps(memMaps, loaded, overlapPolicy, uicrEdits);
+        } catch (error) {
+            return mergeMemMaps(memMaps, OverlapPolicy.LAST_WINS);
+        }
+    },
+);
+
+// The memory map shown by the inspector
+function getMemMap(state, source) {
+    const { file, target } = state.app;
+    if (source === InspectorSource.DEVICE) {
+        return target.memMap;
+    }
+    if (source === InspectorSource.FILES) {
+        return getMergedMemMap(state);
+    }
+    const fileMemMap = file.memMaps.find(([filePath]) => filePath === source);
+    return fileMemMap ? fileMemMap[1] : new MemoryMap();
+}
+
+export default connect(
+    (state, props) => {
+        const { inspector, file, target } = state.app;
+        return {
+            ...props,
+            isVisible: inspector.isVisible,
+            source: inspector.source,
+            address: inspector.address,
+            sources: getSources(state.app),
+            memMap: inspector.isVisible ? getMemMap(state, inspector.source) : new MemoryMap(),
+            regions: inspector.source === InspectorSource.DEVICE ? target.regions : file.regions,
+        };
+    },
+    (dispatch, props) => ({
+        ...props,
+        onSelectSource: source => dispatch(inspectorActions.setInspectorSource(source)),
+        onCancel: () => dispatch(inspectorActions.hideInspector()),
+    }),
+)(HexInspectorView);
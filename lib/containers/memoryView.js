@@ -36,10 +36,18 @@
 
 import { connect } from 'react-redux';
 import MemoryView from '../components/MemoryView';
+import * as jlinkTargetActions from '../actions/jlinkTargetActions';
 import { CommunicationType } from '../util/devices';
 
 export default connect(
-    ({ app: { target, file, mcuboot } }, props) => ({
+    ({
+        app: {
+            target,
+            file,
+            mcuboot,
+            memoryRead,
+        },
+    }, props) => ({
         ...props,
         targetSize: target.deviceInfo.romSize,
         targetRegions: target.regions,
@@ -48,13 +56,19 @@ export default connect(
         isWriting: target.isWriting,
         isErasing: target.isErasing,
         isLoading: target.isLoading,
+        isMemIncomplete: target.isMemIncomplete,
+        readProgress: memoryRead,
         refreshEnabled: target.targetType === CommunicationType.JLINK
             && !target.isMemLoaded
+            && target.knownRanges.every(
+                ({ startAddress }) => startAddress >= target.deviceInfo.uicrBaseAddr,
+            )
             && !target.isLoading
             && !target.isWriting
             && !target.isErasing,
     }),
     (dispatch, props) => ({
         ...props,
+        onCancelRead: () => dispatch(jlinkTargetActions.cancelRead()),
     }),
 )(MemoryView);
@@ -0,0 +1,59 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { connect } from 'react-redux';
+import ProfileView from '../components/ProfileView';
+import * as autoProgramActions from '../actions/autoProgramActions';
+import * as profileActions from '../actions/profileActions';
+
+export default connect(
+    ({ app: { autoProgram, file, profile } }, props) => ({
+        ...props,
+        profileNames: Object.keys(profile.profiles).sort(),
+        selected: profile.selected,
+        hasFiles: Object.keys(file.loaded).length > 0,
+        isAutoProgramming: autoProgram.isEnabled,
+    }),
+    (dispatch, props) => ({
+        ...props,
+        applyProfile: name => dispatch(profileActions.applyProfile(name)),
+        showProfileDialog: () => dispatch(profileActions.showProfileDialog()),
+        removeProfile: name => dispatch(profileActions.removeProfile(name)),
+        exportProfile: name => dispatch(profileActions.exportProfile(name)),
+        importProfiles: () => dispatch(profileActions.importProfiles()),
+        toggleAutoProgram: () => dispatch(autoProgramActions.toggleAutoProgram()),
+    }),
+)(ProfileView);
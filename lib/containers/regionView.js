@@ -37,11 +37,18 @@
 import { connect } from 'react-redux';
 import RegionView from '../components/RegionView';
 import * as fileActions from '../actions/fileActions';
+import { InspectorSource, showInspector } from '../actions/inspectorActions';
 
 export default connect(
     (state, props) => props,
     (dispatch, props) => ({
         ...props,
         removeFile: filePath => { dispatch(fileActions.removeFile(filePath)); },
+        inspectRegion: address => {
+            dispatch(showInspector(
+                props.isTarget ? InspectorSource.DEVICE : InspectorSource.FILES,
+                address,
+            ));
+        },
     }),
 )(RegionView);
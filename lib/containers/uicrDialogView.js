@@ -0,0 +1,76 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+import { connect } from 'react-redux';
+
+import UicrDialogView from '../components/UicrDialogView';
+import * as uicrActions from '../actions/uicrActions';
+import { getLoadOrder } from '../util/memMaps';
+import { mergeMemMaps, OverlapPolicy } from '../util/overlaps';
+import { getUicrBaseAddress } from '../util/uicr';
+
+// The merged files without the edited fields, with the last file winning
+// when the overlap policy does not allow merging them
+function getFileMemMap({ file, settings }) {
+    try {
+        return mergeMemMaps(file.memMaps, settings.overlapPolicy, getLoadOrder(file.loaded));
+    } catch (error) {
+        return mergeMemMaps(file.memMaps, OverlapPolicy.LAST_WINS);
+    }
+}
+
+export default connect(
+    ({ app }, props) => {
+        const { uicr, target } = app;
+        const isFamilyFixed = !!target.serialNumber
+            && getUicrBaseAddress(target.deviceInfo.family) !== undefined;
+        return {
+            ...props,
+            isVisible: uicr.isDialogVisible,
+            family: isFamilyFixed ? target.deviceInfo.family : uicr.family,
+            isFamilyFixed,
+            edits: uicr.edits,
+            deviceMemMap: target.memMap,
+            fileMemMap: uicr.isDialogVisible ? getFileMemMap(app) : new MemoryMap(),
+        };
+    },
+    (dispatch, props) => ({
+        ...props,
+        onOk: (family, edits) => dispatch(uicrActions.saveUicrEdits(family, edits)),
+        onCancel: () => dispatch(uicrActions.cancelUicrDialog()),
+    }),
+)(UicrDialogView);
@@ -44,6 +44,7 @@ export default connect(
         isVisible: userInput.isRequired,
         message: userInput.message,
         choices: userInput.choices,
+        placeholder: userInput.placeholder,
     }),
     (dispatch, props) => ({
         ...props,
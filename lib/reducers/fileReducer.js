@@ -39,6 +39,7 @@ import { List, Record, Set } from 'immutable';
 import * as fileActions from '../actions/fileActions';
 
 const InitialState = new Record({
+    changedFilePaths: new Set(),
     detectedRegionNames: new Set(),
     loaded: {},
     mcubootFilePath: null,
@@ -55,7 +56,13 @@ export default function reducer(state = new InitialState(), action) {
         case fileActions.FILE_PARSE:
             return state
                 .set('memMaps', action.memMaps)
-                .set('loaded', action.loaded);
+                .set('loaded', action.loaded)
+                .set('changedFilePaths', state.changedFilePaths
+                    .filter(filePath => action.loaded[filePath]
+                        && action.loaded[filePath] === state.loaded[filePath]));
+
+        case fileActions.FILES_CHANGED_ON_DISK:
+            return state.set('changedFilePaths', action.filePaths);
 
         case fileActions.FILE_REGIONS_KNOWN:
             return state.set('regions', action.regions);
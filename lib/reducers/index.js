@@ -36,20 +36,40 @@
 
 import { combineReducers } from 'redux';
 
+import autoProgram from './autoProgramReducer';
+import comparison from './comparisonReducer';
+import dfuPackage from './dfuPackageReducer';
+import fileExport from './exportReducer';
 import file from './fileReducer';
+import inspector from './inspectorReducer';
 import mcuboot from './mcubootReducer';
+import memoryRead from './memoryReadReducer';
 import modem from './modemReducer';
+import production from './productionReducer';
+import profile from './profileReducer';
+import provisioning from './provisioningReducer';
 import settings from './settingsReducer';
 import target from './targetReducer';
+import uicr from './uicrReducer';
 import userInput from './userInputReducer';
 import warning from './warningReducer';
 
 const rootReducer = combineReducers({
+    autoProgram,
+    comparison,
+    dfuPackage,
     file,
+    fileExport,
+    inspector,
     modem,
     mcuboot,
+    memoryRead,
+    production,
+    profile,
+    provisioning,
     settings,
     target,
+    uicr,
     userInput,
     warning,
 });
@@ -0,0 +1,80 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { Record } from 'immutable';
+
+import * as jlinkTargetActions from '../actions/jlinkTargetActions';
+
+const InitialState = new Record({
+    isDialogVisible: false,
+    isReading: false,
+    isCancelling: false,
+    totalBytes: 0,
+    bytesRead: 0,
+    startTime: 0,
+});
+
+export default function memoryRead(state = new InitialState(), action) {
+    switch (action.type) {
+        case jlinkTargetActions.READ_RANGE_DIALOG_SHOW:
+            return state.set('isDialogVisible', true);
+
+        case jlinkTargetActions.READ_RANGE_DIALOG_HIDE:
+            return state.set('isDialogVisible', false);
+
+        case jlinkTargetActions.MEMORY_READ_START:
+            return state
+                .set('isReading', true)
+                .set('isCancelling', false)
+                .set('totalBytes', action.totalBytes)
+                .set('bytesRead', 0)
+                .set('startTime', action.startTime);
+
+        case jlinkTargetActions.MEMORY_READ_PROGRESS:
+            return state.set('bytesRead', action.bytesRead);
+
+        case jlinkTargetActions.MEMORY_READ_CANCEL:
+            return state.set('isCancelling', true);
+
+        case jlinkTargetActions.MEMORY_READ_END:
+            return state
+                .set('isReading', false)
+                .set('isCancelling', false);
+
+        default:
+    }
+    return state;
+}
@@ -0,0 +1,99 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { List, Map, Record } from 'immutable';
+
+import * as productionActions from '../actions/productionActions';
+import { ProbeStatus, getJLinkSerials } from '../util/production';
+
+const Probe = new Record({
+    serialNumber: '',
+    status: ProbeStatus.WAITING,
+    startedSteps: new List(),
+    startTime: null,
+    duration: null,
+    error: null,
+});
+
+const InitialState = new Record({
+    isDialogVisible: false,
+    isRunning: false,
+    serialNumbers: new List(),
+    probes: new Map(),
+});
+
+export default function production(state = new InitialState(), action) {
+    switch (action.type) {
+        case 'DEVICES_DETECTED':
+            return state.set('serialNumbers', new List(getJLinkSerials(action.devices)));
+
+        case productionActions.PRODUCTION_DIALOG_SHOW:
+            return state.set('isDialogVisible', true);
+
+        case productionActions.PRODUCTION_DIALOG_HIDE:
+            return state.set('isDialogVisible', false);
+
+        case productionActions.PRODUCTION_START:
+            return state
+                .set('isRunning', true)
+                .set('probes', new Map(action.serialNumbers.map(serialNumber => (
+                    [serialNumber, new Probe({ serialNumber })]
+                ))));
+
+        case productionActions.PRODUCTION_PROBE_START:
+            return state.updateIn(['probes', action.serialNumber], probe => probe
+                .set('status', ProbeStatus.RUNNING)
+                .set('startTime', action.startTime));
+
+        case productionActions.PRODUCTION_PROBE_STEP:
+            return state.updateIn(
+                ['probes', action.serialNumber, 'startedSteps'],
+                startedSteps => startedSteps.push(action.step),
+            );
+
+        case productionActions.PRODUCTION_PROBE_END:
+            return state.updateIn(['probes', action.serialNumber], probe => probe
+                .set('status', action.status)
+                .set('duration', action.duration)
+                .set('error', action.error));
+
+        case productionActions.PRODUCTION_END:
+            return state.set('isRunning', false);
+
+        default:
+    }
+    return state;
+}
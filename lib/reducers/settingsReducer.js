@@ -35,18 +35,69 @@
  */
 
 import { Record } from 'immutable';
-import { TOGGLE_AUTO_READ, SETTINGS_LOAD } from '../actions/settingsActions';
+
+import { EraseMode, VerifyMode } from '../util/devices';
+import {
+    OVERLAP_POLICY_SET,
+    REPORT_DIRECTORY_SET,
+    SETTINGS_LOAD,
+    SIGNING_KEY_SET,
+    TOGGLE_AUTO_READ,
+    TOGGLE_JUNIT_REPORTS,
+    TOGGLE_WATCH_FILES,
+    TOGGLE_WRITE_ON_CHANGE,
+    WRITE_OPTIONS_SET,
+} from '../actions/settingsActions';
 
 const InitialState = new Record({
     autoRead: false,
+    signingKeyPath: null,
+    overlapPolicy: null,
+    watchFiles: false,
+    writeOnChange: false,
+    eraseMode: EraseMode.PAGES,
+    verifyAfterWrite: true,
+    verifyMode: VerifyMode.READBACK,
+    resetAfterWrite: true,
+    protectAfterWrite: false,
+    incrementalWrite: false,
+    reportDirectory: null,
+    junitReports: false,
 });
 
 export default function target(state = new InitialState(), action) {
     switch (action.type) {
         case SETTINGS_LOAD:
-            return state.set('autoRead', action.settings.autoRead);
+            return state
+                .set('autoRead', action.settings.autoRead)
+                .set('signingKeyPath', action.settings.signingKeyPath)
+                .set('overlapPolicy', action.settings.overlapPolicy)
+                .set('watchFiles', action.settings.watchFiles)
+                .set('writeOnChange', action.settings.writeOnChange)
+                .set('eraseMode', action.settings.eraseMode)
+                .set('verifyAfterWrite', action.settings.verifyAfterWrite)
+                .set('verifyMode', action.settings.verifyMode)
+                .set('resetAfterWrite', action.settings.resetAfterWrite)
+                .set('protectAfterWrite', action.settings.protectAfterWrite)
+                .set('incrementalWrite', action.settings.incrementalWrite)
+                .set('reportDirectory', action.settings.reportDirectory)
+                .set('junitReports', action.settings.junitReports);
         case TOGGLE_AUTO_READ:
             return state.set('autoRead', !state.autoRead);
+        case TOGGLE_WATCH_FILES:
+            return state.set('watchFiles', !state.watchFiles);
+        case TOGGLE_WRITE_ON_CHANGE:
+            return state.set('writeOnChange', !state.writeOnChange);
+        case WRITE_OPTIONS_SET:
+            return state.merge(action.options);
+        case SIGNING_KEY_SET:
+            return state.set('signingKeyPath', action.signingKeyPath);
+        case OVERLAP_POLICY_SET:
+            return state.set('overlapPolicy', action.overlapPolicy);
+        case REPORT_DIRECTORY_SET:
+            return state.set('reportDirectory', action.reportDirectory);
+        case TOGGLE_JUNIT_REPORTS:
+            return state.set('junitReports', !state.junitReports);
         default:
     }
     return state;
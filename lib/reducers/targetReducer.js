@@ -52,11 +52,15 @@ const InitialState = new Record({
     writtenAddress: 0,
     dfuImages: new List(),
     isMemLoaded: false,
+    knownRanges: [],
+    isMemIncomplete: false,
     isWritable: false,
     isRecoverable: false,
+    protectionStatus: null,
     isWriting: false,
     isErasing: false,
     isLoading: false,
+    writeResult: null,
 });
 
 export default function target(state = new InitialState(), action) {
@@ -85,7 +89,13 @@ export default function target(state = new InitialState(), action) {
         case targetActions.TARGET_CONTENTS_KNOWN:
             return state
                 .set('memMap', action.targetMemMap)
-                .set('isMemLoaded', action.isMemLoaded);
+                .set('isMemLoaded', action.isMemLoaded)
+                .set('knownRanges', action.knownRanges)
+                .set('isMemIncomplete', action.isMemIncomplete);
+
+        case targetActions.TARGET_PROTECTION_KNOWN:
+            return state
+                .set('protectionStatus', action.protectionStatus);
 
         case targetActions.TARGET_REGIONS_KNOWN:
             return state
@@ -110,7 +120,11 @@ export default function target(state = new InitialState(), action) {
 
         case targetActions.WRITING_START:
             return state
-                .set('isWriting', true);
+                .set('isWriting', true)
+                .set('writeResult', null);
+
+        case targetActions.WRITE_RESULT_KNOWN:
+            return state.set('writeResult', action.writeResult);
 
         case targetActions.WRITING_END:
             return state
@@ -40,6 +40,7 @@ import * as userInputActions from '../actions/userInputActions';
 const InitialState = new Record({
     message: null,
     choices: {},
+    placeholder: null,
     isRequired: false,
 });
 
@@ -49,7 +50,8 @@ export default function target(state = new InitialState(), action) {
             return state
                 .set('isRequired', true)
                 .set('message', action.message)
-                .set('choices', action.choices);
+                .set('choices', action.choices)
+                .set('placeholder', action.placeholder);
 
         case userInputActions.USER_INPUT_RECEIVED:
         case userInputActions.USER_INPUT_CANCELLED:
@@ -0,0 +1,119 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+import {
+    NamedRange,
+    formatRanges,
+    getNamedRange,
+    isRangeKnown,
+    mergeRanges,
+    parseAddress,
+} from '../addressRanges';
+import { DeviceDefinition } from '../devices';
+
+describe('address ranges', () => {
+    it('should merge overlapping and adjoining ranges', () => {
+        expect(mergeRanges([
+            { startAddress: 0x3000, size: 0x1000 },
+            { startAddress: 0x0, size: 0x1000 },
+            { startAddress: 0x1000, size: 0x800 },
+            { startAddress: 0x3800, size: 0x1000 },
+        ])).toEqual([
+            { startAddress: 0x0, size: 0x1800 },
+            { startAddress: 0x3000, size: 0x1800 },
+        ]);
+    });
+
+    it('should know ranges covered by other ranges', () => {
+        const ranges = [
+            { startAddress: 0x0, size: 0x1000 },
+            { startAddress: 0x1000, size: 0x1000 },
+        ];
+        expect(isRangeKnown(ranges, 0x800, 0x1000)).toEqual(true);
+        expect(isRangeKnown(ranges, 0x1800, 0x1000)).toEqual(false);
+    });
+
+    it('should format ranges', () => {
+        expect(formatRanges([{ startAddress: 0x1000, size: 0x1000 }]))
+            .toEqual('0x00001000-0x00002000');
+    });
+});
+
+describe('named ranges', () => {
+    const deviceInfo = new DeviceDefinition({ romSize: 0x100000, pageSize: 0x1000 });
+    const uicr = new Uint8Array(0x400).fill(0xFF);
+
+    it('should find the bootloader by its address in UICR', () => {
+        const blUicr = uicr.slice();
+        blUicr.set([0x00, 0x80, 0x0F, 0x00], 0x14);
+        const memMap = new MemoryMap([[0x10001000, blUicr]]);
+        expect(getNamedRange(NamedRange.BOOTLOADER, deviceInfo, memMap))
+            .toEqual({ startAddress: 0xF8000, size: 0x8000 });
+    });
+
+    it('should refuse a bootloader range without bootloader address', () => {
+        const memMap = new MemoryMap([[0x10001000, uicr]]);
+        expect(() => getNamedRange(NamedRange.BOOTLOADER, deviceInfo, memMap))
+            .toThrow('There is no bootloader address in UICR.');
+        expect(() => getNamedRange(NamedRange.BOOTLOADER, deviceInfo, new MemoryMap()))
+            .toThrow('The bootloader address is unknown');
+    });
+
+    it('should get UICR and the last pages', () => {
+        const memMap = new MemoryMap();
+        expect(getNamedRange(NamedRange.UICR, deviceInfo, memMap))
+            .toEqual({ startAddress: 0x10001000, size: 0x400 });
+        expect(getNamedRange(NamedRange.LAST_PAGES, deviceInfo, memMap, 2))
+            .toEqual({ startAddress: 0xFE000, size: 0x2000 });
+        expect(() => getNamedRange(NamedRange.LAST_PAGES, deviceInfo, memMap, 0))
+            .toThrow('The number of pages must be between 1 and 256.');
+    });
+
+    it('should parse hexadecimal addresses', () => {
+        expect(parseAddress('0x1000')).toEqual(0x1000);
+        expect(parseAddress(' 3f000 ')).toEqual(0x3F000);
+        expect(parseAddress('0xFFFFFFFF')).toEqual(0xFFFFFFFF);
+        expect(parseAddress('ff')).toEqual(0xFF);
+        expect(parseAddress('')).toBeNaN();
+        expect(parseAddress('0x')).toBeNaN();
+        expect(parseAddress('12zz')).toBeNaN();
+        expect(parseAddress('0x100000000')).toBeNaN();
+        expect(parseAddress('123456789')).toBeNaN();
+        expect(parseAddress('-1000')).toBeNaN();
+    });
+});
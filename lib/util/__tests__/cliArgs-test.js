@@ -0,0 +1,91 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { CliCommand, parseCliArgs } from '../cliArgs';
+import { EraseMode, VerifyMode } from '../devices';
+
+describe('command-line arguments', () => {
+    it('should parse the options of writing', () => {
+        expect(parseCliArgs([
+            'write',
+            '--serial', '682000001',
+            '--file', 'app.hex',
+            '--file', 'softdevice.hex',
+            '--erase', 'all',
+            '--no-verify',
+            '--no-reset',
+            '--protect',
+            '--json',
+        ])).toEqual({
+            command: CliCommand.WRITE,
+            serialNumber: '682000001',
+            files: ['app.hex', 'softdevice.hex'],
+            eraseMode: EraseMode.ALL,
+            recover: false,
+            verify: false,
+            verifyMode: VerifyMode.READBACK,
+            reset: false,
+            protect: true,
+            output: null,
+            outputFormat: null,
+            json: true,
+            help: false,
+        });
+    });
+
+    it('should get the output format from the extension', () => {
+        const options = parseCliArgs(['read', '--serial', '682000001', '--output', 'dump.BIN']);
+        expect(options.command).toEqual(CliCommand.READ);
+        expect(options.outputFormat).toEqual('bin');
+        expect(() => parseCliArgs(['read', '--serial', '682000001', '--output', 'dump.txt']))
+            .toThrow('Unknown output format txt');
+    });
+
+    it('should refuse invalid arguments', () => {
+        expect(() => parseCliArgs(['flash', '--serial', '1'])).toThrow('Unknown command flash.');
+        expect(() => parseCliArgs(['write', '--serial'])).toThrow('Option --serial needs a value.');
+        expect(() => parseCliArgs(['write', '--serial', '1'])).toThrow('Give the files');
+        expect(() => parseCliArgs(['recover'])).toThrow('Give the serial number');
+        expect(() => parseCliArgs(['write', '--serial', '1', '--file', 'a.hex', '--erase', 'some']))
+            .toThrow('Unknown erase mode some.');
+        expect(() => parseCliArgs(['recover', '--serial', '1', '--force']))
+            .toThrow('Unknown argument --force.');
+    });
+
+    it('should not need other arguments for help', () => {
+        expect(parseCliArgs(['--help']).help).toBe(true);
+    });
+});
@@ -0,0 +1,129 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import JSZip from 'jszip';
+
+import { DeviceDefinition } from '../devices';
+import {
+    DfuPackageImageType,
+    createDfuPackage,
+    isZip,
+    parseDfuPackage,
+} from '../dfuPackage';
+
+const deviceInfo = new DeviceDefinition();
+
+function createPackage(manifest, files) {
+    const zip = new JSZip();
+    zip.file('manifest.json', JSON.stringify({ manifest }));
+    Object.keys(files).forEach(name => zip.file(name, files[name]));
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+describe('parse DFU package', () => {
+    it('should keep init packets unchanged and order images for update', async () => {
+        const bytes = await createPackage({
+            application: { bin_file: 'app.bin', dat_file: 'app.dat' },
+            softdevice: { bin_file: 'sd.bin', dat_file: 'sd.dat' },
+        }, {
+            'app.bin': new Uint8Array(0x100).fill(0xAA),
+            'app.dat': new Uint8Array([1, 2, 3]),
+            'sd.bin': new Uint8Array(0x1800).fill(0x55),
+            'sd.dat': new Uint8Array([4, 5, 6]),
+        });
+        expect(isZip(bytes)).toEqual(true);
+
+        const { images, memMap } = await parseDfuPackage(bytes, deviceInfo);
+        expect(images.map(i => i.type)).toEqual([
+            DfuPackageImageType.SOFTDEVICE,
+            DfuPackageImageType.APPLICATION,
+        ]);
+        expect(Array.from(images[1].initPacket)).toEqual([1, 2, 3]);
+
+        // The SoftDevice goes right after the MBR, the application on the next page
+        expect(memMap.get(0x1000).length).toEqual(0x1800);
+        expect(memMap.get(0x3000).length).toEqual(0x100);
+    });
+
+    it('should split a combined SoftDevice and bootloader image', async () => {
+        const bytes = await createPackage({
+            softdevice_bootloader: {
+                bin_file: 'sd_bl.bin',
+                dat_file: 'sd_bl.dat',
+                info_read_only_metadata: { bl_size: 0x800, sd_size: 0x1000 },
+            },
+        }, {
+            'sd_bl.bin': new Uint8Array(0x1800),
+            'sd_bl.dat': new Uint8Array([7]),
+        });
+        const { memMap } = await parseDfuPackage(bytes, deviceInfo);
+        expect(memMap.get(0x1000).length).toEqual(0x1000);
+        expect(memMap.get(0xFD000).length).toEqual(0x800);
+    });
+
+    it('should report missing files', async () => {
+        const bytes = await createPackage({
+            application: { bin_file: 'app.bin', dat_file: 'app.dat' },
+        }, {
+            'app.bin': new Uint8Array(4),
+        });
+        await expect(parseDfuPackage(bytes, deviceInfo))
+            .rejects.toThrow('The DFU package does not contain app.dat.');
+    });
+});
+
+describe('create DFU package', () => {
+    it('should create a package which can be parsed again', async () => {
+        const bytes = await createDfuPackage([{
+            type: DfuPackageImageType.SOFTDEVICE_BOOTLOADER,
+            initPacket: new Uint8Array([1]),
+            firmwareImage: new Uint8Array(0x1800),
+            blSize: 0x800,
+            sdSize: 0x1000,
+        }, {
+            type: DfuPackageImageType.APPLICATION,
+            initPacket: new Uint8Array([2]),
+            firmwareImage: new Uint8Array(0x100),
+        }]);
+        const { images } = await parseDfuPackage(bytes, deviceInfo);
+        expect(images.map(i => i.type)).toEqual([
+            DfuPackageImageType.SOFTDEVICE_BOOTLOADER,
+            DfuPackageImageType.APPLICATION,
+        ]);
+        expect(images[0].blSize).toEqual(0x800);
+        expect(Array.from(images[1].initPacket)).toEqual([2]);
+    });
+});
@@ -0,0 +1,69 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { readFileSync } from 'fs';
+
+import { isElf, parseElf } from '../elf';
+
+const elfFile = 'lib/util/__tests__/elf/app.elf';
+const hexFile = 'lib/util/__tests__/hex/app.hex';
+
+describe('parse ELF', () => {
+    it('should detect ELF files', () => {
+        expect(isElf(readFileSync(elfFile))).toEqual(true);
+        expect(isElf(readFileSync(hexFile))).toEqual(false);
+    });
+
+    it('should place loadable segments at their load addresses', () => {
+        const { memMap } = parseElf(readFileSync(elfFile));
+        expect(memMap.size).toEqual(1);
+        expect(memMap.get(0x1000).length).toEqual(0x30);
+        expect(memMap.get(0x1000)[0x1F]).toEqual(0x1F);
+        expect(memMap.get(0x1000)[0x20]).toEqual(0xA5);
+    });
+
+    it('should report allocated sections with content', () => {
+        const { sections } = parseElf(readFileSync(elfFile));
+        expect(sections).toEqual([
+            { name: '.text', startAddress: 0x1000, size: 0x20 },
+            { name: '.data', startAddress: 0x1020, size: 0x10 },
+        ]);
+    });
+
+    it('should reject files which are not ELF', () => {
+        expect(() => parseElf(readFileSync(hexFile))).toThrow('Not an ELF file.');
+    });
+});
@@ -0,0 +1,126 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { List } from 'immutable';
+import MemoryMap from 'nrf-intel-hex';
+
+import {
+    findPattern,
+    formatAscii,
+    getBytes,
+    getDumpSegments,
+    getRegionColor,
+    getRow,
+    getRowCount,
+    getRowOfAddress,
+    interpretBytes,
+    parseSearchPattern,
+} from '../hexDump';
+import { Region } from '../regions';
+
+const memMap = new MemoryMap([
+    [0x1004, new Uint8Array([0x48, 0x69, 0x00, 0x01])],
+    [0x1018, new Uint8Array(0x10).fill(0x41)],
+    [0x2000, new Uint8Array([0x00, 0x00, 0x80, 0x3F])],
+]);
+
+describe('hex dump', () => {
+    it('should split a memory map into rows with gaps', () => {
+        const segments = getDumpSegments(memMap);
+        expect(segments).toEqual([
+            {
+                firstRow: 0, rowCount: 1, address: 0, size: 0x1000, isGap: true,
+            },
+            {
+                firstRow: 1, rowCount: 3, address: 0x1000, size: 0x30, isGap: false,
+            },
+            {
+                firstRow: 4, rowCount: 1, address: 0x1030, size: 0xFD0, isGap: true,
+            },
+            {
+                firstRow: 5, rowCount: 1, address: 0x2000, size: 0x10, isGap: false,
+            },
+        ]);
+        expect(getRowCount(segments)).toEqual(6);
+        expect(getRow(segments, 2)).toEqual({ address: 0x1010, size: 0x10, isGap: false });
+        expect(getRow(segments, 4)).toEqual({ address: 0x1030, size: 0xFD0, isGap: true });
+        expect(getRowOfAddress(segments, 0x1025)).toEqual(3);
+        expect(getRowOfAddress(segments, 0x1800)).toEqual(4);
+        expect(getRowOfAddress(segments, 0x3000)).toEqual(5);
+    });
+
+    it('should get bytes and format them as ASCII', () => {
+        const bytes = getBytes(memMap, 0x1002, 6);
+        expect(bytes).toEqual([undefined, undefined, 0x48, 0x69, 0x00, 0x01]);
+        expect(formatAscii(bytes)).toEqual('  Hi..');
+    });
+
+    it('should parse search patterns', () => {
+        expect(parseSearchPattern('de AD 0x01', false)).toEqual(new Uint8Array([0xDE, 0xAD, 0x01]));
+        expect(parseSearchPattern('Hi', true)).toEqual(new Uint8Array([0x48, 0x69]));
+        expect(() => parseSearchPattern('ABC', false)).toThrow();
+        expect(() => parseSearchPattern('', true)).toThrow();
+    });
+
+    it('should find patterns after an address and wrap around', () => {
+        const pattern = new Uint8Array([0x41, 0x41]);
+        expect(findPattern(memMap, pattern, 0)).toEqual(0x1018);
+        expect(findPattern(memMap, pattern, 0x1018)).toEqual(0x1019);
+        expect(findPattern(memMap, pattern, 0x1026)).toEqual(0x1018);
+        expect(findPattern(memMap, new Uint8Array([0x42]), 0)).toBeUndefined();
+    });
+
+    it('should interpret bytes as numbers', () => {
+        const values = interpretBytes(memMap, 0x2000)
+            .reduce((result, { name, value }) => ({ ...result, [name]: value }), {});
+        expect(values['u16 BE']).toEqual(0);
+        expect(values['u32 LE']).toEqual(0x3F800000);
+        expect(values['float LE']).toEqual(1);
+
+        const partial = interpretBytes(memMap, 0x1006)
+            .reduce((result, { name, value }) => ({ ...result, [name]: value }), {});
+        expect(partial['u16 BE']).toEqual(0x0001);
+        expect(partial['u32 LE']).toBeUndefined();
+    });
+
+    it('should get the colour of the region of an address', () => {
+        const regions = new List([
+            new Region({ startAddress: 0x1000, regionSize: 0x100, color: '#FF0000' }),
+        ]);
+        expect(getRegionColor(regions, 0x10FF)).toEqual('#FF0000');
+        expect(getRegionColor(regions, 0x1100)).toBeUndefined();
+    });
+});
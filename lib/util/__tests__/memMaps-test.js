@@ -0,0 +1,135 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+import {
+    diffMemMaps,
+    getFileMemMaps,
+    getLoadOrder,
+    getMemMapSpan,
+    relocateMemMap,
+    replaceRange,
+} from '../memMaps';
+
+describe('relocate memory maps', () => {
+    const memMap = new MemoryMap([
+        [0x1000, new Uint8Array([1, 2])],
+        [0x2000, new Uint8Array([3])],
+    ]);
+
+    it('should move all blocks by the offset', () => {
+        const relocated = relocateMemMap(memMap, 0x4000);
+        expect(Array.from(relocated.keys())).toEqual([0x5000, 0x6000]);
+        expect(Array.from(relocated.get(0x5000))).toEqual([1, 2]);
+    });
+
+    it('should accept negative offsets', () => {
+        expect(Array.from(relocateMemMap(memMap, -0x1000).keys())).toEqual([0, 0x1000]);
+    });
+
+    it('should reject offsets moving data below address 0', () => {
+        expect(() => relocateMemMap(memMap, -0x2000)).toThrow('Offset -0x2000 moves data below address 0.');
+    });
+});
+
+describe('file memory maps', () => {
+    const memMap = new MemoryMap([[0x1000, new Uint8Array([1, 2])]]);
+
+    it('should leave out excluded files and apply offsets', () => {
+        const memMaps = getFileMemMaps({
+            'a.hex': { memMap, offset: 0x100 },
+            'b.hex': { memMap, enabled: false },
+            'c.hex': { memMap },
+        });
+        expect(memMaps.map(([filePath]) => filePath)).toEqual(['a.hex', 'c.hex']);
+        expect(Array.from(memMaps[0][1].keys())).toEqual([0x1100]);
+    });
+
+    it('should return the files in the order they were loaded', () => {
+        expect(getLoadOrder({
+            'b.hex': { loadIndex: 2 },
+            'c.hex': { loadIndex: 3 },
+            'a.hex': { loadIndex: 1 },
+        })).toEqual(['a.hex', 'b.hex', 'c.hex']);
+    });
+
+    it('should return the span of a memory map', () => {
+        const span = getMemMapSpan(new MemoryMap([
+            [0x2000, new Uint8Array(4)],
+            [0x1000, new Uint8Array(2)],
+        ]));
+        expect(span).toEqual({ size: 6, startAddress: 0x1000, endAddress: 0x2004 });
+    });
+});
+
+describe('memory map differences', () => {
+    it('should find removed, added and changed ranges', () => {
+        const oldMemMap = new MemoryMap([
+            [0x1000, new Uint8Array([1, 2, 3, 4])],
+            [0x3000, new Uint8Array([9])],
+        ]);
+        const newMemMap = new MemoryMap([
+            [0x1000, new Uint8Array([1, 7, 7, 4, 5])],
+            [0x2000, new Uint8Array([8, 8])],
+        ]);
+        expect(diffMemMaps(oldMemMap, newMemMap)).toEqual({
+            removed: [{ startAddress: 0x3000, size: 1 }],
+            added: [{ startAddress: 0x1004, size: 1 }, { startAddress: 0x2000, size: 2 }],
+            changed: [{ startAddress: 0x1001, size: 2 }],
+        });
+    });
+
+    it('should find no differences in identical memory maps', () => {
+        const memMap = new MemoryMap([[0x1000, new Uint8Array([1, 2])]]);
+        expect(diffMemMaps(memMap, memMap)).toEqual({ removed: [], added: [], changed: [] });
+    });
+});
+
+describe('replace memory map ranges', () => {
+    it('should replace the content of a range and keep the rest', () => {
+        const memMap = new MemoryMap([
+            [0x0, new Uint8Array([1, 2, 3, 4, 5, 6])],
+            [0x10, new Uint8Array([7])],
+        ]);
+        const rangeMemMap = new MemoryMap([[0x3, new Uint8Array([9])]]);
+        const replaced = replaceRange(memMap, 0x2, 0x3, rangeMemMap);
+        expect(Array.from(replaced.keys())).toEqual([0x0, 0x3, 0x5, 0x10]);
+        expect(Array.from(replaced.get(0x0))).toEqual([1, 2]);
+        expect(Array.from(replaced.get(0x3))).toEqual([9]);
+        expect(Array.from(replaced.get(0x5))).toEqual([6]);
+    });
+});
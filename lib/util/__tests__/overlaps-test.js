@@ -0,0 +1,97 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+import {
+    OverlapPolicy,
+    findConflicts,
+    findOverlaps,
+    formatConflict,
+    mergeMemMaps,
+} from '../overlaps';
+
+describe('overlapping files', () => {
+    const first = new MemoryMap([[0x1000, new Uint8Array([1, 2, 3, 4])]]);
+    const second = new MemoryMap([[0x1002, new Uint8Array([3, 5, 6])]]);
+    const identical = new MemoryMap([[0x1000, new Uint8Array([1, 2])]]);
+    const memMaps = [['/a/first.hex', first], ['/a/second.hex', second]];
+
+    it('should find overlaps', () => {
+        expect(findOverlaps(memMaps)).toEqual([
+            { startAddress: 0x1002, size: 2, filePaths: ['/a/first.hex', '/a/second.hex'] },
+        ]);
+    });
+
+    it('should find only the differing bytes as conflicts', () => {
+        const conflicts = findConflicts(memMaps);
+        expect(conflicts.length).toEqual(1);
+        expect(conflicts[0].startAddress).toEqual(0x1003);
+        expect(conflicts[0].size).toEqual(1);
+        expect(formatConflict(conflicts[0]))
+            .toEqual('0x00001003-0x00001004 (first.hex: 04; second.hex: 05)');
+    });
+
+    it('should let the last or the first file win', () => {
+        expect(mergeMemMaps(memMaps).slicePad(0x1000, 5))
+            .toEqual(new Uint8Array([1, 2, 3, 5, 6]));
+        expect(mergeMemMaps(memMaps, OverlapPolicy.LAST_WINS).slicePad(0x1000, 5))
+            .toEqual(new Uint8Array([1, 2, 3, 5, 6]));
+        expect(mergeMemMaps(memMaps, OverlapPolicy.FIRST_WINS).slicePad(0x1000, 5))
+            .toEqual(new Uint8Array([1, 2, 3, 4, 6]));
+        // The second file was loaded first, and then given a lower priority
+        expect(mergeMemMaps(
+            memMaps,
+            OverlapPolicy.FIRST_WINS,
+            [memMaps[1][0], memMaps[0][0]],
+        ).slicePad(0x1000, 5)).toEqual(new Uint8Array([1, 2, 3, 5, 6]));
+    });
+
+    it('should refuse overlaps by policy', () => {
+        expect(() => mergeMemMaps(memMaps, OverlapPolicy.ERROR))
+            .toThrow('Files first.hex, second.hex overlap at 0x00001002-0x00001004.');
+        expect(() => mergeMemMaps(memMaps, OverlapPolicy.IDENTICAL_ONLY))
+            .toThrow('Files have conflicting data at 0x00001003-0x00001004');
+    });
+
+    it('should allow identical overlaps', () => {
+        const merged = mergeMemMaps(
+            [['/a/first.hex', first], ['/a/identical.hex', identical]],
+            OverlapPolicy.IDENTICAL_ONLY,
+        );
+        expect(merged.slicePad(0x1000, 4)).toEqual(new Uint8Array([1, 2, 3, 4]));
+    });
+});
@@ -0,0 +1,100 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+import {
+    PageStatus,
+    countPages,
+    diffPages,
+    mergePages,
+} from '../pageDiff';
+
+const pageSize = 0x100;
+const knownRanges = [{ startAddress: 0, size: 0x500 }];
+
+const fileMemMap = new MemoryMap([
+    [0x000, new Uint8Array([1, 2, 3])],
+    [0x100, new Uint8Array([1, 2, 3])],
+    [0x200, new Uint8Array([4, 5, 6])],
+    [0x300, new Uint8Array([0xFF, 0xFF])],
+    [0x600, new Uint8Array([7])],
+]);
+const deviceMemMap = new MemoryMap([
+    [0x000, new Uint8Array([1, 2, 3])],
+    [0x100, new Uint8Array([1, 2, 4])],
+    [0x400, new Uint8Array([8])],
+]);
+
+describe('page diff', () => {
+    it('should compare the pages of files and device', () => {
+        expect(diffPages(fileMemMap, deviceMemMap, knownRanges, pageSize)).toEqual([
+            { startAddress: 0x000, size: pageSize, status: PageStatus.IDENTICAL },
+            { startAddress: 0x100, size: pageSize, status: PageStatus.DIFFERING },
+            { startAddress: 0x200, size: pageSize, status: PageStatus.FILE_ONLY },
+            { startAddress: 0x300, size: pageSize, status: PageStatus.IDENTICAL },
+            { startAddress: 0x400, size: pageSize, status: PageStatus.DEVICE_ONLY },
+            { startAddress: 0x600, size: pageSize, status: PageStatus.UNKNOWN },
+        ]);
+    });
+
+    it('should merge and count pages', () => {
+        const pages = [
+            { startAddress: 0x000, size: pageSize, status: PageStatus.IDENTICAL },
+            { startAddress: 0x100, size: pageSize, status: PageStatus.IDENTICAL },
+            { startAddress: 0x300, size: pageSize, status: PageStatus.IDENTICAL },
+            { startAddress: 0x400, size: pageSize, status: PageStatus.DIFFERING },
+        ];
+        expect(mergePages(pages)).toEqual([
+            {
+                startAddress: 0x000, size: 0x200, status: PageStatus.IDENTICAL, pageCount: 2,
+            },
+            {
+                startAddress: 0x300, size: 0x100, status: PageStatus.IDENTICAL, pageCount: 1,
+            },
+            {
+                startAddress: 0x400, size: 0x100, status: PageStatus.DIFFERING, pageCount: 1,
+            },
+        ]);
+        expect(countPages(pages)).toEqual({
+            [PageStatus.IDENTICAL]: 3,
+            [PageStatus.DIFFERING]: 1,
+            [PageStatus.FILE_ONLY]: 0,
+            [PageStatus.DEVICE_ONLY]: 0,
+            [PageStatus.UNKNOWN]: 0,
+        });
+    });
+});
@@ -0,0 +1,143 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { EraseMode } from '../devices';
+import {
+    ProbeStatus,
+    ProductionStep,
+    StepStatus,
+    countProbes,
+    getJLinkSerials,
+    getProductionSteps,
+    getStepStatus,
+    runTasks,
+} from '../production';
+
+describe('production', () => {
+    it('should find the serial numbers of the J-Link probes', () => {
+        expect(getJLinkSerials([
+            { serialNumber: '683000002', traits: ['jlink'] },
+            { serialNumber: 'C1A2B3', traits: ['nordicUsb', 'serialport'] },
+            { serialNumber: 682000001, traits: ['jlink', 'serialport'] },
+        ])).toEqual(['682000001', '683000002']);
+    });
+
+    it('should run the tasks one after another', async () => {
+        const started = [];
+        const outcomes = await runTasks([1, 2, 3], item => {
+            started.push(item);
+            expect(started).toHaveLength(item);
+            if (item === 2) {
+                throw new Error('Failed');
+            }
+            return new Promise(resolve => setTimeout(() => resolve(started.length), 0));
+        });
+        expect(outcomes).toEqual([
+            { item: 1, isPassed: true, result: 1 },
+            { item: 2, isPassed: false, error: new Error('Failed') },
+            { item: 3, isPassed: true, result: 3 },
+        ]);
+    });
+
+    it('should fail the tasks which reject without an error', async () => {
+        const task = jest.fn()
+            .mockRejectedValueOnce(undefined)
+            .mockResolvedValueOnce(undefined);
+        const outcomes = await runTasks([1, 2], task);
+        expect(outcomes).toEqual([
+            { item: 1, isPassed: false, error: undefined },
+            { item: 2, isPassed: true, result: undefined },
+        ]);
+    });
+
+    it('should get the steps of the chosen write options', () => {
+        expect(getProductionSteps({
+            eraseMode: EraseMode.ALL,
+            verifyAfterWrite: true,
+            resetAfterWrite: false,
+        })).toEqual([ProductionStep.ERASE, ProductionStep.WRITE, ProductionStep.VERIFY]);
+        expect(getProductionSteps({
+            eraseMode: EraseMode.PAGES,
+            verifyAfterWrite: false,
+            resetAfterWrite: true,
+        })).toEqual([ProductionStep.WRITE, ProductionStep.RESET]);
+        expect(getProductionSteps({
+            eraseMode: EraseMode.NONE,
+            verifyAfterWrite: true,
+            protectAfterWrite: true,
+            resetAfterWrite: true,
+        })).toEqual([
+            ProductionStep.WRITE,
+            ProductionStep.VERIFY,
+            ProductionStep.PROTECT,
+            ProductionStep.RESET,
+        ]);
+    });
+
+    it('should get the status of each step', () => {
+        const steps = [ProductionStep.WRITE, ProductionStep.VERIFY];
+        const probe = {
+            status: ProbeStatus.FAILED,
+            startedSteps: [ProductionStep.WRITE, ProductionStep.VERIFY],
+        };
+        expect(getStepStatus(probe, steps, ProductionStep.ERASE)).toEqual(StepStatus.SKIPPED);
+        expect(getStepStatus(probe, steps, ProductionStep.WRITE)).toEqual(StepStatus.DONE);
+        expect(getStepStatus(probe, steps, ProductionStep.VERIFY)).toEqual(StepStatus.FAILED);
+        expect(getStepStatus(
+            { status: ProbeStatus.RUNNING, startedSteps: [ProductionStep.WRITE] },
+            steps,
+            ProductionStep.VERIFY,
+        )).toEqual(StepStatus.PENDING);
+        expect(getStepStatus(
+            { status: ProbeStatus.PASSED, startedSteps: steps },
+            steps,
+            ProductionStep.VERIFY,
+        )).toEqual(StepStatus.DONE);
+    });
+
+    it('should count the probes by status', () => {
+        expect(countProbes([
+            { status: ProbeStatus.PASSED },
+            { status: ProbeStatus.FAILED },
+            { status: ProbeStatus.PASSED },
+        ])).toEqual({
+            [ProbeStatus.WAITING]: 0,
+            [ProbeStatus.RUNNING]: 0,
+            [ProbeStatus.PASSED]: 2,
+            [ProbeStatus.FAILED]: 1,
+        });
+    });
+});
@@ -0,0 +1,156 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import {
+    ProvisioningSource,
+    createProvisioningMemMap,
+    encodeValue,
+    formatBytes,
+    formatLogLine,
+    generateValues,
+    getProvisioningRange,
+    getUsedValues,
+    parseCsv,
+} from '../provisioning';
+
+const config = {
+    fields: [
+        { name: 'serial', source: ProvisioningSource.COUNTER, size: 4 },
+        {
+            name: 'calibration', source: ProvisioningSource.CSV, size: 2, column: 'cal',
+        },
+        { name: 'id', source: ProvisioningSource.DEVICE_ID, size: 8 },
+        { name: 'key', source: ProvisioningSource.RANDOM, size: 2 },
+    ],
+    nextCounter: 1,
+    nextCsvRow: 0,
+};
+
+describe('provisioning', () => {
+    it('should encode values', () => {
+        expect(encodeValue(0x1234, 4)).toEqual(new Uint8Array([0x34, 0x12, 0, 0]));
+        expect(encodeValue('0x0A0B0C', 3)).toEqual(new Uint8Array([0x0C, 0x0B, 0x0A]));
+        expect(encodeValue('AB', 3)).toEqual(new Uint8Array([0x41, 0x42, 0]));
+        expect(() => encodeValue(0x10000, 2)).toThrow();
+        expect(() => encodeValue('0x123456', 2)).toThrow();
+        expect(formatBytes(new Uint8Array([0xDE, 0x0A]))).toEqual('DE0A');
+    });
+
+    it('should parse CSV and the used values of the log', () => {
+        expect(parseCsv('a,"b"\n1, 2\n\n3,4\n')).toEqual({
+            header: ['a', 'b'],
+            rows: [['1', '2'], ['3', '4']],
+        });
+        const used = getUsedValues('time,serial\n2020,01000000\n2021,02000000\n');
+        expect(used.serial.has('02000000')).toBe(true);
+    });
+
+    it('should parse quoted CSV values', () => {
+        expect(parseCsv('name,note\r\n"Doe, John" ,"say ""hi"""\r\n"a\nb",\n')).toEqual({
+            header: ['name', 'note'],
+            rows: [['Doe, John', 'say "hi"'], ['a\nb', '']],
+        });
+    });
+
+    it('should read back the log lines', () => {
+        const values = ['a', 'b,c', 'say "hi"', ' d', '1'];
+        const line = formatLogLine(values);
+        expect(line).toEqual('a,"b,c","say ""hi"""," d",1\n');
+        expect(parseCsv(`${line}${line}`).rows).toEqual([values]);
+    });
+
+    it('should generate values without reusing them', () => {
+        const randomValues = [new Uint8Array([1, 1]), new Uint8Array([2, 2])];
+        const result = generateValues(config, {
+            deviceId: new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]),
+            csv: parseCsv('cal\n100\n200\n'),
+            usedValues: getUsedValues('serial,calibration,key\n01000000,6400,0101\n'),
+            randomBytes: () => randomValues.shift(),
+        });
+        expect(result.fields.map(({ name, bytes }) => [name, formatBytes(bytes)])).toEqual([
+            ['serial', '02000000'],
+            ['calibration', 'C800'],
+            ['id', '0102030405060708'],
+            ['key', '0202'],
+        ]);
+        expect(result.nextCounter).toEqual(3);
+        expect(result.nextCsvRow).toEqual(2);
+
+        expect(() => generateValues({ ...config, nextCsvRow: 2 }, {
+            deviceId: new Uint8Array(8),
+            csv: parseCsv('cal\n100\n200\n'),
+            usedValues: {},
+            randomBytes: size => new Uint8Array(size),
+        })).toThrow('All the rows of the CSV file have been used.');
+
+        expect(() => generateValues({
+            fields: [{ name: 'id', source: ProvisioningSource.DEVICE_ID, size: 12 }],
+            nextCounter: 1,
+            nextCsvRow: 0,
+        }, {
+            deviceId: new Uint8Array(8),
+            usedValues: {},
+        })).toThrow('id is larger than the 8 bytes of DEVICEID.');
+    });
+
+    it('should fail when all the values of a field have been used', () => {
+        const allBytes = [...Array(256).keys()].map(byte => formatBytes([byte])).join('\n');
+        const usedValues = getUsedValues(`small\n${allBytes}\n`);
+        const sources = { usedValues, randomBytes: size => new Uint8Array(size) };
+        expect(() => generateValues({
+            fields: [{ name: 'small', source: ProvisioningSource.RANDOM, size: 1 }],
+            nextCounter: 1,
+            nextCsvRow: 0,
+        }, sources)).toThrow('All the random values of small have been used.');
+        expect(() => generateValues({
+            fields: [{ name: 'small', source: ProvisioningSource.COUNTER, size: 1 }],
+            nextCounter: 0,
+            nextCsvRow: 0,
+        }, sources)).toThrow('All the counter values of small have been used.');
+    });
+
+    it('should create the memory map and the log line', () => {
+        const memMap = createProvisioningMemMap(0x10001080, [
+            { name: 'a', bytes: new Uint8Array([1, 2]) },
+            { name: 'b', bytes: new Uint8Array([3]) },
+        ]);
+        expect(memMap.get(0x10001080)).toEqual(new Uint8Array([1, 2, 3]));
+        expect(formatLogLine(['a', 'b,c', '1'])).toEqual('a,"b,c",1\n');
+        expect(getProvisioningRange({ ...config, isEnabled: true, address: 0x10001080 }))
+            .toEqual({ startAddress: 0x10001080, size: 16 });
+        expect(getProvisioningRange({ ...config, isEnabled: false })).toBeNull();
+    });
+});
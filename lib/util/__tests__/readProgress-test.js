@@ -0,0 +1,63 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { formatByteRate, formatSeconds, getReadProgress } from '../readProgress';
+
+describe('read progress', () => {
+    it('should estimate the rate and the time left', () => {
+        expect(getReadProgress(0x4000, 0x10000, 1000, 5000)).toEqual({
+            percentage: 25,
+            bytesPerSecond: 0x1000,
+            secondsLeft: 12,
+        });
+    });
+
+    it('should not estimate before anything has been read', () => {
+        expect(getReadProgress(0, 0x10000, 1000, 1000)).toEqual({
+            percentage: 0,
+            bytesPerSecond: undefined,
+            secondsLeft: undefined,
+        });
+    });
+
+    it('should format rates and durations', () => {
+        expect(formatByteRate(512)).toEqual('512 B/s');
+        expect(formatByteRate(0x3000)).toEqual('12.0 KiB/s');
+        expect(formatByteRate(0x180000)).toEqual('1.5 MiB/s');
+        expect(formatSeconds(65)).toEqual('1:05');
+        expect(formatSeconds(7)).toEqual('0:07');
+    });
+});
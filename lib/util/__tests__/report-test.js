@@ -0,0 +1,123 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { Region } from '../regions';
+import {
+    ReportOperation,
+    createReport,
+    formatJUnitXml,
+    getReportFileName,
+} from '../report';
+
+const device = {
+    serialNumber: 682000001,
+    family: 'nRF52',
+    type: 'nRF52840',
+    communicationType: 'JLink',
+};
+const files = [{ path: '/fw/app.hex', sha256: 'abc123', mtime: '2019-10-21T09:00:00.000Z' }];
+
+function createWriteReport(outcome) {
+    return createReport({
+        operation: ReportOperation.WRITE,
+        startTime: Date.UTC(2019, 9, 21, 10, 15, 0, 250),
+        endTime: Date.UTC(2019, 9, 21, 10, 15, 2, 750),
+        durations: { write: 1500, verify: 800 },
+        regions: [new Region({ name: 'Application', startAddress: 0x26000, regionSize: 0x1000 })],
+        ...outcome,
+    }, device, files, ['App & <SoftDevice> overlap']);
+}
+
+describe('report', () => {
+    it('should create the report of an operation', () => {
+        const report = createWriteReport({
+            success: true,
+            verify: { mode: 'readback', passed: true, mismatches: 0 },
+        });
+        expect(report).toEqual({
+            operation: 'write',
+            success: true,
+            startTime: '2019-10-21T10:15:00.250Z',
+            endTime: '2019-10-21T10:15:02.750Z',
+            device: {
+                serialNumber: '682000001',
+                family: 'nRF52',
+                type: 'nRF52840',
+                communicationType: 'JLink',
+            },
+            files,
+            regions: [{ name: 'Application', startAddress: '0x00026000', size: 0x1000 }],
+            durations: { total: 2500, write: 1500, verify: 800 },
+            verify: { mode: 'readback', passed: true, mismatches: 0 },
+            details: {},
+            warnings: ['App & <SoftDevice> overlap'],
+            errors: [],
+        });
+        expect(getReportFileName(report)).toEqual('20191021T101500Z-write-682000001');
+    });
+
+    it('should format a passed operation as JUnit XML', () => {
+        const xml = formatJUnitXml(createWriteReport({
+            success: true,
+            verify: { mode: 'readback', passed: true, mismatches: 0 },
+        }));
+        expect(xml).toContain('<testsuite name="nrf-programmer.write" tests="2" failures="0" errors="0" timestamp="2019-10-21T10:15:00.250Z" time="2.500">');
+        expect(xml).toContain('<testcase classname="nrf-programmer.682000001" name="write" time="1.500"/>');
+        expect(xml).toContain('<testcase classname="nrf-programmer.682000001" name="verify" time="0.800"/>');
+        expect(xml).toContain('<property name="file:/fw/app.hex" value="abc123"/>');
+        expect(xml).toContain('<system-out>App &amp; &lt;SoftDevice&gt; overlap</system-out>');
+    });
+
+    it('should fail the verify test case when verifying fails', () => {
+        const xml = formatJUnitXml(createWriteReport({
+            success: false,
+            error: 'The written data does not match the files.',
+            verify: { mode: 'readback', passed: false, mismatches: 2 },
+        }));
+        expect(xml).toContain('failures="1"');
+        expect(xml).toContain('<testcase classname="nrf-programmer.682000001" name="write" time="1.500"/>');
+        expect(xml).toContain('<failure message="2 ranges differ from the written data"/>');
+    });
+
+    it('should fail the operation test case with the error', () => {
+        const xml = formatJUnitXml(createWriteReport({
+            success: false,
+            error: 'Device "682000001" did not respond',
+        }));
+        expect(xml).toContain('tests="1" failures="1"');
+        expect(xml).toContain('<failure message="Device &quot;682000001&quot; did not respond"/>');
+    });
+});
@@ -0,0 +1,82 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+import parseSrec, { toSrec } from '../srec';
+
+const srec = [
+    'S00700007465737438',
+    'S107100001020304DE',
+    'S107100405060708CA',
+    'S30710001080AABBF3',
+    'S9031000EC',
+].join('\n');
+
+describe('parse S-record', () => {
+    it('should join contiguous data records', () => {
+        const memMap = parseSrec(srec);
+        expect(memMap.size).toEqual(2);
+        expect(Array.from(memMap.get(0x1000))).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+        expect(Array.from(memMap.get(0x10001080))).toEqual([0xAA, 0xBB]);
+    });
+
+    it('should report the line of a checksum mismatch', () => {
+        const broken = srec.replace('S107100405060708CA', 'S107100405060708CB');
+        expect(() => parseSrec(broken)).toThrow('line 3: checksum mismatch');
+    });
+
+    it('should report the line of an unknown record type', () => {
+        expect(() => parseSrec(`${srec}\nS4031000EC`)).toThrow('line 6: unknown record type "S4"');
+    });
+});
+
+describe('write S-record', () => {
+    it('should write records which can be parsed again', () => {
+        const memMap = parseSrec(srec);
+        expect(parseSrec(toSrec(memMap))).toEqual(memMap);
+    });
+
+    it('should use the smallest record type fitting all addresses', () => {
+        const memMap = new MemoryMap([[0x1000, new Uint8Array([1, 2, 3, 4])]]);
+        expect(toSrec(memMap).split('\n')).toEqual([
+            'S0030000FC',
+            'S107100001020304DE',
+            'S9030000FC',
+            '',
+        ]);
+    });
+});
@@ -0,0 +1,64 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+import { Uf2FamilyId, toUf2 } from '../uf2';
+
+describe('write UF2', () => {
+    const memMap = new MemoryMap([[0x1080, new Uint8Array(0x100).fill(0xAB)]]);
+
+    it('should split data into 256-byte aligned blocks', () => {
+        const uf2 = toUf2(memMap, Uf2FamilyId.nRF52840);
+        const view = new DataView(uf2.buffer);
+        expect(uf2.length).toEqual(2 * 512);
+        expect(view.getUint32(0, true)).toEqual(0x0A324655);
+        expect(view.getUint32(12, true)).toEqual(0x1000);
+        expect(view.getUint32(24, true)).toEqual(2);
+        expect(view.getUint32(28, true)).toEqual(0xADA52840);
+        expect(view.getUint32(512 + 12, true)).toEqual(0x1100);
+        expect(view.getUint32(512 + 20, true)).toEqual(1);
+        expect(uf2[32]).toEqual(0xFF);
+        expect(uf2[32 + 0x80]).toEqual(0xAB);
+        expect(view.getUint32(508, true)).toEqual(0x0AB16F30);
+    });
+
+    it('should omit the family ID when not known', () => {
+        const view = new DataView(toUf2(memMap).buffer);
+        expect(view.getUint32(8, true)).toEqual(0);
+        expect(view.getUint32(28, true)).toEqual(0);
+    });
+});
@@ -0,0 +1,101 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+import {
+    ProtectionStatus,
+    createProtectionMemMap,
+    createUicrOverlay,
+    formatUicrValue,
+    getUicrBaseAddress,
+    getUicrFields,
+    getProtectionStatus,
+    getUicrValue,
+} from '../uicr';
+
+describe('UICR', () => {
+    it('should list the fields of a family', () => {
+        const fields = getUicrFields('nRF52');
+        expect(fields.find(f => f.name === 'NRFFW[0]').address).toEqual(0x10001014);
+        expect(fields.find(f => f.name === 'CUSTOMER[31]').address).toEqual(0x100010FC);
+        expect(fields.find(f => f.name === 'APPROTECT').address).toEqual(0x10001208);
+        expect(getUicrFields('nRF91').find(f => f.name === 'OTP[0]').address).toEqual(0xFF8108);
+        expect(getUicrFields('Unknown')).toEqual([]);
+        expect(getUicrBaseAddress('nRF91')).toEqual(0xFF8000);
+    });
+
+    it('should get and format values', () => {
+        const memMap = new MemoryMap([
+            [0x10001208, new Uint8Array([0x00, 0xFF])],
+            [0x1000120A, new Uint8Array([0xFF, 0xFF])],
+        ]);
+        const approtect = getUicrFields('nRF52').find(f => f.name === 'APPROTECT');
+        const value = getUicrValue(memMap, approtect.address);
+        expect(value).toEqual(0xFFFFFF00);
+        expect(formatUicrValue(approtect, value)).toEqual('0xFFFFFF00 (Protected)');
+        expect(getUicrValue(memMap, 0x1000120A)).toBeUndefined();
+        expect(formatUicrValue(approtect, undefined)).toEqual('-');
+    });
+
+    it('should create an overlay', () => {
+        const overlay = createUicrOverlay({
+            0x10001080: 0x12345678,
+            0x10001084: 0xFFFFFFFE,
+        });
+        expect(overlay.size).toEqual(1);
+        expect(overlay.get(0x10001080)).toEqual(new Uint8Array([
+            0x78, 0x56, 0x34, 0x12, 0xFE, 0xFF, 0xFF, 0xFF,
+        ]));
+    });
+
+    it('should get and enable the readback protection', () => {
+        const nrf52 = createProtectionMemMap('nRF52');
+        expect(nrf52.get(0x10001208)).toEqual(new Uint8Array([0x00, 0xFF, 0xFF, 0xFF]));
+        expect(getProtectionStatus('nRF52', nrf52)).toEqual(ProtectionStatus.ENABLED);
+        expect(getProtectionStatus('nRF52', new MemoryMap([
+            [0x10001208, new Uint8Array([0xFF, 0xFF, 0xFF, 0xFF])],
+        ]))).toEqual(ProtectionStatus.NONE);
+        expect(getProtectionStatus('nRF52', new MemoryMap())).toBeNull();
+
+        const nrf51 = createProtectionMemMap('nRF51');
+        expect(nrf51.get(0x10001004)).toEqual(new Uint8Array([0xFF, 0x00, 0xFF, 0xFF]));
+        expect(getProtectionStatus('nRF51', new MemoryMap([
+            [0x10001004, new Uint8Array([0x00, 0xFF, 0xFF, 0xFF])],
+        ]))).toEqual(ProtectionStatus.NONE);
+        expect(createProtectionMemMap('Unknown')).toBeNull();
+    });
+});
@@ -0,0 +1,159 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { hexpad8 } from './hexpad';
+
+// Named ranges of the device memory which can be read
+export const NamedRange = {
+    BOOTLOADER: 'bootloader',
+    UICR: 'uicr',
+    LAST_PAGES: 'lastPages',
+};
+
+/**
+ * Parse an address entered as a 32 bit hexadecimal number, like '0x1000' or '1000'.
+ *
+ * @param {string} text the address as entered
+ *
+ * @returns {number} the address, or NaN if it is not valid
+ */
+export function parseAddress(text) {
+    return /^(0x)?[0-9A-Fa-f]{1,8}$/.test(`${text}`.trim()) ? parseInt(text, 16) : NaN;
+}
+
+/**
+ * Merge address ranges, so that they are sorted by address and do not
+ * overlap or adjoin.
+ *
+ * @param {Array} ranges the ranges as {startAddress, size}
+ *
+ * @returns {Array} the merged ranges
+ */
+export function mergeRanges(ranges) {
+    const merged = [];
+    [...ranges]
+        .filter(({ size }) => size > 0)
+        .sort((a, b) => a.startAddress - b.startAddress)
+        .forEach(({ startAddress, size }) => {
+            const last = merged[merged.length - 1];
+            if (last && startAddress <= last.startAddress + last.size) {
+                const endAddress = Math.max(last.startAddress + last.size, startAddress + size);
+                last.size = endAddress - last.startAddress;
+            } else {
+                merged.push({ startAddress, size });
+            }
+        });
+    return merged;
+}
+
+/**
+ * Check whether an address range is completely covered by the given ranges.
+ *
+ * @param {Array}  ranges       the merged ranges as {startAddress, size}
+ * @param {number} startAddress the start address of the range to check
+ * @param {number} size         the size of the range to check
+ *
+ * @returns {boolean} whether the range is covered
+ */
+export function isRangeKnown(ranges, startAddress, size) {
+    return mergeRanges(ranges).some(range => (
+        range.startAddress <= startAddress
+        && range.startAddress + range.size >= startAddress + size
+    ));
+}
+
+/**
+ * Format address ranges like '0x00001000-0x00002000, 0x10001000-0x10001400'.
+ *
+ * @param {Array} ranges the ranges as {startAddress, size}
+ *
+ * @returns {string} the formatted ranges
+ */
+export function formatRanges(ranges) {
+    return ranges
+        .map(({ startAddress, size }) => `${hexpad8(startAddress)}-${hexpad8(startAddress + size)}`)
+        .join(', ');
+}
+
+/**
+ * Get the address range of a named range of the device memory.
+ * The bootloader is found by its address in UICR, which must have been read.
+ *
+ * @param {string}           name       the name, one of NamedRange
+ * @param {DeviceDefinition} deviceInfo the device information
+ * @param {MemoryMap}        memMap     the known device memory
+ * @param {number}           pageCount  the number of pages for NamedRange.LAST_PAGES
+ *
+ * @returns {Object} the range as {startAddress, size}
+ */
+export function getNamedRange(name, deviceInfo, memMap, pageCount) {
+    const {
+        romBaseAddr,
+        romSize,
+        pageSize,
+        uicrBaseAddr,
+        uicrSize,
+        blAddrOffset,
+    } = deviceInfo;
+    const romEndAddress = romBaseAddr + romSize;
+
+    switch (name) {
+        case NamedRange.BOOTLOADER: {
+            const bootloaderAddress = memMap.getUint32(uicrBaseAddr + blAddrOffset, true);
+            if (bootloaderAddress === undefined) {
+                throw new Error('The bootloader address is unknown, since UICR has not been read.');
+            }
+            if (bootloaderAddress === 0xFFFFFFFF
+                || bootloaderAddress < romBaseAddr
+                || bootloaderAddress >= romEndAddress) {
+                throw new Error('There is no bootloader address in UICR.');
+            }
+            return { startAddress: bootloaderAddress, size: romEndAddress - bootloaderAddress };
+        }
+        case NamedRange.UICR:
+            return { startAddress: uicrBaseAddr, size: uicrSize };
+        case NamedRange.LAST_PAGES:
+            if (!Number.isInteger(pageCount) || pageCount < 1 || pageCount * pageSize > romSize) {
+                throw new Error(`The number of pages must be between 1 and ${romSize / pageSize}.`);
+            }
+            return {
+                startAddress: romEndAddress - (pageCount * pageSize),
+                size: pageCount * pageSize,
+            };
+        default:
+            throw new Error(`Unknown memory range ${name}.`);
+    }
+}
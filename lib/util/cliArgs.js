@@ -0,0 +1,199 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { extname } from 'path';
+
+import { EraseMode, VerifyMode } from './devices';
+import { ExportFormat } from './exportFormats';
+
+export const CliCommand = {
+    WRITE: 'write',
+    RECOVER: 'recover',
+    READ: 'read',
+    DFU: 'dfu',
+    MODEM: 'modem',
+};
+
+// Exit codes of the command-line interface
+export const ExitCode = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2,
+};
+
+export const usage = `Usage: programmer-cli <command> --serial <number> [options]
+
+Commands:
+  write     Write the files to a J-Link device
+  recover   Erase the whole J-Link device, also when it is protected
+  read      Read the memory of a J-Link device, and save it with --output
+  dfu       Write the files to a Nordic USB device through its DFU bootloader
+  modem     Update the modem of an nRF91 device with a firmware zip file
+
+Options:
+  --serial <number>     Serial number of the device
+  --file <path>         File to write, can be given several times
+  --erase <mode>        Erase mode before writing: pages, all or none (default: pages)
+  --recover             Recover the device before writing
+  --verify, --no-verify Verify the written data (default: verify)
+  --verify-mode <mode>  How to verify: readback or hash (default: readback)
+  --reset, --no-reset   Reset the device after writing (default: reset)
+  --protect             Enable readback protection after writing
+  --output <path>       File to save the read memory to, as .hex, .bin, .srec or .uf2
+  --json                Print the result as JSON
+  --help                Print this help`;
+
+const optionsWithValue = ['--serial', '--file', '--erase', '--verify-mode', '--output'];
+
+function getOutputFormat(filePath) {
+    const extension = extname(filePath).slice(1).toLowerCase();
+    if (!Object.values(ExportFormat).includes(extension)) {
+        throw new Error(`Unknown output format ${extension || 'without extension'}, use .hex, .bin, .srec or .uf2.`);
+    }
+    return extension;
+}
+
+/**
+ * Parse the arguments of the command-line interface.
+ *
+ * @param {Array<string>} args the arguments, without the executable and script
+ *
+ * @returns {Object} the options as {command, serialNumber, files, eraseMode,
+ * recover, verify, verifyMode, reset, protect, output, outputFormat, json, help}
+ * @throws {Error} if the arguments are not valid
+ */
+export function parseCliArgs(args) {
+    const options = {
+        command: null,
+        serialNumber: null,
+        files: [],
+        eraseMode: EraseMode.PAGES,
+        recover: false,
+        verify: true,
+        verifyMode: VerifyMode.READBACK,
+        reset: true,
+        protect: false,
+        output: null,
+        outputFormat: null,
+        json: false,
+        help: false,
+    };
+
+    for (let i = 0; i < args.length; i += 1) {
+        const arg = args[i];
+        let value;
+        if (optionsWithValue.includes(arg)) {
+            i += 1;
+            value = args[i];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`Option ${arg} needs a value.`);
+            }
+        }
+        switch (arg) {
+            case '--serial':
+                if (!/^[0-9A-Za-z]+$/.test(value)) {
+                    throw new Error(`Invalid serial number ${value}.`);
+                }
+                options.serialNumber = value;
+                break;
+            case '--file':
+                options.files.push(value);
+                break;
+            case '--erase':
+                if (!Object.values(EraseMode).includes(value)) {
+                    throw new Error(`Unknown erase mode ${value}.`);
+                }
+                options.eraseMode = value;
+                break;
+            case '--verify-mode':
+                if (!Object.values(VerifyMode).includes(value)) {
+                    throw new Error(`Unknown verify mode ${value}.`);
+                }
+                options.verifyMode = value;
+                break;
+            case '--output':
+                options.output = value;
+                options.outputFormat = getOutputFormat(value);
+                break;
+            case '--recover':
+                options.recover = true;
+                break;
+            case '--verify':
+            case '--no-verify':
+                options.verify = arg === '--verify';
+                break;
+            case '--reset':
+            case '--no-reset':
+                options.reset = arg === '--reset';
+                break;
+            case '--protect':
+                options.protect = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--') || options.command) {
+                    throw new Error(`Unknown argument ${arg}.`);
+                }
+                if (!Object.values(CliCommand).includes(arg)) {
+                    throw new Error(`Unknown command ${arg}.`);
+                }
+                options.command = arg;
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+    if (!options.command) {
+        throw new Error('Give a command.');
+    }
+    if (!options.serialNumber) {
+        throw new Error('Give the serial number of the device with --serial.');
+    }
+    const needsFiles = [CliCommand.WRITE, CliCommand.DFU, CliCommand.MODEM];
+    if (needsFiles.includes(options.command) && !options.files.length) {
+        throw new Error('Give the files to write with --file.');
+    }
+    if (options.command === CliCommand.MODEM && options.files.length > 1) {
+        throw new Error('Give one modem firmware zip file.');
+    }
+    return options;
+}
@@ -123,6 +123,19 @@ export const CommunicationType = {
     MCUBOOT: 3,
 };
 
+// Definition of how a J-Link device is erased before writing
+export const EraseMode = {
+    PAGES: 'pages',
+    ALL: 'all',
+    NONE: 'none',
+};
+
+// Definition of how a J-Link device is verified after writing
+export const VerifyMode = {
+    READBACK: 'readback',
+    HASH: 'hash',
+};
+
 // Get communication type in string format
 export function getCommunicationType(type) {
     switch (type) {
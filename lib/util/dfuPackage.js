@@ -0,0 +1,204 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import JSZip from 'jszip';
+import MemoryMap from 'nrf-intel-hex';
+
+// Definition of DfuPackageImageType, as used in manifest.json by nrfutil
+export const DfuPackageImageType = {
+    SOFTDEVICE_BOOTLOADER: 'softdevice_bootloader',
+    SOFTDEVICE: 'softdevice',
+    BOOTLOADER: 'bootloader',
+    APPLICATION: 'application',
+};
+
+// The order in which nrfutil performs the updates of a package
+const updateOrder = [
+    DfuPackageImageType.SOFTDEVICE_BOOTLOADER,
+    DfuPackageImageType.SOFTDEVICE,
+    DfuPackageImageType.BOOTLOADER,
+    DfuPackageImageType.APPLICATION,
+];
+
+const alignUp = (value, alignment) => Math.ceil(value / alignment) * alignment;
+
+/**
+ * Check whether the given bytes start with the ZIP local file header signature.
+ *
+ * @param {Uint8Array} bytes the content of a file
+ *
+ * @returns {boolean} true if the content looks like a ZIP file
+ */
+export function isZip(bytes) {
+    return bytes.length >= 4
+        && bytes[0] === 0x50 && bytes[1] === 0x4B
+        && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+// The addresses of the images are not part of a DFU package, since the
+// bootloader decides where they go. Estimate them in order to display the
+// package: the SoftDevice goes right after the MBR, the bootloader right
+// below the MBR parameters and bootloader settings pages at the end of
+// flash, and the application right after the SoftDevice.
+function placeImages(images, deviceInfo, softDeviceEnd) {
+    const {
+        mbrSize, romBaseAddr, romSize, pageSize,
+    } = deviceInfo;
+    const blEnd = romBaseAddr + romSize - (2 * pageSize);
+    const blocks = [];
+    let appStart = softDeviceEnd || mbrSize;
+
+    images.forEach(({ type, firmwareImage, blSize }) => {
+        switch (type) {
+            case DfuPackageImageType.SOFTDEVICE_BOOTLOADER: {
+                const sdSize = firmwareImage.length - blSize;
+                blocks.push([mbrSize, firmwareImage.slice(0, sdSize)]);
+                blocks.push([
+                    blEnd - alignUp(blSize, pageSize),
+                    firmwareImage.slice(sdSize),
+                ]);
+                appStart = alignUp(mbrSize + sdSize, pageSize);
+                break;
+            }
+            case DfuPackageImageType.SOFTDEVICE:
+                blocks.push([mbrSize, firmwareImage]);
+                appStart = alignUp(mbrSize + firmwareImage.length, pageSize);
+                break;
+            case DfuPackageImageType.BOOTLOADER:
+                blocks.push([blEnd - alignUp(firmwareImage.length, pageSize), firmwareImage]);
+                break;
+            default:
+        }
+    });
+
+    const app = images.find(i => i.type === DfuPackageImageType.APPLICATION);
+    if (app) {
+        blocks.push([appStart, app.firmwareImage]);
+    }
+    return new MemoryMap(blocks);
+}
+
+/**
+ * Parse an nrfutil DFU package (.zip with manifest.json).
+ *
+ * The init packets (.dat) are kept as they are, so that signed packages can
+ * be sent to the bootloader unchanged.
+ *
+ * @param {Uint8Array}       bytes           the content of the zip file
+ * @param {DeviceDefinition} deviceInfo      the device information
+ * @param {number}           [softDeviceEnd] the end of the SoftDevice on the
+ *                                           device, if known
+ *
+ * @returns {Promise} resolves with the images in update order and a memory
+ *                    map with estimated addresses for displaying them
+ */
+export async function parseDfuPackage(bytes, deviceInfo, softDeviceEnd) {
+    const zip = await JSZip.loadAsync(bytes);
+    const manifestFile = zip.file('manifest.json');
+    if (!manifestFile) {
+        throw new Error('The DFU package does not contain manifest.json.');
+    }
+
+    let manifest;
+    try {
+        ({ manifest } = JSON.parse(await manifestFile.async('text')));
+    } catch (error) {
+        throw new Error(`Invalid manifest.json in DFU package: ${error.message}`);
+    }
+    if (!manifest) {
+        throw new Error('Invalid manifest.json in DFU package: no manifest found.');
+    }
+
+    const readFile = async fileName => {
+        const file = fileName && zip.file(fileName);
+        if (!file) {
+            throw new Error(`The DFU package does not contain ${fileName}.`);
+        }
+        return file.async('uint8array');
+    };
+
+    const images = await Promise.all(updateOrder
+        .filter(type => manifest[type])
+        .map(async type => {
+            const entry = manifest[type];
+            const metadata = entry.info_read_only_metadata || {};
+            return {
+                type,
+                fileName: entry.bin_file,
+                initPacket: await readFile(entry.dat_file),
+                firmwareImage: await readFile(entry.bin_file),
+                blSize: metadata.bl_size || 0,
+                sdSize: metadata.sd_size || 0,
+            };
+        }));
+    if (images.length === 0) {
+        throw new Error('The DFU package does not contain any images.');
+    }
+
+    return {
+        images,
+        memMap: placeImages(images, deviceInfo, softDeviceEnd),
+    };
+}
+
+/**
+ * Create an nrfutil compatible DFU package (.zip with manifest.json).
+ *
+ * @param {Array} images the images with type, initPacket and firmwareImage,
+ *                       and blSize and sdSize for combined images
+ *
+ * @returns {Promise} resolves with the content of the zip file
+ */
+export function createDfuPackage(images) {
+    const zip = new JSZip();
+    const manifest = {};
+    images.forEach(({
+        type, initPacket, firmwareImage, blSize, sdSize,
+    }) => {
+        const entry = {
+            bin_file: `${type}.bin`,
+            dat_file: `${type}.dat`,
+        };
+        if (type === DfuPackageImageType.SOFTDEVICE_BOOTLOADER) {
+            entry.info_read_only_metadata = { bl_size: blSize, sd_size: sdSize };
+        }
+        manifest[type] = entry;
+        zip.file(entry.bin_file, firmwareImage);
+        zip.file(entry.dat_file, initPacket);
+    });
+    zip.file('manifest.json', JSON.stringify({ manifest }, null, 4));
+    return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
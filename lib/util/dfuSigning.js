@@ -0,0 +1,191 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import Crypto from 'crypto';
+
+const WIRE_TYPE_VARINT = 0;
+const WIRE_TYPE_64BIT = 1;
+const WIRE_TYPE_LENGTH_DELIMITED = 2;
+const WIRE_TYPE_32BIT = 5;
+
+// Field numbers in dfu-cc.proto
+const PACKET_COMMAND_FIELD = 1;
+const COMMAND_INIT_FIELD = 2;
+
+const ECDSA_P256_COORDINATE_LENGTH = 32;
+
+// The DER encoded object identifiers of EC keys, 1.2.840.10045.2.1, and of
+// the prime256v1 curve, 1.2.840.10045.3.1.7
+const EC_KEY_OID = Buffer.from([0x06, 0x07, 0x2A, 0x86, 0x48, 0xCE, 0x3D, 0x02, 0x01]);
+const PRIME256V1_OID = Buffer.from([0x06, 0x08, 0x2A, 0x86, 0x48, 0xCE, 0x3D, 0x03, 0x01, 0x07]);
+
+function readVarint(bytes, offset) {
+    let value = 0;
+    let shift = 1;
+    let position = offset;
+    let byte;
+    do {
+        if (position >= bytes.length) {
+            throw new Error('Unexpected end of init packet.');
+        }
+        byte = bytes[position];
+        value += (byte % 0x80) * shift;
+        shift *= 0x80;
+        position += 1;
+    } while (byte >= 0x80);
+    return { value, offset: position };
+}
+
+// Return the content of the given length-delimited field of a protobuf message
+function getField(bytes, fieldNumber) {
+    let offset = 0;
+    while (offset < bytes.length) {
+        const key = readVarint(bytes, offset);
+        const wireType = key.value % 8;
+        const number = Math.floor(key.value / 8);
+        ({ offset } = key);
+
+        switch (wireType) {
+            case WIRE_TYPE_VARINT:
+                ({ offset } = readVarint(bytes, offset));
+                break;
+            case WIRE_TYPE_64BIT:
+                offset += 8;
+                break;
+            case WIRE_TYPE_32BIT:
+                offset += 4;
+                break;
+            case WIRE_TYPE_LENGTH_DELIMITED: {
+                const length = readVarint(bytes, offset);
+                const start = length.offset;
+                const end = start + length.value;
+                if (number === fieldNumber) {
+                    return bytes.slice(start, end);
+                }
+                offset = end;
+                break;
+            }
+            default:
+                throw new Error(`Unsupported wire type ${wireType} in init packet.`);
+        }
+    }
+    throw new Error(`Field ${fieldNumber} not found in init packet.`);
+}
+
+/**
+ * Extract the serialized InitCommand from an unsigned init packet.
+ * This is the part of the init packet which gets signed.
+ *
+ * @param {Uint8Array} packet the unsigned init packet
+ *
+ * @returns {Uint8Array} the serialized InitCommand
+ */
+export function getInitCommandBytes(packet) {
+    const command = getField(packet, PACKET_COMMAND_FIELD);
+    return getField(command, COMMAND_INIT_FIELD);
+}
+
+// Convert a DER encoded INTEGER to a fixed length big-endian byte array
+function toFixedLength(bytes) {
+    const trimmed = bytes.slice(Math.max(0, bytes.length - ECDSA_P256_COORDINATE_LENGTH));
+    const result = Buffer.alloc(ECDSA_P256_COORDINATE_LENGTH);
+    trimmed.copy(result, ECDSA_P256_COORDINATE_LENGTH - trimmed.length);
+    return result;
+}
+
+// Parse an ECDSA signature in DER format (SEQUENCE of INTEGER r, INTEGER s)
+function parseDerSignature(der) {
+    let offset = 2;
+    if (der[1] > 0x80) {
+        offset += der[1] - 0x80;
+    }
+    const readInteger = () => {
+        if (der[offset] !== 0x02) {
+            throw new Error('Invalid ECDSA signature.');
+        }
+        const length = der[offset + 1];
+        const value = der.slice(offset + 2, offset + 2 + length);
+        offset += 2 + length;
+        return toFixedLength(value);
+    };
+    const r = readInteger();
+    const s = readInteger();
+    return { r, s };
+}
+
+/**
+ * Check that a private key can sign init packets, that is, that it is an
+ * ECDSA key on the prime256v1 curve, also known as P-256. The key has to be
+ * an unencrypted PEM file of an EC private key, as made by nrfutil or
+ * openssl ecparam, or of a PKCS #8 private key.
+ *
+ * @param {string} privateKey the private key in PEM format
+ *
+ * @returns {void}
+ * @throws {Error} if the key cannot be read or is of another type
+ */
+export function checkSigningKey(privateKey) {
+    const pem = /-----BEGIN (EC PRIVATE KEY|PRIVATE KEY)-----([^-]*)-----END \1-----/
+        .exec(privateKey);
+    if (!pem) {
+        throw new Error('The signing key cannot be read, it is not an unencrypted private key in PEM format.');
+    }
+    const der = Buffer.from(pem[2].replace(/\s/g, ''), 'base64');
+    const isEcKey = pem[1] === 'EC PRIVATE KEY' || der.indexOf(EC_KEY_OID) >= 0;
+    if (!isEcKey || der.indexOf(PRIME256V1_OID) < 0) {
+        throw new Error('The signing key is not an ECDSA P-256 (prime256v1) private key.');
+    }
+}
+
+/**
+ * Sign the InitCommand of an init packet with an ECDSA P-256 private key.
+ *
+ * The signature layout is the same as in nrfutil: the SHA-256 based ECDSA
+ * signature as r followed by s, each of them in little-endian byte order.
+ *
+ * @param {Uint8Array} initCommand the serialized InitCommand
+ * @param {string}     privateKey  the private key in PEM format
+ *
+ * @returns {Buffer} the 64-byte signature
+ * @throws {Error} if the key is not an ECDSA P-256 private key
+ */
+export function signInitCommand(initCommand, privateKey) {
+    checkSigningKey(privateKey);
+    const signer = Crypto.createSign('SHA256');
+    signer.update(Buffer.from(initCommand));
+    const { r, s } = parseDerSignature(signer.sign(privateKey));
+    return Buffer.concat([r.reverse(), s.reverse()]);
+}
@@ -0,0 +1,181 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+const ELF_MAGIC = [0x7F, 0x45, 0x4C, 0x46]; // 0x7F 'E' 'L' 'F'
+const ELFCLASS32 = 1;
+const ELFDATA2LSB = 1;
+const ELFDATA2MSB = 2;
+
+const PT_LOAD = 1;
+const SHT_NOBITS = 8;
+const SHF_ALLOC = 0x2;
+
+/**
+ * Check whether the given bytes start with the ELF magic number.
+ *
+ * @param {Uint8Array} bytes the content of a file
+ *
+ * @returns {boolean} true if the content looks like an ELF file
+ */
+export function isElf(bytes) {
+    return bytes.length >= ELF_MAGIC.length
+        && ELF_MAGIC.every((byte, index) => bytes[index] === byte);
+}
+
+function readString(bytes, offset) {
+    let end = offset;
+    while (end < bytes.length && bytes[end] !== 0) {
+        end += 1;
+    }
+    return String.fromCharCode(...bytes.subarray(offset, end));
+}
+
+function readProgramHeaders(view, header, littleEndian) {
+    const headers = [];
+    for (let i = 0; i < header.phnum; i += 1) {
+        const offset = header.phoff + (i * header.phentsize);
+        headers.push({
+            type: view.getUint32(offset, littleEndian),
+            offset: view.getUint32(offset + 4, littleEndian),
+            vaddr: view.getUint32(offset + 8, littleEndian),
+            paddr: view.getUint32(offset + 12, littleEndian),
+            filesz: view.getUint32(offset + 16, littleEndian),
+            memsz: view.getUint32(offset + 20, littleEndian),
+        });
+    }
+    return headers;
+}
+
+function readSectionHeaders(view, header, littleEndian) {
+    const headers = [];
+    for (let i = 0; i < header.shnum; i += 1) {
+        const offset = header.shoff + (i * header.shentsize);
+        headers.push({
+            nameOffset: view.getUint32(offset, littleEndian),
+            type: view.getUint32(offset + 4, littleEndian),
+            flags: view.getUint32(offset + 8, littleEndian),
+            addr: view.getUint32(offset + 12, littleEndian),
+            offset: view.getUint32(offset + 16, littleEndian),
+            size: view.getUint32(offset + 20, littleEndian),
+        });
+    }
+    return headers;
+}
+
+/**
+ * Parse an ELF (or AXF) executable and return its loadable content.
+ *
+ * The content of every PT_LOAD segment is placed at its physical (load)
+ * address, since this is where it is stored in flash. Allocated sections
+ * with content are reported at their load address as well, so that they
+ * can be matched with the regions of the resulting memory map.
+ *
+ * @param {Uint8Array} bytes the content of the ELF file
+ *
+ * @returns {Object} an object with the memory map and the list of sections
+ */
+export function parseElf(bytes) {
+    if (!isElf(bytes)) {
+        throw new Error('Not an ELF file.');
+    }
+    if (bytes[4] !== ELFCLASS32) {
+        throw new Error('Only 32-bit ELF files are supported.');
+    }
+    if (bytes[5] !== ELFDATA2LSB && bytes[5] !== ELFDATA2MSB) {
+        throw new Error('Invalid data encoding in ELF header.');
+    }
+
+    const littleEndian = bytes[5] === ELFDATA2LSB;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const header = {
+        phoff: view.getUint32(0x1C, littleEndian),
+        shoff: view.getUint32(0x20, littleEndian),
+        phentsize: view.getUint16(0x2A, littleEndian),
+        phnum: view.getUint16(0x2C, littleEndian),
+        shentsize: view.getUint16(0x2E, littleEndian),
+        shnum: view.getUint16(0x30, littleEndian),
+        shstrndx: view.getUint16(0x32, littleEndian),
+    };
+
+    let segments;
+    let sectionHeaders;
+    try {
+        segments = readProgramHeaders(view, header, littleEndian)
+            .filter(s => s.type === PT_LOAD && s.filesz > 0);
+        sectionHeaders = readSectionHeaders(view, header, littleEndian);
+    } catch (error) {
+        throw new Error('ELF file is truncated.');
+    }
+
+    if (segments.length === 0) {
+        throw new Error('ELF file contains no loadable segments.');
+    }
+
+    const blocks = new MemoryMap();
+    segments.forEach(segment => {
+        if (segment.offset + segment.filesz > bytes.length) {
+            throw new Error(`ELF segment at 0x${segment.paddr.toString(16)} is truncated.`);
+        }
+        blocks.set(segment.paddr, bytes.slice(segment.offset, segment.offset + segment.filesz));
+    });
+    const memMap = blocks.join();
+
+    const stringTable = sectionHeaders[header.shstrndx];
+    const sections = [];
+    sectionHeaders.forEach(section => {
+        if (!(section.flags & SHF_ALLOC) // eslint-disable-line no-bitwise
+            || section.type === SHT_NOBITS
+            || section.size === 0) {
+            return;
+        }
+        const segment = segments.find(s => section.offset >= s.offset
+            && section.offset + section.size <= s.offset + s.filesz);
+        if (!segment) {
+            return;
+        }
+        sections.push({
+            name: stringTable
+                ? readString(bytes, stringTable.offset + section.nameOffset)
+                : '',
+            startAddress: segment.paddr + (section.offset - segment.offset),
+            size: section.size,
+        });
+    });
+
+    return { memMap, sections };
+}
@@ -0,0 +1,107 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+import { toSrec } from './srec';
+import { toUf2 } from './uf2';
+
+// Definition of ExportFormat
+export const ExportFormat = {
+    HEX: 'hex',
+    BIN: 'bin',
+    SREC: 'srec',
+    UF2: 'uf2',
+};
+
+// Human readable names and file extensions of each ExportFormat
+export const ExportFormatInfo = {
+    [ExportFormat.HEX]: { name: 'Intel HEX', extension: 'hex' },
+    [ExportFormat.BIN]: { name: 'Padded binary', extension: 'bin' },
+    [ExportFormat.SREC]: { name: 'Motorola S-record', extension: 'srec' },
+    [ExportFormat.UF2]: { name: 'UF2', extension: 'uf2' },
+};
+
+/**
+ * Given a memory map and DeviceDefinition, return the part of the memory map
+ * which is in the flash, and optionally in the UICR.
+ *
+ * @param {MemoryMap}        memMap      the memory map
+ * @param {DeviceDefinition} deviceInfo  the device information
+ * @param {boolean}          includeUicr whether to include the UICR content
+ *
+ * @returns {MemoryMap} the memory map to be exported
+ */
+export function getExportMemMap(memMap, deviceInfo, includeUicr) {
+    const {
+        romBaseAddr, romSize, uicrBaseAddr, pageSize,
+    } = deviceInfo;
+    const blocks = Array.from(memMap.slice(romBaseAddr, romSize));
+    if (includeUicr) {
+        blocks.push(...memMap.slice(uicrBaseAddr, pageSize));
+    }
+    return new MemoryMap(blocks);
+}
+
+/**
+ * Serialize a memory map in the given format.
+ *
+ * @param {MemoryMap} memMap   the memory map to serialize
+ * @param {string}    format   one of ExportFormat
+ * @param {Object}    options  startAddress, endAddress and fillByte for
+ *                             padded binaries, familyId for UF2
+ *
+ * @returns {string|Uint8Array} the content of the file
+ */
+export function encodeMemMap(memMap, format, options = {}) {
+    switch (format) {
+        case ExportFormat.HEX:
+            return memMap.asHexString();
+        case ExportFormat.SREC:
+            return toSrec(memMap);
+        case ExportFormat.UF2:
+            return toUf2(memMap, options.familyId);
+        case ExportFormat.BIN: {
+            const { startAddress, endAddress, fillByte = 0xFF } = options;
+            if (!(endAddress > startAddress)) {
+                throw new Error('The end address must be greater than the start address.');
+            }
+            return memMap.slicePad(startAddress, endAddress - startAddress, fillByte);
+        }
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
@@ -0,0 +1,295 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+// The number of bytes shown on one row of a hex dump
+export const BYTES_PER_ROW = 16;
+
+function alignDown(address) {
+    return address - (address % BYTES_PER_ROW);
+}
+
+function alignUp(address) {
+    return alignDown(address + BYTES_PER_ROW - 1);
+}
+
+/**
+ * Split a memory map into the segments of a hex dump. A data segment has one row
+ * for every BYTES_PER_ROW bytes, and a gap segment has a single row which stands
+ * for the addresses without data.
+ *
+ * @param {MemoryMap} memMap the memory map to show
+ *
+ * @returns {Array} the segments as {firstRow, rowCount, address, size, isGap}
+ */
+export function getDumpSegments(memMap) {
+    const segments = [];
+    let lastEnd = 0;
+    memMap.join().forEach((block, blockAddress) => {
+        const address = Math.max(alignDown(blockAddress), lastEnd);
+        const end = alignUp(blockAddress + block.length);
+        if (end <= address) {
+            return;
+        }
+        const last = segments[segments.length - 1];
+        const row = last ? last.firstRow + last.rowCount : 0;
+        if (address > lastEnd) {
+            segments.push({
+                firstRow: row, rowCount: 1, address: lastEnd, size: address - lastEnd, isGap: true,
+            });
+            segments.push({
+                firstRow: row + 1,
+                rowCount: (end - address) / BYTES_PER_ROW,
+                address,
+                size: end - address,
+                isGap: false,
+            });
+        } else if (last) {
+            last.size += end - address;
+            last.rowCount = last.size / BYTES_PER_ROW;
+        } else {
+            segments.push({
+                firstRow: 0,
+                rowCount: (end - address) / BYTES_PER_ROW,
+                address,
+                size: end - address,
+                isGap: false,
+            });
+        }
+        lastEnd = end;
+    });
+    return segments;
+}
+
+/**
+ * Get the number of rows of a hex dump.
+ *
+ * @param {Array} segments the segments from getDumpSegments
+ *
+ * @returns {number} the number of rows
+ */
+export function getRowCount(segments) {
+    const last = segments[segments.length - 1];
+    return last ? last.firstRow + last.rowCount : 0;
+}
+
+function findSegment(segments, predicate) {
+    let low = 0;
+    let high = segments.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (predicate(segments[middle])) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return segments[low];
+}
+
+/**
+ * Get what a row of a hex dump shows.
+ *
+ * @param {Array} segments the segments from getDumpSegments
+ * @param {number} row the index of the row
+ *
+ * @returns {Object} the row as {address, size, isGap}
+ */
+export function getRow(segments, row) {
+    const segment = findSegment(segments, ({ firstRow }) => firstRow <= row);
+    if (segment.isGap) {
+        return { address: segment.address, size: segment.size, isGap: true };
+    }
+    return {
+        address: segment.address + ((row - segment.firstRow) * BYTES_PER_ROW),
+        size: BYTES_PER_ROW,
+        isGap: false,
+    };
+}
+
+/**
+ * Find the row of a hex dump which shows an address, or the gap row before it.
+ *
+ * @param {Array} segments the segments from getDumpSegments
+ * @param {number} address the address to find
+ *
+ * @returns {number} the index of the row, or 0 if the dump is empty
+ */
+export function getRowOfAddress(segments, address) {
+    if (!segments.length) {
+        return 0;
+    }
+    const segment = findSegment(segments, s => s.address <= address);
+    if (segment.isGap || address >= segment.address + segment.size) {
+        return segment.isGap ? segment.firstRow : segment.firstRow + segment.rowCount - 1;
+    }
+    return segment.firstRow + Math.floor((address - segment.address) / BYTES_PER_ROW);
+}
+
+/**
+ * Get the bytes of a memory map at an address, where the addresses without
+ * data are undefined.
+ *
+ * @param {MemoryMap} memMap the memory map
+ * @param {number} address the first address
+ * @param {number} size the number of bytes
+ *
+ * @returns {Array} the bytes
+ */
+export function getBytes(memMap, address, size) {
+    const bytes = new Array(size).fill(undefined);
+    memMap.forEach((block, blockAddress) => {
+        const start = Math.max(address, blockAddress);
+        const end = Math.min(address + size, blockAddress + block.length);
+        for (let i = start; i < end; i += 1) {
+            bytes[i - address] = block[i - blockAddress];
+        }
+    });
+    return bytes;
+}
+
+/**
+ * Format bytes as the ASCII column of a hex dump, with '.' for the bytes
+ * which are not printable and ' ' for the ones without data.
+ *
+ * @param {Array} bytes the bytes from getBytes
+ *
+ * @returns {string} the ASCII text
+ */
+export function formatAscii(bytes) {
+    return bytes.map(byte => {
+        if (byte === undefined) {
+            return ' ';
+        }
+        return (byte >= 0x20 && byte < 0x7F) ? String.fromCharCode(byte) : '.';
+    }).join('');
+}
+
+/**
+ * Parse a search pattern, either hexadecimal bytes like 'DE AD be ef' or
+ * an ASCII string.
+ *
+ * @param {string} text the pattern as entered
+ * @param {boolean} isAscii whether the pattern is an ASCII string
+ *
+ * @returns {Uint8Array} the bytes to search for
+ */
+export function parseSearchPattern(text, isAscii) {
+    if (isAscii) {
+        if (!text.length || /[^\x20-\x7E]/.test(text)) {
+            throw new Error('Enter printable ASCII characters to search for.');
+        }
+        return new Uint8Array([...text].map(c => c.charCodeAt(0)));
+    }
+    const hex = text.replace(/0x/gi, '').replace(/[\s,]/g, '');
+    if (!hex.length || hex.length % 2 !== 0 || /[^0-9A-Fa-f]/.test(hex)) {
+        throw new Error('Enter the bytes to search for as pairs of hexadecimal digits.');
+    }
+    return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+}
+
+/**
+ * Find the first address after an address where a pattern occurs,
+ * continuing from the start when it is not found until the end.
+ *
+ * @param {MemoryMap} memMap the memory map to search in
+ * @param {Uint8Array} pattern the bytes to search for
+ * @param {number} fromAddress the address after which to search
+ *
+ * @returns {number|undefined} the address where the pattern is found
+ */
+export function findPattern(memMap, pattern, fromAddress) {
+    let first;
+    let next;
+    memMap.join().forEach((block, blockAddress) => {
+        const last = block.length - pattern.length;
+        for (let i = 0; i <= last && next === undefined; i += 1) {
+            if (pattern.every((byte, j) => block[i + j] === byte)) {
+                const address = blockAddress + i;
+                first = first === undefined ? address : first;
+                next = address > fromAddress ? address : undefined;
+            }
+        }
+    });
+    return next !== undefined ? next : first;
+}
+
+/**
+ * Interpret the bytes at an address as numbers of different types.
+ *
+ * @param {MemoryMap} memMap the memory map
+ * @param {number} address the address of the first byte
+ *
+ * @returns {Array} the interpretations as {name, value}, where value is
+ * undefined when there are not enough bytes for the type
+ */
+export function interpretBytes(memMap, address) {
+    const bytes = getBytes(memMap, address, 4);
+    const available = bytes.indexOf(undefined) === -1 ? 4 : bytes.indexOf(undefined);
+    const view = new DataView(new Uint8Array(bytes.map(byte => byte || 0)).buffer);
+    const types = [
+        ['u8', 1, () => view.getUint8(0)],
+        ['i8', 1, () => view.getInt8(0)],
+        ['u16 LE', 2, () => view.getUint16(0, true)],
+        ['u16 BE', 2, () => view.getUint16(0, false)],
+        ['i16 LE', 2, () => view.getInt16(0, true)],
+        ['i16 BE', 2, () => view.getInt16(0, false)],
+        ['u32 LE', 4, () => view.getUint32(0, true)],
+        ['u32 BE', 4, () => view.getUint32(0, false)],
+        ['i32 LE', 4, () => view.getInt32(0, true)],
+        ['i32 BE', 4, () => view.getInt32(0, false)],
+        ['float LE', 4, () => view.getFloat32(0, true)],
+        ['float BE', 4, () => view.getFloat32(0, false)],
+    ];
+    return types.map(([name, size, get]) => ({
+        name,
+        value: size <= available ? get() : undefined,
+    }));
+}
+
+/**
+ * Get the colour of the region which contains an address.
+ *
+ * @param {List} regions the regions from getFileRegions or getTargetRegions
+ * @param {number} address the address
+ *
+ * @returns {string|undefined} the colour of the region
+ */
+export function getRegionColor(regions, address) {
+    const region = regions.find(({ startAddress, regionSize }) => (
+        address >= startAddress && address < startAddress + regionSize
+    ));
+    return region ? region.color : undefined;
+}
@@ -49,6 +49,12 @@ export function hexpad2(n) {
     return `0x${n.toString(16).toUpperCase().padStart(2, '0')}`;
 }
 
+// Takes in a signed integer, returns a string representing it
+// as hexadecimal number with sign, like '+0x1000' or '-0x1000'.
+export function formatOffset(n) {
+    return `${n < 0 ? '-' : '+'}0x${Math.abs(n).toString(16).toUpperCase()}`;
+}
+
 export function hexToKiB(n) {
     return `${n / 1024} KiB`;
 }
@@ -0,0 +1,172 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+import { formatOffset } from './hexpad';
+import { findConflicts } from './overlaps';
+
+/**
+ * Move all the blocks of a memory map by the given offset.
+ *
+ * @param {MemoryMap} memMap the memory map
+ * @param {number}    offset the offset to add to every address, may be negative
+ *
+ * @returns {MemoryMap} the relocated memory map
+ */
+export function relocateMemMap(memMap, offset) {
+    if (!offset) {
+        return memMap;
+    }
+    const blocks = [];
+    memMap.forEach((block, address) => {
+        if (address + offset < 0) {
+            throw new Error(`Offset ${formatOffset(offset)} moves data below address 0.`);
+        }
+        blocks.push([address + offset, block]);
+    });
+    return new MemoryMap(blocks);
+}
+
+/**
+ * Given the loaded files, return the memory maps to be merged, as an array
+ * of [filePath, memMap] in priority order, the last one having the highest
+ * priority when overlapping. Excluded files are left out, and each memory
+ * map is moved by the offset of its file.
+ *
+ * @param {Object} loaded the loaded files by file path, in priority order
+ *
+ * @returns {Array} the memory maps to be merged
+ */
+export function getFileMemMaps(loaded) {
+    return Object.keys(loaded)
+        .filter(filePath => loaded[filePath].enabled !== false)
+        .map(filePath => [
+            filePath,
+            relocateMemMap(loaded[filePath].memMap, loaded[filePath].offset),
+        ]);
+}
+
+/**
+ * Given the loaded files, return their file paths in the order they were
+ * loaded, which stays the same when their priority is changed.
+ *
+ * @param {Object} loaded the loaded files by file path, with their loadIndex
+ *
+ * @returns {Array} the file paths
+ */
+export function getLoadOrder(loaded) {
+    return Object.keys(loaded).sort((a, b) => loaded[a].loadIndex - loaded[b].loadIndex);
+}
+
+/**
+ * Return the number of bytes and the address span of a memory map.
+ *
+ * @param {MemoryMap} memMap the memory map
+ *
+ * @returns {Object} the size, the start address and the end address
+ */
+export function getMemMapSpan(memMap) {
+    let size = 0;
+    let startAddress = Infinity;
+    let endAddress = 0;
+    memMap.forEach((block, address) => {
+        size += block.length;
+        startAddress = Math.min(startAddress, address);
+        endAddress = Math.max(endAddress, address + block.length);
+    });
+    return {
+        size,
+        startAddress: size ? startAddress : 0,
+        endAddress,
+    };
+}
+
+/**
+ * Compare two versions of a memory map, and return the address ranges with
+ * data only in the old one, only in the new one, or with different data.
+ *
+ * @param {MemoryMap} oldMemMap the old memory map
+ * @param {MemoryMap} newMemMap the new memory map
+ *
+ * @returns {Object} the removed, added and changed ranges as {startAddress, size}
+ */
+export function diffMemMaps(oldMemMap, newMemMap) {
+    const removed = [];
+    const added = [];
+    const memMaps = [['old', oldMemMap], ['new', newMemMap]];
+    MemoryMap.overlapMemoryMaps(memMaps).forEach((overlap, startAddress) => {
+        if (overlap.length === 1) {
+            const [[version, bytes]] = overlap;
+            (version === 'old' ? removed : added).push({ startAddress, size: bytes.length });
+        }
+    });
+    const changed = findConflicts(memMaps)
+        .map(({ startAddress, size }) => ({ startAddress, size }));
+    return { removed, added, changed };
+}
+
+/**
+ * Replace the content of an address range of a memory map. Data of the old
+ * memory map within the range is dropped, also where the new one has no data.
+ *
+ * @param {MemoryMap} memMap       the memory map
+ * @param {number}    startAddress the start address of the range
+ * @param {number}    size         the size of the range
+ * @param {MemoryMap} rangeMemMap  the new content of the range
+ *
+ * @returns {MemoryMap} the new memory map
+ */
+export function replaceRange(memMap, startAddress, size, rangeMemMap) {
+    const endAddress = startAddress + size;
+    const blocks = [];
+    memMap.forEach((block, address) => {
+        if (address < startAddress) {
+            const length = Math.min(block.length, startAddress - address);
+            blocks.push([address, block.subarray(0, length)]);
+        }
+        if (address + block.length > endAddress) {
+            const start = Math.max(address, endAddress);
+            blocks.push([start, block.subarray(start - address)]);
+        }
+    });
+    rangeMemMap.forEach((block, address) => {
+        if (address >= startAddress && address + block.length <= endAddress) {
+            blocks.push([address, block]);
+        }
+    });
+    return new MemoryMap(blocks.sort(([a], [b]) => a - b));
+}
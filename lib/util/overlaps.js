@@ -0,0 +1,173 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { basename } from 'path';
+import MemoryMap from 'nrf-intel-hex';
+
+import { hexpad8 } from './hexpad';
+
+// How to merge files with overlapping data
+export const OverlapPolicy = {
+    ERROR: 'error',
+    LAST_WINS: 'lastWins',
+    FIRST_WINS: 'firstWins',
+    IDENTICAL_ONLY: 'identicalOnly',
+};
+
+export const OverlapPolicyName = {
+    [OverlapPolicy.ERROR]: 'Refuse overlapping files',
+    [OverlapPolicy.LAST_WINS]: 'Highest priority file wins',
+    [OverlapPolicy.FIRST_WINS]: 'First loaded file wins',
+    [OverlapPolicy.IDENTICAL_ONLY]: 'Allow identical overlaps only',
+};
+
+// The number of bytes shown of each file for a conflict
+const MAX_CONFLICT_BYTES = 8;
+
+function formatBytes(bytes) {
+    const shown = Array.from(bytes.subarray(0, MAX_CONFLICT_BYTES))
+        .map(byte => byte.toString(16).toUpperCase().padStart(2, '0'))
+        .join(' ');
+    return bytes.length > MAX_CONFLICT_BYTES ? `${shown} ...` : shown;
+}
+
+/**
+ * Given the memory maps of files, return the address ranges where more than
+ * one file has data.
+ *
+ * @param {Array} memMaps the memory maps as an array of [filePath, memMap]
+ *
+ * @returns {Array} the overlaps as {startAddress, size, filePaths}
+ */
+export function findOverlaps(memMaps) {
+    const overlaps = [];
+    MemoryMap.overlapMemoryMaps(memMaps).forEach((overlap, startAddress) => {
+        if (overlap.length > 1) {
+            overlaps.push({
+                startAddress,
+                size: overlap[0][1].length,
+                filePaths: overlap.map(([filePath]) => filePath),
+            });
+        }
+    });
+    return overlaps;
+}
+
+/**
+ * Given the memory maps of files, return the address ranges where more than
+ * one file has data and the bytes of the files differ.
+ *
+ * @param {Array} memMaps the memory maps as an array of [filePath, memMap]
+ *
+ * @returns {Array} the conflicts as {startAddress, size, values}, where values
+ * is an array of [filePath, bytes] with the bytes of each file in the range
+ */
+export function findConflicts(memMaps) {
+    const conflicts = [];
+    MemoryMap.overlapMemoryMaps(memMaps).forEach((overlap, startAddress) => {
+        if (overlap.length < 2) {
+            return;
+        }
+        const [, firstBytes] = overlap[0];
+        const differs = i => overlap.some(([, bytes]) => bytes[i] !== firstBytes[i]);
+
+        // Collect the runs of differing bytes
+        const runs = [];
+        for (let i = 0; i < firstBytes.length; i += 1) {
+            const lastRun = runs[runs.length - 1];
+            if (differs(i) && lastRun && lastRun[1] === i) {
+                lastRun[1] = i + 1;
+            } else if (differs(i)) {
+                runs.push([i, i + 1]);
+            }
+        }
+        runs.forEach(([start, end]) => conflicts.push({
+            startAddress: startAddress + start,
+            size: end - start,
+            values: overlap.map(([filePath, bytes]) => [filePath, bytes.subarray(start, end)]),
+        }));
+    });
+    return conflicts;
+}
+
+/**
+ * Describe a conflict with its address range and the bytes of each file.
+ *
+ * @param {Object} conflict the conflict as returned by findConflicts
+ *
+ * @returns {string} the description
+ */
+export function formatConflict({ startAddress, size, values }) {
+    const range = `${hexpad8(startAddress)}-${hexpad8(startAddress + size)}`;
+    const bytes = values
+        .map(([filePath, fileBytes]) => `${basename(filePath)}: ${formatBytes(fileBytes)}`)
+        .join('; ');
+    return `${range} (${bytes})`;
+}
+
+/**
+ * Merge the memory maps of files into one, resolving overlaps by the given policy.
+ * Without a policy the last file wins, as with OverlapPolicy.LAST_WINS.
+ *
+ * @param {Array}  memMaps   the memory maps as an array of [filePath, memMap],
+ *                           the last one having the highest priority
+ * @param {string} policy    the overlap policy, one of OverlapPolicy
+ * @param {Array}  loadOrder the file paths in the order they were loaded, used by
+ *                           OverlapPolicy.FIRST_WINS. By default the order of memMaps.
+ *
+ * @returns {MemoryMap} the merged memory map
+ */
+export function mergeMemMaps(memMaps, policy, loadOrder = null) {
+    if (policy === OverlapPolicy.ERROR) {
+        const [overlap] = findOverlaps(memMaps);
+        if (overlap) {
+            const { startAddress, size, filePaths } = overlap;
+            throw new Error(`Files ${filePaths.map(p => basename(p)).join(', ')} overlap at ${hexpad8(startAddress)}-${hexpad8(startAddress + size)}.`);
+        }
+    }
+    if (policy === OverlapPolicy.IDENTICAL_ONLY) {
+        const [conflict] = findConflicts(memMaps);
+        if (conflict) {
+            throw new Error(`Files have conflicting data at ${formatConflict(conflict)}.`);
+        }
+    }
+    let ordered = memMaps;
+    if (policy === OverlapPolicy.FIRST_WINS) {
+        const order = loadOrder || memMaps.map(([filePath]) => filePath);
+        ordered = [...memMaps].sort(([a], [b]) => order.indexOf(b) - order.indexOf(a));
+    }
+    return MemoryMap.flattenOverlaps(MemoryMap.overlapMemoryMaps(ordered));
+}
@@ -0,0 +1,145 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { isRangeKnown } from './addressRanges';
+
+// How a page of the files compares with the same page of the device
+export const PageStatus = {
+    IDENTICAL: 'identical',
+    DIFFERING: 'differing',
+    FILE_ONLY: 'fileOnly',
+    DEVICE_ONLY: 'deviceOnly',
+    UNKNOWN: 'unknown',
+};
+
+export const PageStatusName = {
+    [PageStatus.IDENTICAL]: 'Identical',
+    [PageStatus.DIFFERING]: 'Differing',
+    [PageStatus.FILE_ONLY]: 'Only in files',
+    [PageStatus.DEVICE_ONLY]: 'Only on device',
+    [PageStatus.UNKNOWN]: 'Device not read',
+};
+
+export const PageStatusColor = {
+    [PageStatus.IDENTICAL]: '#8BC34A',
+    [PageStatus.DIFFERING]: '#EE2F4E',
+    [PageStatus.FILE_ONLY]: '#00A9CE',
+    [PageStatus.DEVICE_ONLY]: '#F58220',
+    [PageStatus.UNKNOWN]: '#9D9D9D',
+};
+
+function isBlank(page) {
+    return page.every(byte => byte === 0xFF);
+}
+
+function isEqual(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Compare the pages of the files with the pages of the device. A page of the
+ * files is compared with what the page of the device will be after erasing
+ * and writing it, so a page which is only in the files but blank on the device
+ * is identical when the files only have 0xFF in it.
+ *
+ * @param {MemoryMap} fileMemMap the merged memory map of the files
+ * @param {MemoryMap} deviceMemMap the memory map read from the device
+ * @param {Array} knownRanges the address ranges of the device which have been read
+ * @param {number} pageSize the size of a page
+ *
+ * @returns {Array} the pages as {startAddress, size, status}, sorted by address
+ */
+export function diffPages(fileMemMap, deviceMemMap, knownRanges, pageSize) {
+    const filePages = fileMemMap.paginate(pageSize);
+    const devicePages = deviceMemMap.paginate(pageSize);
+    const addresses = [...new Set([...filePages.keys(), ...devicePages.keys()])]
+        .sort((a, b) => a - b);
+    const blankPage = new Uint8Array(pageSize).fill(0xFF);
+
+    return addresses.map(startAddress => {
+        const filePage = filePages.get(startAddress);
+        const devicePage = devicePages.get(startAddress);
+        const hasDeviceData = devicePage !== undefined && !isBlank(devicePage);
+        let status;
+        if (!filePage) {
+            status = hasDeviceData ? PageStatus.DEVICE_ONLY : null;
+        } else if (!isRangeKnown(knownRanges, startAddress, pageSize)) {
+            status = PageStatus.UNKNOWN;
+        } else if (isEqual(filePage, devicePage || blankPage)) {
+            status = PageStatus.IDENTICAL;
+        } else {
+            status = hasDeviceData ? PageStatus.DIFFERING : PageStatus.FILE_ONLY;
+        }
+        return { startAddress, size: pageSize, status };
+    }).filter(({ status }) => status !== null);
+}
+
+/**
+ * Merge adjoining pages with the same status into ranges.
+ *
+ * @param {Array} pages the pages from diffPages
+ *
+ * @returns {Array} the ranges as {startAddress, size, status, pageCount}
+ */
+export function mergePages(pages) {
+    const ranges = [];
+    pages.forEach(({ startAddress, size, status }) => {
+        const last = ranges[ranges.length - 1];
+        if (last && last.status === status && last.startAddress + last.size === startAddress) {
+            last.size += size;
+            last.pageCount += 1;
+        } else {
+            ranges.push({
+                startAddress, size, status, pageCount: 1,
+            });
+        }
+    });
+    return ranges;
+}
+
+/**
+ * Count the pages with each status.
+ *
+ * @param {Array} pages the pages from diffPages
+ *
+ * @returns {Object} the number of pages by PageStatus
+ */
+export function countPages(pages) {
+    const counts = Object.values(PageStatus)
+        .reduce((result, status) => ({ ...result, [status]: 0 }), {});
+    pages.forEach(({ status }) => { counts[status] += 1; });
+    return counts;
+}
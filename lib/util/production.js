@@ -0,0 +1,174 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { EraseMode } from './devices';
+
+export const ProductionStep = {
+    ERASE: 'erase',
+    WRITE: 'write',
+    VERIFY: 'verify',
+    PROTECT: 'protect',
+    RESET: 'reset',
+};
+
+export const ProductionStepName = {
+    [ProductionStep.ERASE]: 'Erase',
+    [ProductionStep.WRITE]: 'Write',
+    [ProductionStep.VERIFY]: 'Verify',
+    [ProductionStep.PROTECT]: 'Protect',
+    [ProductionStep.RESET]: 'Reset',
+};
+
+export const ProbeStatus = {
+    WAITING: 'waiting',
+    RUNNING: 'running',
+    PASSED: 'passed',
+    FAILED: 'failed',
+};
+
+export const ProbeStatusName = {
+    [ProbeStatus.WAITING]: 'Waiting',
+    [ProbeStatus.RUNNING]: 'Running',
+    [ProbeStatus.PASSED]: 'Pass',
+    [ProbeStatus.FAILED]: 'Fail',
+};
+
+export const StepStatus = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+};
+
+/**
+ * Get the steps of programming a device with the chosen write options.
+ *
+ * @param {Object} settings the write options, as in the settings state
+ *
+ * @returns {Array<string>} the steps of ProductionStep, in the order they are done
+ */
+export function getProductionSteps({
+    eraseMode,
+    verifyAfterWrite,
+    protectAfterWrite,
+    resetAfterWrite,
+}) {
+    return [
+        eraseMode === EraseMode.ALL && ProductionStep.ERASE,
+        ProductionStep.WRITE,
+        verifyAfterWrite && ProductionStep.VERIFY,
+        protectAfterWrite && ProductionStep.PROTECT,
+        resetAfterWrite && ProductionStep.RESET,
+    ].filter(Boolean);
+}
+
+/**
+ * Get the status of a step of programming a device.
+ *
+ * @param {Object} probe the probe, with its status of ProbeStatus and the steps
+ * which have been started, in order
+ * @param {Array<string>} steps the steps of the programming
+ * @param {string} step the step to get the status of
+ *
+ * @returns {string} the status of the step, of StepStatus
+ */
+export function getStepStatus({ status, startedSteps }, steps, step) {
+    if (!steps.includes(step)) {
+        return StepStatus.SKIPPED;
+    }
+    const index = startedSteps.indexOf(step);
+    if (index < 0) {
+        return StepStatus.PENDING;
+    }
+    if (index < startedSteps.length - 1 || status === ProbeStatus.PASSED) {
+        return StepStatus.DONE;
+    }
+    return status === ProbeStatus.FAILED ? StepStatus.FAILED : StepStatus.RUNNING;
+}
+
+/**
+ * Get the serial numbers of the J-Link probes among the detected devices.
+ *
+ * @param {Array<Object>} devices the devices detected by the device lister
+ *
+ * @returns {Array<string>} the sorted serial numbers
+ */
+export function getJLinkSerials(devices) {
+    return devices
+        .filter(({ traits }) => traits && traits.includes('jlink'))
+        .map(({ serialNumber }) => `${serialNumber}`)
+        .sort();
+}
+
+/**
+ * Run a task for each item, one after another. A failing task does not stop
+ * the others.
+ *
+ * @param {Array} items the items to run the task for
+ * @param {function(*): Promise} task the task to run for an item
+ *
+ * @returns {Promise<Array<Object>>} the outcome of each task in the order of the
+ * items, as {item, isPassed: true, result} when it resolved or
+ * {item, isPassed: false, error} when it rejected, whatever the error is
+ */
+export function runTasks(items, task) {
+    const runTask = item => Promise.resolve()
+        .then(() => task(item))
+        .then(
+            result => ({ item, isPassed: true, result }),
+            error => ({ item, isPassed: false, error }),
+        );
+    return items.reduce((previous, item) => previous.then(outcomes => (
+        runTask(item).then(outcome => [...outcomes, outcome])
+    )), Promise.resolve([]));
+}
+
+/**
+ * Count the probes by their status.
+ *
+ * @param {Array<Object>} probes the probes, each with a status of ProbeStatus
+ *
+ * @returns {Object} the number of probes of each status, keyed by ProbeStatus
+ */
+export function countProbes(probes) {
+    const counts = Object.values(ProbeStatus)
+        .reduce((result, status) => ({ ...result, [status]: 0 }), {});
+    probes.forEach(({ status }) => {
+        counts[status] += 1;
+    });
+    return counts;
+}
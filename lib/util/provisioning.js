@@ -0,0 +1,351 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+// Where the value of a provisioning field comes from
+export const ProvisioningSource = {
+    COUNTER: 'counter',
+    CSV: 'csv',
+    RANDOM: 'random',
+    DEVICE_ID: 'deviceId',
+};
+
+export const ProvisioningSourceName = {
+    [ProvisioningSource.COUNTER]: 'Incrementing counter',
+    [ProvisioningSource.CSV]: 'Column of a CSV file',
+    [ProvisioningSource.RANDOM]: 'Random value',
+    [ProvisioningSource.DEVICE_ID]: 'FICR DEVICEID',
+};
+
+// The size of FICR DEVICEID
+export const DEVICE_ID_SIZE = 8;
+
+// The columns of the provisioning log before those of the fields, so the
+// fields cannot have these names
+export const LOG_COLUMNS = ['time', 'probeSerialNumber', 'address'];
+
+/**
+ * Get the address of FICR DEVICEID of a device.
+ *
+ * @param {DeviceDefinition} deviceInfo the device
+ *
+ * @returns {number} the address
+ */
+export function getDeviceIdAddress({ family, ficrBaseAddr }) {
+    return ficrBaseAddr + (family === 'nRF91' ? 0x204 : 0x060);
+}
+
+/**
+ * Get the address range where the provisioning data is written.
+ *
+ * @param {Object} config the provisioning config, with isEnabled, address and fields
+ *
+ * @returns {Object|null} the range as {startAddress, size}, or null if
+ * provisioning is disabled
+ */
+export function getProvisioningRange({ isEnabled, address, fields }) {
+    if (!isEnabled) {
+        return null;
+    }
+    return {
+        startAddress: address,
+        size: fields.reduce((total, { size }) => total + size, 0),
+    };
+}
+
+/**
+ * Parse CSV text with a header row, as in RFC 4180. Values may be quoted with
+ * double quotes, and then contain commas, line breaks and quotes written as "".
+ * Values which are not quoted are trimmed, and empty lines are skipped.
+ *
+ * @param {string} text the CSV text
+ *
+ * @returns {Object} the CSV as {header, rows}, where rows are arrays of values
+ */
+export function parseCsv(text) {
+    const lines = [];
+    let line = [];
+    let value = '';
+    let isInQuotes = false;
+    let isQuoted = false;
+
+    const endValue = () => {
+        line.push(isQuoted ? value : value.trim());
+        value = '';
+        isQuoted = false;
+    };
+    const endLine = () => {
+        const isEmpty = line.length === 0 && !isQuoted && !value.trim();
+        endValue();
+        if (!isEmpty) {
+            lines.push(line);
+        }
+        line = [];
+    };
+
+    for (let i = 0; i < text.length; i += 1) {
+        const c = text[i];
+        if (isInQuotes) {
+            if (c !== '"') {
+                value += c;
+            } else if (text[i + 1] === '"') {
+                value += c;
+                i += 1;
+            } else {
+                isInQuotes = false;
+            }
+        } else if (c === ',') {
+            endValue();
+        } else if (c === '\n') {
+            endLine();
+        } else if (c === '"' && !isQuoted && !value.trim()) {
+            isInQuotes = true;
+            isQuoted = true;
+            value = '';
+        } else if (!isQuoted && c !== '\r') {
+            // Anything after the closing quote of a value is ignored
+            value += c;
+        }
+    }
+    endLine();
+
+    const [header = [], ...rows] = lines;
+    return { header, rows };
+}
+
+/**
+ * Format bytes as hexadecimal text, like 'DEADBEEF'.
+ *
+ * @param {Uint8Array} bytes the bytes
+ *
+ * @returns {string} the text
+ */
+export function formatBytes(bytes) {
+    return [...bytes].map(byte => byte.toString(16).toUpperCase().padStart(2, '0')).join('');
+}
+
+/**
+ * Encode a value of a provisioning field. Numbers, and text with a decimal
+ * or 0x-prefixed hexadecimal number, are encoded in little endian. Other text
+ * is encoded as ASCII, padded with zeros.
+ *
+ * @param {number|string} value the value
+ * @param {number} size the size of the field in bytes
+ *
+ * @returns {Uint8Array} the encoded value
+ */
+export function encodeValue(value, size) {
+    const text = `${value}`.trim();
+    const bytes = new Uint8Array(size);
+    const tooLarge = new Error(`The value ${text} does not fit in ${size} bytes.`);
+    if (/^0x[0-9A-Fa-f]+$/.test(text)) {
+        const hex = text.slice(2).replace(/^0+/, '');
+        const digits = hex.length % 2 ? `0${hex}` : hex;
+        if (digits.length / 2 > size) {
+            throw tooLarge;
+        }
+        (digits.match(/../g) || []).reverse().forEach((byte, i) => {
+            bytes[i] = parseInt(byte, 16);
+        });
+        return bytes;
+    }
+    if (/^[0-9]+$/.test(text)) {
+        let number = Number(text);
+        if (!Number.isSafeInteger(number)) {
+            throw new Error(`The value ${text} is too large, write it as hexadecimal.`);
+        }
+        for (let i = 0; i < size; i += 1) {
+            bytes[i] = number % 256;
+            number = Math.floor(number / 256);
+        }
+        if (number > 0) {
+            throw tooLarge;
+        }
+        return bytes;
+    }
+    if (text.length > size || /[^\x20-\x7E]/.test(text)) {
+        throw new Error(`The value ${text} is not ${size} printable ASCII characters or less.`);
+    }
+    [...text].forEach((c, i) => { bytes[i] = c.charCodeAt(0); });
+    return bytes;
+}
+
+/**
+ * Get the values which have been assigned, from the provisioning log.
+ *
+ * @param {string} logText the CSV text of the log
+ *
+ * @returns {Object} Sets of the values as hexadecimal text, by field name
+ */
+export function getUsedValues(logText) {
+    const { header, rows } = parseCsv(logText);
+    const used = {};
+    header.forEach((name, column) => {
+        used[name] = new Set(rows.map(row => row[column]));
+    });
+    return used;
+}
+
+/**
+ * Generate the values of the provisioning fields for one write. Counter and
+ * CSV values which are found in the log are skipped, as are random values.
+ *
+ * @param {Object} config the provisioning config, with fields, nextCounter and nextCsvRow
+ * @param {Object} sources the sources of values, as
+ *     {deviceId, csv, usedValues, randomBytes(size)}
+ *
+ * @returns {Object} the values as {fields, nextCounter, nextCsvRow}, where
+ *     fields are {name, bytes}
+ */
+export function generateValues(config, {
+    deviceId, csv, usedValues, randomBytes,
+}) {
+    let counter = config.nextCounter;
+    let csvRow = config.nextCsvRow;
+    const isUsed = (name, bytes) => (
+        usedValues[name] !== undefined && usedValues[name].has(formatBytes(bytes))
+    );
+    // Whether all the values of a field of the size are in the log
+    const isExhausted = (name, size) => usedValues[name] !== undefined
+        && [...usedValues[name]].filter(value => value.length === size * 2).length >= 256 ** size;
+    const hasCsvField = config.fields.some(({ source }) => source === ProvisioningSource.CSV);
+    const hasCounterField = config.fields
+        .some(({ source }) => source === ProvisioningSource.COUNTER);
+
+    const encodeCsvRow = row => config.fields
+        .filter(({ source }) => source === ProvisioningSource.CSV)
+        .map(({ name, size, column }) => {
+            const index = csv.header.indexOf(column);
+            if (index < 0) {
+                throw new Error(`The CSV file has no column ${column}.`);
+            }
+            return { name, bytes: encodeValue(row[index], size) };
+        });
+
+    // Skip the rows and counter values which have been used
+    let csvValues = [];
+    if (hasCsvField) {
+        while (csvRow < csv.rows.length
+            && encodeCsvRow(csv.rows[csvRow]).some(({ name, bytes }) => isUsed(name, bytes))) {
+            csvRow += 1;
+        }
+        if (csvRow >= csv.rows.length) {
+            throw new Error('All the rows of the CSV file have been used.');
+        }
+        csvValues = encodeCsvRow(csv.rows[csvRow]);
+        csvRow += 1;
+    }
+    const encodeCounter = value => config.fields
+        .filter(({ source }) => source === ProvisioningSource.COUNTER)
+        .map(({ name, size }) => {
+            try {
+                return { name, bytes: encodeValue(value, size) };
+            } catch (error) {
+                throw new Error(`All the counter values of ${name} have been used.`);
+            }
+        });
+    if (hasCounterField) {
+        while (encodeCounter(counter).some(({ name, bytes }) => isUsed(name, bytes))) {
+            counter += 1;
+        }
+    }
+    const counterValues = hasCounterField ? encodeCounter(counter) : [];
+
+    const fields = config.fields.map(({ name, source, size }) => {
+        switch (source) {
+            case ProvisioningSource.COUNTER:
+                return counterValues.find(value => value.name === name);
+            case ProvisioningSource.CSV:
+                return csvValues.find(value => value.name === name);
+            case ProvisioningSource.DEVICE_ID:
+                if (size > DEVICE_ID_SIZE) {
+                    throw new Error(`${name} is larger than the ${DEVICE_ID_SIZE} bytes of DEVICEID.`);
+                }
+                return { name, bytes: deviceId.slice(0, size) };
+            default: {
+                if (isExhausted(name, size)) {
+                    throw new Error(`All the random values of ${name} have been used.`);
+                }
+                let bytes = randomBytes(size);
+                while (isUsed(name, bytes)) {
+                    bytes = randomBytes(size);
+                }
+                return { name, bytes };
+            }
+        }
+    });
+
+    return {
+        fields,
+        nextCounter: hasCounterField ? counter + 1 : counter,
+        nextCsvRow: csvRow,
+    };
+}
+
+/**
+ * Create the memory map of the provisioning data, with the fields one after
+ * another from an address.
+ *
+ * @param {number} address the address of the first field
+ * @param {Array} fields the fields as {name, bytes}
+ *
+ * @returns {MemoryMap} the memory map
+ */
+export function createProvisioningMemMap(address, fields) {
+    const size = fields.reduce((total, { bytes }) => total + bytes.length, 0);
+    const block = new Uint8Array(size);
+    fields.reduce((offset, { bytes }) => {
+        block.set(bytes, offset);
+        return offset + bytes.length;
+    }, 0);
+    return new MemoryMap([[address, block]]);
+}
+
+/**
+ * Format a line of the provisioning log as in RFC 4180, so that parseCsv()
+ * reads the values back unchanged.
+ *
+ * @param {Array} values the values of the columns
+ *
+ * @returns {string} the CSV line
+ */
+export function formatLogLine(values) {
+    const formatValue = value => (/[",\r\n]|^\s|\s$/.test(value)
+        ? `"${`${value}`.replace(/"/g, '""')}"`
+        : value);
+    return `${values.map(formatValue).join(',')}\n`;
+}
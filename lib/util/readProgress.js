@@ -0,0 +1,88 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * Calculate the progress of reading the device memory.
+ *
+ * @param {number} bytesRead the number of bytes which have been read
+ * @param {number} totalBytes the number of bytes to read
+ * @param {number} startTime the time when reading started, in milliseconds
+ * @param {number} now the current time, in milliseconds
+ *
+ * @returns {Object} the progress as {percentage, bytesPerSecond, secondsLeft},
+ * where bytesPerSecond and secondsLeft are undefined until they can be estimated
+ */
+export function getReadProgress(bytesRead, totalBytes, startTime, now) {
+    const percentage = totalBytes > 0
+        ? Math.min(100, Math.floor((bytesRead * 100) / totalBytes))
+        : 0;
+    const elapsed = (now - startTime) / 1000;
+    if (bytesRead === 0 || elapsed <= 0) {
+        return { percentage, bytesPerSecond: undefined, secondsLeft: undefined };
+    }
+    const bytesPerSecond = bytesRead / elapsed;
+    const secondsLeft = Math.ceil((totalBytes - bytesRead) / bytesPerSecond);
+    return { percentage, bytesPerSecond, secondsLeft };
+}
+
+/**
+ * Format a transfer rate, like '12.5 KiB/s'.
+ *
+ * @param {number} bytesPerSecond the transfer rate
+ *
+ * @returns {string} the formatted rate
+ */
+export function formatByteRate(bytesPerSecond) {
+    if (bytesPerSecond >= 1024 * 1024) {
+        return `${(bytesPerSecond / 1024 / 1024).toFixed(1)} MiB/s`;
+    }
+    if (bytesPerSecond >= 1024) {
+        return `${(bytesPerSecond / 1024).toFixed(1)} KiB/s`;
+    }
+    return `${Math.round(bytesPerSecond)} B/s`;
+}
+
+/**
+ * Format a number of seconds as minutes and seconds, like '1:05'.
+ *
+ * @param {number} seconds the number of seconds
+ *
+ * @returns {string} the formatted duration
+ */
+export function formatSeconds(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -53,6 +53,7 @@ export const Region = new Record({
     regionSize: null,
     color: '#333F48',
     fileNames: [],
+    sectionNames: [],
     permission: RegionPermission.READ_ONLY,
 });
 
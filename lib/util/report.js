@@ -0,0 +1,184 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { hexpad8 } from './hexpad';
+
+export const ReportOperation = {
+    WRITE: 'write',
+    ERASE: 'erase',
+    DFU: 'dfu',
+    MODEM: 'modem',
+};
+
+/**
+ * Create the report of an operation on a device.
+ *
+ * @param {Object} outcome the operation, as {operation, startTime, endTime,
+ * success, error, durations, verify, regions, details}, where the times are in
+ * milliseconds, durations are the milliseconds of each step, verify is
+ * {mode, passed, mismatches} or null if not verified, regions are Region
+ * records and details are specific to the operation
+ * @param {Object} device the device, as {serialNumber, family, type, communicationType}
+ * @param {Array<Object>} files the files, as {path, sha256, mtime}
+ * @param {Array<string>} warnings the warnings shown to the user
+ *
+ * @returns {Object} the report, which can be saved as JSON
+ */
+export function createReport({
+    operation,
+    startTime,
+    endTime,
+    success,
+    error = null,
+    durations = {},
+    verify = null,
+    regions = [],
+    details = {},
+}, device, files, warnings) {
+    return {
+        operation,
+        success,
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date(endTime).toISOString(),
+        device: {
+            serialNumber: device.serialNumber ? `${device.serialNumber}` : null,
+            family: device.family || null,
+            type: device.type || null,
+            communicationType: device.communicationType,
+        },
+        files,
+        regions: regions.map(({ name, startAddress, regionSize }) => ({
+            name,
+            startAddress: hexpad8(startAddress),
+            size: regionSize,
+        })),
+        durations: { total: endTime - startTime, ...durations },
+        verify,
+        details,
+        warnings,
+        errors: error ? [error] : [],
+    };
+}
+
+/**
+ * Get the name of the report file, without extension, so that the reports
+ * are sorted by time, like 20191021T101500Z-write-682000001.
+ *
+ * @param {Object} report the report
+ *
+ * @returns {string} the file name
+ */
+export function getReportFileName({ operation, startTime, device }) {
+    const time = startTime.replace(/[-:]|\.\d+/g, '');
+    return [time, operation, device.serialNumber].filter(Boolean).join('-');
+}
+
+function escapeXml(text) {
+    return `${text}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatSeconds(milliseconds) {
+    return (milliseconds / 1000).toFixed(3);
+}
+
+function formatTestCase(className, name, milliseconds, failure) {
+    const attributes = `classname="${escapeXml(className)}" name="${escapeXml(name)}" time="${formatSeconds(milliseconds || 0)}"`;
+    if (!failure) {
+        return `        <testcase ${attributes}/>`;
+    }
+    return [
+        `        <testcase ${attributes}>`,
+        `            <failure message="${escapeXml(failure)}"/>`,
+        '        </testcase>',
+    ].join('\n');
+}
+
+/**
+ * Format a report as JUnit XML, with a test case for the operation and one
+ * for verifying, if the written data was verified.
+ *
+ * @param {Object} report the report
+ *
+ * @returns {string} the XML document
+ */
+export function formatJUnitXml(report) {
+    const {
+        operation, success, startTime, device, files, durations, verify, warnings, errors,
+    } = report;
+    const className = `nrf-programmer.${device.serialNumber || 'unknown'}`;
+    const isVerifyFailure = verify !== null && !verify.passed;
+    const testCases = [formatTestCase(
+        className,
+        operation,
+        durations.write !== undefined ? durations.write : durations.total,
+        success || isVerifyFailure ? null : errors.join('\n') || 'Failed',
+    )];
+    if (verify !== null) {
+        testCases.push(formatTestCase(
+            className,
+            'verify',
+            durations.verify,
+            isVerifyFailure ? `${verify.mismatches} ranges differ from the written data` : null,
+        ));
+    }
+    const failures = (success ? 0 : 1);
+    const properties = [
+        ['serialNumber', device.serialNumber],
+        ['family', device.family],
+        ['type', device.type],
+        ['communicationType', device.communicationType],
+        ...files.map(({ path, sha256 }) => [`file:${path}`, sha256]),
+    ].map(([name, value]) => (
+        `            <property name="${escapeXml(name)}" value="${escapeXml(value === null ? '' : value)}"/>`
+    ));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites>',
+        `    <testsuite name="nrf-programmer.${escapeXml(operation)}" tests="${testCases.length}" failures="${failures}" errors="0" timestamp="${escapeXml(startTime)}" time="${formatSeconds(durations.total)}">`,
+        '        <properties>',
+        ...properties,
+        '        </properties>',
+        ...testCases,
+        `        <system-out>${escapeXml(warnings.join('\n'))}</system-out>`,
+        '    </testsuite>',
+        '</testsuites>',
+        '',
+    ].join('\n');
+}
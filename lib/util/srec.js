@@ -0,0 +1,172 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+// Number of address bytes for each S-record type
+const addressLengths = {
+    0: 2,
+    1: 2,
+    2: 3,
+    3: 4,
+    5: 2,
+    6: 3,
+    7: 4,
+    8: 3,
+    9: 2,
+};
+
+const dataRecordTypes = [1, 2, 3];
+
+function parseLine(line, lineNumber) {
+    const fail = message => {
+        throw new Error(`Invalid S-record at line ${lineNumber}: ${message}`);
+    };
+
+    if (line[0] !== 'S' && line[0] !== 's') {
+        fail('record does not start with "S".');
+    }
+    const type = parseInt(line[1], 10);
+    const addressLength = addressLengths[type];
+    if (addressLength === undefined) {
+        fail(`unknown record type "S${line[1]}".`);
+    }
+    if (!/^[0-9A-Fa-f]+$/.test(line.slice(2)) || line.length % 2 !== 0) {
+        fail('record contains invalid hexadecimal characters.');
+    }
+
+    const bytes = [];
+    for (let i = 2; i < line.length; i += 2) {
+        bytes.push(parseInt(line.substr(i, 2), 16));
+    }
+    const [count] = bytes;
+    if (count !== bytes.length - 1) {
+        fail(`byte count is ${count}, but the record contains ${bytes.length - 1} bytes.`);
+    }
+    if (count < addressLength + 1) {
+        fail('record is too short.');
+    }
+
+    const sum = bytes.slice(0, -1).reduce((a, b) => a + b, 0);
+    const checksum = 0xFF - (sum % 0x100);
+    if (checksum !== bytes[bytes.length - 1]) {
+        fail('checksum mismatch.');
+    }
+
+    const address = bytes.slice(1, 1 + addressLength)
+        .reduce((a, b) => (a * 0x100) + b, 0);
+    const data = new Uint8Array(bytes.slice(1 + addressLength, -1));
+
+    return { type, address, data };
+}
+
+/**
+ * Parse the content of a Motorola S-record file (.srec, .s19, .mot).
+ *
+ * @param {string} text the content of the S-record file
+ *
+ * @returns {MemoryMap} the memory map with the data records of the file
+ */
+export default function parseSrec(text) {
+    const blocks = new MemoryMap();
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+        const { type, address, data } = parseLine(line, index + 1);
+        if (!dataRecordTypes.includes(type) || data.length === 0) {
+            return;
+        }
+        if (blocks.has(address)) {
+            throw new Error(`Invalid S-record at line ${index + 1}: duplicate data at address 0x${address.toString(16)}.`);
+        }
+        blocks.set(address, data);
+    });
+
+    if (blocks.size === 0) {
+        throw new Error('S-record file contains no data records.');
+    }
+    return blocks.join();
+}
+
+function formatRecord(type, address, addressLength, data) {
+    const bytes = [addressLength + data.length + 1];
+    for (let i = addressLength - 1; i >= 0; i -= 1) {
+        bytes.push(Math.floor(address / (0x100 ** i)) % 0x100);
+    }
+    bytes.push(...data);
+    const sum = bytes.reduce((a, b) => a + b, 0);
+    bytes.push(0xFF - (sum % 0x100));
+    return `S${type}${bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Serialize a memory map as Motorola S-records.
+ *
+ * The smallest record type able to hold the highest address is used for all
+ * data records, together with the matching termination record.
+ *
+ * @param {MemoryMap} memMap     the memory map to serialize
+ * @param {number}    [lineSize] the number of data bytes per record
+ *
+ * @returns {string} the content of the S-record file
+ */
+export function toSrec(memMap, lineSize = 16) {
+    let highestAddress = 0;
+    memMap.forEach((block, address) => {
+        highestAddress = Math.max(highestAddress, address + block.length - 1);
+    });
+    let dataType = 1;
+    if (highestAddress > 0xFFFFFF) {
+        dataType = 3;
+    } else if (highestAddress > 0xFFFF) {
+        dataType = 2;
+    }
+    const addressLength = addressLengths[dataType];
+
+    const lines = [formatRecord(0, 0, 2, [])];
+    Array.from(memMap.keys()).sort((a, b) => a - b).forEach(address => {
+        const block = memMap.get(address);
+        for (let offset = 0; offset < block.length; offset += lineSize) {
+            const data = Array.from(block.subarray(offset, offset + lineSize));
+            lines.push(formatRecord(dataType, address + offset, addressLength, data));
+        }
+    });
+    lines.push(formatRecord(10 - dataType, 0, addressLength, []));
+
+    return `${lines.join('\n')}\n`;
+}
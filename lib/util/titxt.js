@@ -0,0 +1,100 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+/**
+ * Parse the content of a TI-TXT file.
+ *
+ * The file consists of sections starting with an "@ADDR" line followed by
+ * lines of space-separated hexadecimal bytes, and is terminated by "q".
+ *
+ * @param {string} text the content of the TI-TXT file
+ *
+ * @returns {MemoryMap} the memory map with the data of the file
+ */
+export default function parseTiTxt(text) {
+    const blocks = new MemoryMap();
+    let address;
+    let bytes = [];
+    let finished = false;
+
+    const flush = () => {
+        if (bytes.length > 0) {
+            blocks.set(address, new Uint8Array(bytes));
+            address += bytes.length;
+            bytes = [];
+        }
+    };
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+        if (!line || finished) {
+            return;
+        }
+        if (line === 'q' || line === 'Q') {
+            flush();
+            finished = true;
+            return;
+        }
+        if (line[0] === '@') {
+            if (!/^@[0-9A-Fa-f]+$/.test(line)) {
+                throw new Error(`Invalid TI-TXT file at line ${lineNumber}: malformed address "${line}".`);
+            }
+            flush();
+            address = parseInt(line.slice(1), 16);
+            return;
+        }
+        if (address === undefined) {
+            throw new Error(`Invalid TI-TXT file at line ${lineNumber}: data before the first address.`);
+        }
+        line.split(/\s+/).forEach(byte => {
+            if (!/^[0-9A-Fa-f]{2}$/.test(byte)) {
+                throw new Error(`Invalid TI-TXT file at line ${lineNumber}: invalid byte "${byte}".`);
+            }
+            bytes.push(parseInt(byte, 16));
+        });
+    });
+
+    if (!finished) {
+        flush();
+    }
+    if (blocks.size === 0) {
+        throw new Error('TI-TXT file contains no data.');
+    }
+    return blocks.join();
+}
@@ -0,0 +1,95 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+const UF2_MAGIC_START0 = 0x0A324655;
+const UF2_MAGIC_START1 = 0x9E5D5157;
+const UF2_MAGIC_END = 0x0AB16F30;
+const UF2_FLAG_FAMILY_ID_PRESENT = 0x00002000;
+const UF2_BLOCK_SIZE = 512;
+const UF2_PAYLOAD_SIZE = 256;
+const UF2_DATA_OFFSET = 32;
+
+// Family IDs taken from https://github.com/microsoft/uf2
+export const Uf2FamilyId = {
+    nRF52: 0x1B57745F,
+    nRF52833: 0x621E937A,
+    nRF52840: 0xADA52840,
+};
+
+/**
+ * Return the UF2 family ID matching the given device.
+ *
+ * @param {DeviceDefinition} deviceInfo the device information
+ *
+ * @returns {number|null} the family ID, or null if no family ID is known
+ */
+export function getUf2FamilyId({ type, family }) {
+    return Uf2FamilyId[type] || Uf2FamilyId[family] || null;
+}
+
+/**
+ * Serialize a memory map as a UF2 image.
+ *
+ * Data is split into 256-byte aligned payloads, padded with 0xFF, with one
+ * payload in each 512-byte UF2 block.
+ *
+ * @param {MemoryMap} memMap     the memory map to serialize
+ * @param {number}    [familyId] the UF2 family ID, or null to omit it
+ *
+ * @returns {Uint8Array} the content of the UF2 file
+ */
+export function toUf2(memMap, familyId = null) {
+    const pages = memMap.paginate(UF2_PAYLOAD_SIZE, 0xFF);
+    const addresses = Array.from(pages.keys()).sort((a, b) => a - b);
+    const output = new Uint8Array(addresses.length * UF2_BLOCK_SIZE);
+
+    addresses.forEach((address, blockNo) => {
+        const offset = blockNo * UF2_BLOCK_SIZE;
+        const view = new DataView(output.buffer, offset, UF2_BLOCK_SIZE);
+        view.setUint32(0, UF2_MAGIC_START0, true);
+        view.setUint32(4, UF2_MAGIC_START1, true);
+        view.setUint32(8, familyId === null ? 0 : UF2_FLAG_FAMILY_ID_PRESENT, true);
+        view.setUint32(12, address, true);
+        view.setUint32(16, UF2_PAYLOAD_SIZE, true);
+        view.setUint32(20, blockNo, true);
+        view.setUint32(24, addresses.length, true);
+        view.setUint32(28, familyId === null ? 0 : familyId, true);
+        output.set(pages.get(address), offset + UF2_DATA_OFFSET);
+        view.setUint32(UF2_BLOCK_SIZE - 4, UF2_MAGIC_END, true);
+    });
+
+    return output;
+}
@@ -0,0 +1,248 @@
+/* Copyright (c) 2015 - 2019, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Use in source and binary forms, redistribution in binary form only, with
+ * or without modification, are permitted provided that the following conditions
+ * are met:
+ *
+ * 1. Redistributions in binary form, except as embedded into a Nordic
+ *    Semiconductor ASA integrated circuit in a product or a software update for
+ *    such product, must reproduce the above copyright notice, this list of
+ *    conditions and the following disclaimer in the documentation and/or other
+ *    materials provided with the distribution.
+ *
+ * 2. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * 3. This software, with or without modification, must only be used with a Nordic
+ *    Semiconductor ASA integrated circuit.
+ *
+ * 4. Any software provided in binary form under this license must not be reverse
+ *    engineered, decompiled, modified and/or disassembled.
+ *
+ * THIS SOFTWARE IS PROVIDED BY NORDIC SEMICONDUCTOR ASA "AS IS" AND ANY EXPRESS OR
+ * IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ * MERCHANTABILITY, NONINFRINGEMENT, AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ * TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF
+ * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+
+import { getBytes } from './hexDump';
+import { hexpad8 } from './hexpad';
+
+// The name of the UICR overlay where it is shown like a loaded file
+export const UICR_OVERLAY_NAME = 'UICR editor';
+
+// Whether the readback protection of a device is disabled, enabled in UICR,
+// or active so that the access port of the device is locked
+export const ProtectionStatus = {
+    NONE: 'none',
+    ENABLED: 'enabled',
+    LOCKED: 'locked',
+};
+
+export const ProtectionStatusName = {
+    [ProtectionStatus.NONE]: 'Disabled',
+    [ProtectionStatus.ENABLED]: 'Enabled',
+    [ProtectionStatus.LOCKED]: 'Enabled, the device cannot be accessed',
+};
+
+const uicrBaseAddresses = {
+    nRF51: 0x10001000,
+    nRF52: 0x10001000,
+    nRF91: 0xFF8000,
+};
+
+/* eslint-disable no-bitwise */
+function decodeProtection(value) {
+    return (value & 0xFF) === 0xFF ? 'Not protected' : 'Protected';
+}
+
+function decodePin(value) {
+    return value >>> 31 ? 'Disconnected' : `Pin ${value & 0x3F}`;
+}
+
+function decodeNfcPins(value) {
+    return value & 0x1 ? 'NFC antenna' : 'GPIO';
+}
+
+function decodeDebugCtrl(value) {
+    const cpuNiden = (value & 0xFF) === 0xFF ? 'enabled' : 'disabled';
+    const cpuFpben = ((value >>> 8) & 0xFF) === 0xFF ? 'enabled' : 'disabled';
+    return `Debug ${cpuNiden}, breakpoints ${cpuFpben}`;
+}
+
+function decodeRegOut0(value) {
+    const voltages = ['1.8 V', '2.1 V', '2.4 V', '2.7 V', '3.0 V', '3.3 V'];
+    return voltages[value & 0x7] || 'Default (1.8 V)';
+}
+
+function decodeRbpConf(value) {
+    const pr0 = (value & 0xFF) === 0xFF ? 'not protected' : 'protected';
+    const pall = ((value >>> 8) & 0xFF) === 0xFF ? 'not protected' : 'protected';
+    return `Region 0 ${pr0}, all ${pall}`;
+}
+
+// The fields of UICR by family, as [name, offset, count, decode]
+const uicrFields = {
+    nRF51: [
+        ['RBPCONF', 0x004, 1, decodeRbpConf],
+        ['NRFFW', 0x014, 15],
+        ['NRFHW', 0x050, 12],
+        ['CUSTOMER', 0x080, 32],
+    ],
+    nRF52: [
+        ['NRFFW', 0x014, 13],
+        ['NRFHW', 0x050, 12],
+        ['CUSTOMER', 0x080, 32],
+        ['PSELRESET', 0x200, 2, decodePin],
+        ['APPROTECT', 0x208, 1, decodeProtection],
+        ['NFCPINS', 0x20C, 1, decodeNfcPins],
+        ['DEBUGCTRL', 0x210, 1, decodeDebugCtrl],
+        ['REGOUT0', 0x304, 1, decodeRegOut0],
+    ],
+    nRF91: [
+        ['APPROTECT', 0x000, 1, decodeProtection],
+        ['SECUREAPPROTECT', 0x02C, 1, decodeProtection],
+        ['ERASEPROTECT', 0x030, 1, decodeProtection],
+        ['OTP', 0x108, 190],
+    ],
+};
+
+// The UICR word which enables the readback protection, as [offset, mask],
+// where the protection is disabled only when all the bits of the mask are set
+const protectionFields = {
+    nRF51: [0x004, 0xFF00], // RBPCONF.PALL
+    nRF52: [0x208, 0xFF], // APPROTECT
+    nRF91: [0x000, 0xFF], // APPROTECT
+};
+
+/**
+ * Get the base address of UICR of a device family.
+ *
+ * @param {string} family the device family, like 'nRF52'
+ *
+ * @returns {number|undefined} the base address
+ */
+export function getUicrBaseAddress(family) {
+    return uicrBaseAddresses[family];
+}
+
+/**
+ * Get the fields of UICR of a device family, with the arrays split into
+ * one field for each word.
+ *
+ * @param {string} family the device family, like 'nRF52'
+ *
+ * @returns {Array} the fields as {name, address, decode}, where decode is
+ * undefined for fields without a known meaning
+ */
+export function getUicrFields(family) {
+    const baseAddress = uicrBaseAddresses[family];
+    const fields = [];
+    (uicrFields[family] || []).forEach(([name, offset, count, decode]) => {
+        for (let i = 0; i < count; i += 1) {
+            fields.push({
+                name: count > 1 ? `${name}[${i}]` : name,
+                address: baseAddress + offset + (i * 4),
+                decode,
+            });
+        }
+    });
+    return fields;
+}
+
+/**
+ * Get the value of a UICR field from a memory map.
+ *
+ * @param {MemoryMap} memMap the memory map
+ * @param {number} address the address of the field
+ *
+ * @returns {number|undefined} the value, or undefined if the memory map
+ * does not contain all four bytes of it
+ */
+export function getUicrValue(memMap, address) {
+    const bytes = getBytes(memMap, address, 4);
+    if (bytes.includes(undefined)) {
+        return undefined;
+    }
+    return new DataView(new Uint8Array(bytes).buffer).getUint32(0, true);
+}
+
+/**
+ * Format the value of a UICR field, with its meaning if it is known.
+ *
+ * @param {Object} field the field from getUicrFields
+ * @param {number|undefined} value the value
+ *
+ * @returns {string} the formatted value
+ */
+export function formatUicrValue(field, value) {
+    if (value === undefined) {
+        return '-';
+    }
+    return field.decode ? `${hexpad8(value)} (${field.decode(value)})` : hexpad8(value);
+}
+
+/**
+ * Get the readback protection status of a device from its UICR.
+ *
+ * @param {string} family the device family, like 'nRF52'
+ * @param {MemoryMap} memMap the memory map of the device, with its UICR
+ *
+ * @returns {string|null} the status of ProtectionStatus, or null if it is not
+ * known for the family or UICR has not been read
+ */
+export function getProtectionStatus(family, memMap) {
+    if (!protectionFields[family]) {
+        return null;
+    }
+    const [offset, mask] = protectionFields[family];
+    const value = getUicrValue(memMap, uicrBaseAddresses[family] + offset);
+    if (value === undefined) {
+        return null;
+    }
+    return (value & mask) === mask ? ProtectionStatus.NONE : ProtectionStatus.ENABLED;
+}
+
+/**
+ * Create a memory map which writes the edited UICR fields.
+ *
+ * @param {Object} edits the values by the addresses of the fields
+ *
+ * @returns {MemoryMap} the memory map
+ */
+export function createUicrOverlay(edits) {
+    const blocks = Object.keys(edits).map(address => {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, edits[address], true);
+        return [Number(address), bytes];
+    });
+    return new MemoryMap(blocks).join();
+}
+
+/**
+ * Create a memory map which enables the readback protection when it is written
+ * to a device. The protection becomes active after the device is reset.
+ *
+ * @param {string} family the device family, like 'nRF52'
+ *
+ * @returns {MemoryMap|null} the memory map, or null if the protection is not
+ * known for the family
+ */
+export function createProtectionMemMap(family) {
+    if (!protectionFields[family]) {
+        return null;
+    }
+    const [offset, mask] = protectionFields[family];
+    return createUicrOverlay({ [uicrBaseAddresses[family] + offset]: ~mask >>> 0 });
+}